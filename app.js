@@ -0,0 +1,2162 @@
+// Sanctify AI Proxy - the Fastify app, built by buildApp(config) without listening
+//
+// server.js builds it from the environment and listens; tests build it with their own
+// env, clock, stores and upstream client and call it through fastify.inject.
+//
+// config:
+//   env             Environment variables to read (default process.env)
+//   logger          Fastify logger option (default: structured JSON logs at LOG_LEVEL)
+//   clock           () => epoch ms for rate limit windows and daily resets, token expiry, blocks,
+//                   sessions, caches, circuit breakers and ledger timestamps (default Date.now)
+//   rateLimitStore  Rate limit counters (default: the RATE_LIMIT_STORE backend)
+//   adminState      Blocks and admin overrides, like lib/admin-state.js (default: from
+//                   ADMIN_STATE_FILE, or Redis with RATE_LIMIT_STORE=redis)
+//   sessionStore    Session transcripts (default: the SESSION_STORE backend)
+//   upstream        Client for AI provider calls, with call() and snapshot() like
+//                   lib/resilience.js (default: one from the AI_* retry and breaker settings)
+//
+// Configuration errors throw instead of exiting, so the caller decides what to do.
+// Closing the app stops the hourly cleanup and closes the stores and file watchers.
+
+const crypto = require('crypto');
+const { wantsEventStream, openEventStream, readChatCompletionStream, lastSentenceEnd } = require('./lib/sse');
+const { createRateLimitStore } = require('./lib/rate-limit-store');
+const { LIMIT_FIELDS, createTierResolver } = require('./lib/tiers');
+const { DAY_MS, isValidTimeZone, dayBounds, slidingWindowCount, slidingWindowRetryAfter } = require('./lib/rate-limit-periods');
+const { AuthError, createAuthenticator, createAdminAuthenticator } = require('./lib/auth');
+const { createProviderRegistry } = require('./lib/providers');
+const { UpstreamError, createUpstreamClient } = require('./lib/resilience');
+const { createLocalizedIntentClassifiers } = require('./lib/intent-classifier');
+const { VALID_TOPICS, getTopicGuidance, resolveTopic, getModelParams } = require('./lib/topics');
+const { extractVerseReferences } = require('./lib/scripture');
+const { BibleError, createBible } = require('./lib/bible');
+const { MIN_POINTS, MAX_POINTS, prayerStyle, checkResponseFormat, buildCorrectionPrompt } = require('./lib/response-format');
+const { toStructuredResponse } = require('./lib/structured-response');
+const { HistoryError, validateHistory, createHistoryManager } = require('./lib/history');
+const { RESPONSE_MODES, MAX_MESSAGE_CHARS, SECURITY_SCHEMES, SHARED_SCHEMAS, routeSchemas, createValidatorFactory } = require('./lib/schemas');
+const { createOpenApiDocument } = require('./lib/openapi');
+const { createSessionStore } = require('./lib/session-store');
+const { createSessionManager, describeSession } = require('./lib/sessions');
+const { createSafetyLayerFromEnv } = require('./lib/safety');
+const { createAdminStateFromEnv } = require('./lib/admin-state');
+const { createErrorLog } = require('./lib/error-log');
+const { createProxyMetrics } = require('./lib/metrics');
+const { cacheKey, createResponseCacheFromEnv } = require('./lib/response-cache');
+const { createPromptRegistry } = require('./lib/prompts');
+const { CSV_FIELDS, SUMMARY_FIELDS, toCsv, createUsageLedgerFromEnv } = require('./lib/usage-ledger');
+const { SUPPORTED_LOCALES, normalizeLocale, resolveLocale, createMessageCatalogsFromEnv } = require('./lib/i18n');
+const { estimatePromptTokens, estimateTokens, estimateRequestCost, calculateUsageCost } = require('./lib/pricing');
+
+// Log fields holding message and answer text
+const CONTENT_LOG_FIELDS = ['userMessage', 'assistantMessage'];
+
+// How often old rate limit counters, expired sessions and old usage entries are removed
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Build the app with every route registered. Throws if the AI provider or the
+ * rate limit timezone is misconfigured.
+ */
+function buildApp(config = {}) {
+  const env = config.env || process.env;
+  const clock = config.clock || Date.now;
+  
+  // Structured JSON logs (pino). Each request gets an id, taken from X-Request-Id when the
+  // caller sends one. Message and answer text is redacted unless LOG_MESSAGE_CONTENT=true.
+  const fastify = require('fastify')({
+    logger: config.logger ?? {
+      level: env.LOG_LEVEL || 'info',
+      redact: {
+        paths: [
+          'req.headers.authorization',
+          'req.headers["x-admin-key"]',
+          ...(env.LOG_MESSAGE_CONTENT === 'true' ? [] : CONTENT_LOG_FIELDS)
+        ],
+        censor: '[redacted]'
+      }
+    },
+    trustProxy: true,
+    requestIdHeader: 'x-request-id',
+    requestIdLogLabel: 'requestId',
+    genReqId: () => crypto.randomUUID(),
+    schemaController: { compilersFactory: { buildValidator: createValidatorFactory() } }
+  });
+
+  // AI providers - chosen by AI_PROVIDER / AI_MODEL, optionally per topic via AI_TOPIC_ROUTES
+  const providers = createProviderRegistry(env);
+
+  // Validate provider configuration on startup
+  const providerErrors = providers.validate();
+  if (providerErrors.length > 0) {
+    throw new Error(`AI provider is not configured correctly: ${providerErrors.join('; ')}`);
+  }
+  
+  // Daily limits reset at midnight in the caller's timezone: the verified `zoneinfo` token
+  // claim, else RATE_LIMIT_TIMEZONE. Unverified callers can't pick their own reset time.
+  const DEFAULT_TIMEZONE = env.RATE_LIMIT_TIMEZONE || 'UTC';
+  if (!isValidTimeZone(DEFAULT_TIMEZONE)) {
+    throw new Error(`RATE_LIMIT_TIMEZONE "${DEFAULT_TIMEZONE}" is not a valid IANA timezone`);
+  }
+
+  // API routes live under /v1. The unversioned paths they had before stay as aliases.
+  const API_PREFIX = '/v1';
+
+  // Prometheus metrics, served on /metrics
+  const metrics = createProxyMetrics();
+  const CHAT_ROUTES = new Set(['/ai/chat', '/sessions/:id/messages'].flatMap(route => [route, `${API_PREFIX}${route}`]));
+
+  // Echo the request id so clients can quote it when reporting a problem
+  fastify.addHook('onRequest', async (request, reply) => {
+    reply.header('X-Request-Id', request.id);
+  });
+
+  // Count every response by route template (not raw URL, to keep label cardinality bounded)
+  fastify.addHook('onResponse', async (request, reply) => {
+    const route = request.routeOptions.url || 'unmatched';
+    const status = reply.statusCode;
+    metrics.httpRequests.inc({ method: request.method, route, status });
+    metrics.httpDuration.observe({ method: request.method, route }, reply.elapsedTime / 1000);
+    if (CHAT_ROUTES.has(route) && request.method === 'POST') {
+      metrics.chatRequests.inc({ topic: request.chatTopic || 'none', status });
+    }
+  });
+
+  // Register CORS
+  fastify.register(require('@fastify/cors'), {
+    origin: true,
+    methods: ['GET', 'POST', 'OPTIONS']
+  });
+
+  // Request and response schemas (lib/schemas.js). Every route is collected for the OpenAPI document.
+  for (const schema of SHARED_SCHEMAS) fastify.addSchema(schema);
+  const documentedRoutes = [];
+  fastify.addHook('onRoute', (route) => {
+    documentedRoutes.push(route);
+  });
+
+  // A missing body is checked as an empty one, so routes whose fields are all optional
+  // (POST /sessions, admin changes) still accept requests without one
+  fastify.addHook('preValidation', async (request) => {
+    if (request.body === undefined && request.routeOptions.schema?.body) request.body = {};
+  });
+
+  // Codes for errors Fastify raises itself (bad JSON, oversized bodies, ...)
+  const HTTP_ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    429: 'rate_limited'
+  };
+
+  // Every error response is { error, code }. Internal errors never carry their own message,
+  // only the request id to quote when reporting them.
+  fastify.setErrorHandler(async (error, request, reply) => {
+    if (error.validation) {
+      return reply.code(400).send(describeValidationError(request, error));
+    }
+    const statusCode = error.statusCode >= 400 ? error.statusCode : 500;
+    if (statusCode < 500) {
+      return reply.code(statusCode).send({ error: error.message, code: HTTP_ERROR_CODES[statusCode] || 'invalid_request' });
+    }
+    request.log.error({ err: error }, '🚨 Unhandled error');
+    errorLog.record({ source: 'http', code: 'internal_error', message: error.message, userKey: request.auth?.rateLimitKey });
+    return reply.code(500).send({ error: 'Internal server error', code: 'internal_error', requestId: request.id });
+  });
+
+  fastify.setNotFoundHandler(async (request, reply) => {
+    return reply.code(404).send({ error: `Route ${request.method} ${request.url.split('?')[0]} not found`, code: 'not_found' });
+  });
+
+  /**
+   * Mount a plugin's routes under /v1, and again at their unversioned paths as aliases
+   * that the OpenAPI document leaves out
+   */
+  function registerApi(routes, { prefix = '' } = {}) {
+    fastify.register(routes, { prefix: `${API_PREFIX}${prefix}` });
+    fastify.register(async (aliases) => {
+      aliases.addHook('onRoute', (route) => {
+        route.schema = { ...route.schema, hide: true };
+      });
+      aliases.register(routes, { prefix });
+    });
+  }
+
+  // Upstream calls with timeouts, retries, failover and circuit breakers
+  const upstream = config.upstream || createUpstreamClient(env, {
+    log: fastify.log,
+    now: clock,
+    onAttempt: ({ provider, durationMs, outcome }) => {
+      metrics.upstreamDuration.observe({ provider: provider.name, model: provider.model, outcome }, durationMs / 1000);
+    }
+  });
+
+  // User-facing text per locale (config/locales) - DEFAULT_LOCALE answers requests with no language signal
+  const catalogs = createMessageCatalogsFromEnv(env);
+
+  // Intent classification - rules reload from INTENT_RULES_FILE (and its .es/.pt siblings)
+  // without a deploy, with optional model-based classification for low-confidence messages
+  const intentClassifiers = createLocalizedIntentClassifiers({
+    rulesPath: env.INTENT_RULES_FILE,
+    locales: SUPPORTED_LOCALES,
+    modelClassifier: env.INTENT_MODEL_FALLBACK === 'true' ? classifyIntentWithModel : null,
+    now: clock,
+    log: fastify.log
+  });
+
+  // Versioned system prompts and A/B experiments - reloads from PROMPTS_FILE without a deploy
+  const prompts = createPromptRegistry({ registryPath: env.PROMPTS_FILE, log: fastify.log });
+
+  // Bundled public-domain Bible text for /bible and for exact quotes in chat answers
+  const bible = createBible();
+
+  // Verified passages given to the model and attached to answers are kept short
+  const VERIFIED_PASSAGE_MAX_VERSES = 12;
+  const VERIFIED_PASSAGE_LIMIT = 4;
+  // The bundled text is English, so other languages quote their own translation from the model
+  const BIBLE_TEXT_LOCALE = 'en';
+
+  // Bearer token authentication - verified subjects become rate limit keys
+  const authenticator = createAuthenticator(env, { now: clock });
+
+  // Crisis detection, moderation and output checks (config/safety-rules.json)
+  const safety = createSafetyLayerFromEnv(env, { log: fastify.log });
+
+  // Conversation sessions - backend chosen by SESSION_STORE (memory or file)
+  const sessionStore = config.sessionStore || createSessionStore(env, { log: fastify.log });
+  const sessions = createSessionManager(sessionStore, env, { now: clock });
+
+  // Conversation history: token-budgeted recent turns plus a rolling summary of older ones
+  const historyManager = createHistoryManager(env, {
+    summarizer: env.HISTORY_SUMMARY_MODEL === 'true' ? summarizeHistoryWithModel : null,
+    log: fastify.log
+  });
+
+  // Rate limit tiers (free, premium, staff) and per-user overrides - reloads from RATE_LIMIT_TIERS_FILE
+  const tiers = createTierResolver({ rulesPath: env.RATE_LIMIT_TIERS_FILE, log: fastify.log });
+
+  // Admin API: blocked users and live limit/model overrides (kept in ADMIN_STATE_FILE if set,
+  // or in Redis next to the counters with RATE_LIMIT_STORE=redis), plus a buffer of recent errors
+  const adminAuthenticator = createAdminAuthenticator(authenticator, env);
+  const adminState = config.adminState || createAdminStateFromEnv(env, { now: clock, log: fastify.log });
+  const errorLog = createErrorLog(env, { now: clock });
+  applyAdminOverrides();
+
+  // A shared admin state is reloaded before every request, so blocks and overrides made
+  // through any replica apply here too
+  if (adminState.refresh) {
+    fastify.addHook('onRequest', async () => {
+      const previousRoutes = adminState.state.routes;
+      if (await adminState.refresh()) applyAdminOverrides(previousRoutes);
+    });
+  }
+
+  // Rate limiting store - backend chosen by RATE_LIMIT_STORE (memory, file or redis)
+  const rateLimitStore = config.rateLimitStore || createRateLimitStore(env, { now: clock, log: fastify.log });
+
+  // Cached answers to repeatable first turns - RESPONSE_CACHE_STORE (memory, redis or off)
+  const responseCache = createResponseCacheFromEnv(env, { now: clock, log: fastify.log });
+
+  // Append-only record of every answered chat request - USAGE_LEDGER_STORE (file, memory or off)
+  const usageLedger = createUsageLedgerFromEnv(env, { log: fastify.log, now: clock });
+
+  // Error codes for the limit a rejected request hit
+  const RATE_LIMIT_ERROR_CODES = {
+    window: 'rate_limited',
+    daily_requests: 'daily_limit_reached',
+    daily_cost: 'daily_budget_reached'
+  };
+
+  /**
+   * The timezone whose midnight resets a caller's daily limits
+   */
+  function rateLimitTimeZone(auth) {
+    const claimed = auth?.authenticated ? auth.claims?.zoneinfo : null;
+    return isValidTimeZone(claimed) ? claimed : DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Check and update rate limits for a user against their tier's limits.
+   * The request window slides (see lib/rate-limit-periods.js) and the daily limits reset
+   * at midnight in `timeZone`.
+   * Counters are incremented first and rolled back if a limit is exceeded, so the check
+   * stays atomic when several replicas share the store.
+   * On success, reserves estimatedCost (cents) against the daily budget; the returned
+   * reservation takes the cost of later model calls (see reserveCost) and must be passed to
+   * settleReservation once the real cost is known.
+   * Every result carries `quota` for the RateLimit-* response headers. Blocked results name
+   * the `limit` that was hit (window, daily_requests or daily_cost); callers word the message.
+   */
+  async function checkRateLimit(userId, estimatedCost, tier, timeZone = DEFAULT_TIMEZONE, log = fastify.log) {
+    const limits = tier.limits;
+    const now = clock();
+    const windowStart = Math.floor(now / limits.windowMs) * limits.windowMs;
+    const day = dayBounds(now, timeZone);
+    
+    const userKey = userId || 'anonymous';
+    const periods = { windowStart, windowMs: limits.windowMs, dailyStart: day.start };
+    const deltas = { requests: 1, dailyRequests: 1, reservedCost: estimatedCost };
+    
+    const userData = await rateLimitStore.increment(userKey, periods, deltas);
+    const rollback = () => rateLimitStore.increment(userKey, periods, {
+      requests: -1,
+      dailyRequests: -1,
+      reservedCost: -estimatedCost
+    });
+    const windowCount = slidingWindowCount(userData, now, limits.windowMs);
+    
+    const usage = {
+      userKey,
+      tier: tier.name,
+      timeZone,
+      windowRequests: windowCount,
+      maxRequests: limits.maxRequests,
+      dailyRequests: userData.dailyRequests,
+      dailyLimit: limits.dailyLimit,
+      dailyCostCents: userData.dailyCost,
+      reservedCostCents: userData.reservedCost
+    };
+    
+    // Counts without this request, for blocked results
+    const before = { ...userData, requests: userData.requests - 1, dailyRequests: userData.dailyRequests - 1 };
+    const dailyResetSeconds = Math.ceil((day.end - now) / 1000);
+    const quota = (windowUsed, dailyUsed, windowResetSeconds) => ({
+      window: {
+        limit: limits.maxRequests,
+        remaining: Math.max(0, limits.maxRequests - windowUsed),
+        resetSeconds: windowResetSeconds,
+        windowSeconds: Math.round(limits.windowMs / 1000)
+      },
+      daily: {
+        limit: limits.dailyLimit,
+        remaining: Math.max(0, limits.dailyLimit - dailyUsed),
+        resetSeconds: dailyResetSeconds,
+        windowSeconds: Math.round((day.end - day.start) / 1000)
+      }
+    });
+    const windowEndSeconds = Math.ceil((windowStart + limits.windowMs - now) / 1000);
+    
+    // Blocked results say which tier applied and how to get more
+    const blocked = (type, result) => {
+      metrics.rateLimitRejections.inc({ type, tier: tier.name });
+      log.warn({ ...usage, limit: type }, `🚫 Rate limit rejected request (${type})`);
+      return {
+        allowed: false,
+        limit: type,
+        ...result,
+        tier: tier.name,
+        upgrade: tier.upgrade
+      };
+    };
+    
+    // Check the sliding request window
+    if (windowCount > limits.maxRequests) {
+      await rollback();
+      const retryAfter = slidingWindowRetryAfter(before, now, limits.windowMs, limits.maxRequests);
+      return blocked('window', {
+        rateLimitExceeded: true,
+        retryAfter,
+        quota: quota(limits.maxRequests, before.dailyRequests, retryAfter)
+      });
+    }
+    
+    // Check daily request limit
+    if (userData.dailyRequests > limits.dailyLimit) {
+      await rollback();
+      return blocked('daily_requests', {
+        dailyLimitExceeded: true,
+        retryAfter: dailyResetSeconds,
+        quota: quota(windowCount - 1, limits.dailyLimit, windowEndSeconds)
+      });
+    }
+    
+    // Refusal for the daily cost limit, here or when reserveCost can't cover a later model call
+    const overBudget = () => blocked('daily_cost', {
+      dailyLimitExceeded: true,
+      retryAfter: dailyResetSeconds,
+      // The cost budget has no header of its own, so it shows as an exhausted daily quota
+      quota: quota(windowCount - 1, limits.dailyLimit, windowEndSeconds)
+    });
+    
+    // Check daily cost limit, counting in-flight reservations (including this one).
+    // Requests that cost nothing (cache hits) are still served once the budget is spent.
+    const projectedCost = userData.dailyCost + userData.reservedCost;
+    if (estimatedCost > 0 && projectedCost > limits.dailyCostLimit) {
+      await rollback();
+      return overBudget();
+    }
+    
+    log.info({ ...usage, reservedNowCents: estimatedCost }, '📊 Rate limit check passed');
+    
+    const windowResetSeconds = windowCount >= limits.maxRequests
+      ? slidingWindowRetryAfter(userData, now, limits.windowMs, limits.maxRequests)
+      : windowEndSeconds;
+    
+    return {
+      allowed: true,
+      reservation: {
+        userKey,
+        periods,
+        dailyCostLimit: limits.dailyCostLimit,
+        amount: estimatedCost,
+        spent: 0, // Cents already spent on earlier model calls for this request
+        settled: false,
+        log,
+        overBudget
+      },
+      quota: quota(windowCount, userData.dailyRequests, windowResetSeconds)
+    };
+  }
+
+  /**
+   * Set the RateLimit-* headers from a checkRateLimit result. The headers describe whichever
+   * quota has the fewest requests left; RateLimit-Policy lists both. Blocked results also
+   * get Retry-After.
+   */
+  function setRateLimitHeaders(reply, result) {
+    const { window, daily } = result.quota;
+    const tightest = daily.remaining < window.remaining ? daily : window;
+    
+    reply.header('RateLimit-Limit', tightest.limit);
+    reply.header('RateLimit-Remaining', tightest.remaining);
+    reply.header('RateLimit-Reset', tightest.resetSeconds);
+    reply.header('RateLimit-Policy', `${window.limit};w=${window.windowSeconds}, ${daily.limit};w=${daily.windowSeconds}`);
+    if (!result.allowed) {
+      reply.header('Retry-After', result.retryAfter);
+    }
+  }
+
+  /**
+   * Refuse a chat request that hit a limit: 429 for the request window, 402 for the daily
+   * limits. `t` words the message in the user's language.
+   */
+  function sendRateLimited(reply, result, t) {
+    return reply.code(result.rateLimitExceeded ? 429 : 402).send({
+      error: t(`errors.rateLimit.${result.limit}`, {
+        minutes: Math.ceil(result.retryAfter / 60),
+        dailyLimit: result.quota.daily.limit
+      }),
+      code: RATE_LIMIT_ERROR_CODES[result.limit],
+      limit: result.limit,
+      rateLimitExceeded: result.rateLimitExceeded,
+      dailyLimitExceeded: result.dailyLimitExceeded,
+      retryAfter: result.retryAfter,
+      tier: result.tier,
+      upgrade: result.upgrade
+    });
+  }
+
+  /**
+   * Reserve `amount` more cents on a request's reservation before another model call for it.
+   * The daily cost budget is checked again, counting every in-flight reservation. Resolves
+   * with false, reserving nothing, when the budget can't cover the call.
+   */
+  async function reserveCost(reservation, amount) {
+    if (!(amount > 0)) return true;
+    const { userKey, periods } = reservation;
+    const userData = await rateLimitStore.increment(userKey, { dailyStart: periods.dailyStart }, { reservedCost: amount });
+    if (userData.dailyCost + userData.reservedCost <= reservation.dailyCostLimit) {
+      reservation.amount += amount;
+      return true;
+    }
+    await rateLimitStore.increment(userKey, { dailyStart: periods.dailyStart }, { reservedCost: -amount });
+    return false;
+  }
+
+  /**
+   * Refuse a request whose answer the cost budget can't cover. It is uncounted like any
+   * other refused request; only what earlier model calls for it spent is charged.
+   * Resolves with the daily_cost result checkRateLimit would have given.
+   */
+  async function refuseOverBudget(reservation) {
+    reservation.settled = true;
+    await rateLimitStore.increment(reservation.userKey, reservation.periods, {
+      requests: -1,
+      dailyRequests: -1,
+      reservedCost: -reservation.amount,
+      dailyCost: reservation.spent
+    });
+    return reservation.overBudget();
+  }
+
+  /**
+   * Reserve the worst-case cost of a side model call (intent classification, history
+   * summary) on the request's reservation. Throws when the budget can't cover it, so the
+   * caller does without the model.
+   */
+  async function reserveModelCall(reservation, provider, params) {
+    if (reservation && !(await reserveCost(reservation, estimateRequestCost({ model: provider.model, ...params }, provider.pricing)))) {
+      throw new Error('The daily cost budget cannot cover this model call');
+    }
+  }
+
+  /**
+   * Release a cost reservation and charge the actual cost (cents) of the answer, plus
+   * whatever earlier model calls for the request spent, instead.
+   * Safe to call more than once; only the first call has any effect.
+   */
+  async function settleReservation(reservation, actualCost) {
+    if (!reservation || reservation.settled) return;
+    reservation.settled = true;
+    const chargedCost = reservation.spent + actualCost;
+    if (reservation.amount === 0 && chargedCost === 0) return;
+    
+    try {
+      // A reservation from a previous day was already cleared by the daily reset
+      await rateLimitStore.increment(reservation.userKey, { dailyStart: reservation.periods.dailyStart }, {
+        reservedCost: -reservation.amount,
+        dailyCost: chargedCost
+      });
+      reservation.log.info({ userKey: reservation.userKey, reservedCents: reservation.amount, chargedCents: chargedCost }, '💰 Settled cost');
+    } catch (error) {
+      reservation.log.error({ userKey: reservation.userKey, err: error }, '❌ Failed to settle cost');
+      errorLog.record({ source: 'billing', message: `Failed to settle cost: ${error.message}`, userKey: reservation.userKey });
+    }
+  }
+
+  /**
+   * Remove old rate limit data, expired sessions and usage entries past their retention
+   */
+  async function cleanup() {
+    const now = clock();
+    
+    try {
+      // Remove data older than 1 hour whose day has ended in every timezone (days last up to 25 hours)
+      const removed = await rateLimitStore.cleanup({
+        windowBefore: now - (60 * 60 * 1000),
+        dayBefore: now - DAY_MS - (60 * 60 * 1000)
+      });
+      fastify.log.info({ removed, activeUsers: await rateLimitStore.size() }, '🧹 Rate limit cleanup completed');
+    } catch (error) {
+      fastify.log.error({ err: error }, '❌ Rate limit cleanup failed');
+    }
+    
+    try {
+      const expired = await sessions.cleanup();
+      if (expired > 0) fastify.log.info({ expired }, '🧹 Removed expired sessions');
+    } catch (error) {
+      fastify.log.error({ err: error }, '❌ Session cleanup failed');
+    }
+    
+    try {
+      const pruned = usageLedger ? await usageLedger.prune() : 0;
+      if (pruned > 0) fastify.log.info({ pruned, retentionDays: usageLedger.retentionDays }, '🧹 Pruned old usage ledger entries');
+    } catch (error) {
+      fastify.log.error({ err: error }, '❌ Usage ledger pruning failed');
+    }
+  }
+  
+  // Cleanup runs every hour while the app is up; the onClose hook below stops it
+  let cleanupTimer = null;
+  fastify.addHook('onReady', async () => {
+    cleanupTimer = setInterval(cleanup, CLEANUP_INTERVAL_MS);
+    
+    fastify.log.info({
+      ai: providers.describe(),
+      rateLimitStore: rateLimitStore.type,
+      sessionStore: sessionStore.type,
+      responseCache: responseCache ? responseCache.type : 'off',
+      usageLedger: usageLedger ? usageLedger.type : 'off',
+      prompts: prompts.describe(),
+      tiers: Object.keys(tiers.config.tiers),
+      defaultTier: tiers.config.defaultTier,
+      dailyResetTimeZone: DEFAULT_TIMEZONE,
+      auth: authenticator.enabled ? (authenticator.required ? 'required' : 'optional') : 'disabled (per-IP limits only)',
+      admin: adminAuthenticator.enabled ? `enabled (${[env.ADMIN_API_KEY && 'key', authenticator.enabled && 'role'].filter(Boolean).join(' or ')}), state ${adminState.type}` : 'disabled (set ADMIN_API_KEY)',
+      messageContentLogging: env.LOG_MESSAGE_CONTENT === 'true'
+    }, '🔧 Starting Sanctify AI Proxy');
+  });
+
+  // Health check endpoint
+  fastify.get('/health', { schema: routeSchemas.health }, async (request, reply) => {
+    const circuitBreakers = upstream.snapshot();
+    const upstreamDegraded = Object.values(circuitBreakers).some(breaker => breaker.state === 'open');
+    
+    return { 
+      status: upstreamDegraded ? 'degraded' : 'healthy', 
+      timestamp: new Date(clock()).toISOString(),
+      version: '1.0.0',
+      ai: {
+        ...providers.describe(),
+        circuitBreakers
+      },
+      rateLimiting: {
+        enabled: true,
+        store: rateLimitStore.type,
+        activeUsers: await rateLimitStore.size(),
+        ...tiers.describe()
+      },
+      prompts: prompts.describe(),
+      responseCache: responseCache
+        ? { enabled: true, store: responseCache.type, ...responseCache.stats() }
+        : { enabled: false },
+      usageLedger: usageLedger
+        ? { enabled: true, store: usageLedger.type, retentionDays: usageLedger.retentionDays }
+        : { enabled: false }
+    };
+  });
+
+  // Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers must send it as a bearer token.
+  fastify.get('/metrics', async (request, reply) => {
+    const token = env.METRICS_TOKEN;
+    if (token) {
+      const given = Buffer.from(request.headers.authorization || '');
+      const expected = Buffer.from(`Bearer ${token}`);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return reply.code(401).send({ error: 'Metrics token required', code: 'unauthorized' });
+      }
+    }
+    
+    return reply
+      .header('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+      .send(metrics.registry.render());
+  });
+
+  // OpenAPI 3.1 document for the /v1 API, built from the route schemas on first request
+  // (every route is registered by then)
+  let openApiDocument = null;
+  fastify.get('/docs/openapi.json', { schema: { hide: true } }, async () => {
+    openApiDocument = openApiDocument || createOpenApiDocument({
+      info: {
+        title: 'Sanctify AI Proxy',
+        version: require('./package.json').version,
+        description: 'Spiritual guidance chat, sessions and Bible passages. Errors are { error, code }; branch on `code`.'
+      },
+      routes: documentedRoutes,
+      schemas: SHARED_SCHEMAS,
+      securitySchemes: SECURITY_SCHEMES
+    });
+    return openApiDocument;
+  });
+
+  // Bible passages from the bundled translation. /bible/random picks from the curated
+  // passages for a subject topic (or all of them).
+  registerApi(async (api) => {
+    api.get('/bible/random', { schema: routeSchemas.randomPassage }, async (request, reply) => {
+      try {
+        return bible.random({ topic: request.query.topic || null });
+      } catch (error) {
+        if (!(error instanceof BibleError)) throw error;
+        return reply.code(400).send({ error: error.message, code: error.code, validTopics: bible.topics });
+      }
+    });
+
+    api.get('/bible/:ref', { schema: routeSchemas.passage }, async (request, reply) => {
+      try {
+        return bible.lookup(request.params.ref.replace(/\+/g, ' '));
+      } catch (error) {
+        if (!(error instanceof BibleError)) throw error;
+        return reply.code(error.code === 'reference_not_found' ? 404 : 400).send({ error: error.message, code: error.code });
+      }
+    });
+  });
+
+  // Rate limit status for the caller's own key. Other users' status is only available
+  // through GET /admin/users/:userKey.
+  registerApi(async (api) => {
+    api.get('/rate-limit-status/:userId?', { schema: routeSchemas.rateLimitStatus, preHandler: authenticate }, async (request, reply) => {
+      const userId = request.auth.rateLimitKey;
+      if (request.params.userId && request.params.userId !== userId) {
+        return reply.code(403).send({ error: 'You can only view your own rate limit status', code: 'forbidden' });
+      }
+      const tier = tiers.resolve(request.auth);
+      const tierInfo = { name: tier.name, source: tier.source, overridden: tier.overridden, upgrade: tier.upgrade };
+      const limits = tier.limits;
+      const timeZone = rateLimitTimeZone(request.auth);
+      const userData = await rateLimitStore.get(userId);
+      
+      if (!userData) {
+        return {
+          userId,
+          status: 'No rate limit data',
+          tier: tierInfo,
+          timeZone,
+          limits
+        };
+      }
+      
+      // Stored counters may belong to an earlier window or day; read them as the next increment would
+      const now = clock();
+      const windowStart = Math.floor(now / limits.windowMs) * limits.windowMs;
+      const window = userData.windowStart === windowStart ? userData : {
+        windowStart,
+        requests: 0,
+        previousRequests: windowStart - userData.windowStart === limits.windowMs ? userData.requests : 0
+      };
+      const day = dayBounds(now, timeZone);
+      const daily = userData.dailyStart >= day.start ? userData : { dailyRequests: 0, dailyCost: 0, reservedCost: 0 };
+      
+      return {
+        userId,
+        tier: tierInfo,
+        timeZone,
+        currentWindow: {
+          requests: slidingWindowCount(window, now, limits.windowMs), // Includes the overlapping part of the previous window
+          maxRequests: limits.maxRequests,
+          timeLeftSeconds: Math.ceil((windowStart + limits.windowMs - now) / 1000)
+        },
+        daily: {
+          requests: daily.dailyRequests,
+          maxRequests: limits.dailyLimit,
+          cost: daily.dailyCost + daily.reservedCost, // Counted against maxCost
+          settledCost: daily.dailyCost, // Charged from provider usage
+          reservedCost: daily.reservedCost, // Held for in-flight requests
+          maxCost: limits.dailyCostLimit,
+          resetsAt: new Date(day.end).toISOString(),
+          timeLeftSeconds: Math.ceil((day.end - now) / 1000)
+        },
+        limits
+      };
+    });
+  });
+
+  // Route names the admin API can change: the default route, topics, and internal model calls
+  const ADMIN_ROUTE_NAMES = ['default', ...VALID_TOPICS, 'intent', 'summary'];
+
+  /**
+   * Apply saved admin overrides (limits and model routes) on startup, and again whenever
+   * a shared admin state brings changes from another replica. Routes in `previousRoutes`
+   * that are gone go back to the env routing.
+   * An override that no longer validates is logged and skipped.
+   */
+  function applyAdminOverrides(previousRoutes = {}) {
+    const { tiers: tierOverrides, users, routes } = adminState.state;
+    try {
+      tiers.setRuntimeOverrides({ tiers: tierOverrides, users });
+    } catch (error) {
+      fastify.log.error(`❌ Saved admin limit overrides are invalid, ignoring them: ${error.message}`);
+    }
+    for (const name of Object.keys(previousRoutes).filter(name => !routes[name])) {
+      try {
+        providers.setRoute(name, null);
+      } catch (error) {
+        fastify.log.error(`❌ Could not restore the configured ${name} route: ${error.message}`);
+      }
+    }
+    for (const [name, route] of Object.entries(routes)) {
+      try {
+        providers.setRoute(name, route);
+      } catch (error) {
+        fastify.log.error(`❌ Saved admin route for ${name} is invalid, ignoring it: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Admin view of one rate limit key
+   */
+  async function describeAdminUser(userKey) {
+    const tier = tiers.resolve({ rateLimitKey: userKey });
+    return {
+      userKey,
+      tier: { name: tier.name, source: tier.source, overridden: tier.overridden },
+      limits: tier.limits,
+      counters: await rateLimitStore.get(userKey),
+      blocked: adminState.blockFor(userKey),
+      override: adminState.state.users[userKey] || null
+    };
+  }
+
+  /**
+   * Only the tier and limit fields of an admin request body
+   */
+  function pickOverride(body, { allowTier }) {
+    const override = {};
+    if (allowTier && body.tier !== undefined) override.tier = body.tier;
+    for (const field of LIMIT_FIELDS) {
+      if (body[field] !== undefined) override[field] = body[field];
+    }
+    return override;
+  }
+
+  /**
+   * Resolve the admin caller before any /admin handler runs
+   */
+  async function authenticateAdmin(request, reply) {
+    try {
+      request.admin = adminAuthenticator.authenticate(request);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      request.log.warn({ code: error.code }, `🔒 Admin authentication failed: ${error.message}`);
+      return reply
+        .code(error.code === 'forbidden' ? 403 : 401)
+        .send({ error: error.message, code: error.code });
+    }
+  }
+
+  // Admin API - every route needs the X-Admin-Key header (ADMIN_API_KEY) or a bearer token
+  // with the ADMIN_ROLE role. Changes apply immediately: to every replica with
+  // RATE_LIMIT_STORE=redis (the admin state is shared), otherwise to this instance only.
+  registerApi(async (admin) => {
+    admin.addHook('preHandler', authenticateAdmin);
+    
+    const invalid = (reply, error) => reply.code(400).send({ error, code: 'invalid_request' });
+    const logChange = (request, change) => request.log.info({ admin: request.admin.subject }, `🛠️ Admin: ${change}`);
+    
+    // Active users, most recently seen first
+    admin.get('/users', { schema: routeSchemas.admin.listUsers }, async (request) => {
+      const limit = Math.min(Number(request.query.limit) || 100, 1000);
+      const users = await rateLimitStore.list({ limit });
+      return {
+        store: rateLimitStore.type,
+        activeUsers: await rateLimitStore.size(),
+        users: users.map(({ userKey, ...counters }) => ({
+          userKey,
+          tier: tiers.resolve({ rateLimitKey: userKey }).name,
+          blocked: Boolean(adminState.blockFor(userKey)),
+          counters
+        }))
+      };
+    });
+    
+    admin.get('/users/:userKey', { schema: routeSchemas.admin.getUser }, async (request) => describeAdminUser(request.params.userKey));
+    
+    // Clear all counters and cost reservations
+    admin.post('/users/:userKey/reset', { schema: routeSchemas.admin.resetUser }, async (request) => {
+      const { userKey } = request.params;
+      await rateLimitStore.delete(userKey);
+      logChange(request, `reset counters for ${userKey}`);
+      return describeAdminUser(userKey);
+    });
+    
+    // Add to (or, with negative numbers, subtract from) the current counters
+    admin.post('/users/:userKey/adjust', { schema: routeSchemas.admin.adjustUser }, async (request, reply) => {
+      const { userKey } = request.params;
+      const body = request.body || {};
+      const deltas = {};
+      for (const field of ['requests', 'dailyRequests', 'dailyCost', 'reservedCost']) {
+        if (body[field] === undefined) continue;
+        if (typeof body[field] !== 'number' || !Number.isFinite(body[field])) {
+          return invalid(reply, `${field} must be a number`);
+        }
+        deltas[field] = body[field];
+      }
+      if (Object.keys(deltas).length === 0) {
+        return invalid(reply, 'Provide at least one of requests, dailyRequests, dailyCost, reservedCost');
+      }
+      
+      // Adjust the periods already stored, so the change never triggers a reset
+      const record = await rateLimitStore.get(userKey);
+      const { windowMs } = tiers.resolve({ rateLimitKey: userKey }).limits;
+      const now = clock();
+      const periods = record
+        ? { windowStart: record.windowStart, windowMs, dailyStart: record.dailyStart }
+        : { windowStart: Math.floor(now / windowMs) * windowMs, windowMs, dailyStart: dayBounds(now, DEFAULT_TIMEZONE).start };
+      await rateLimitStore.increment(userKey, periods, deltas);
+      logChange(request, `adjusted counters for ${userKey} by ${JSON.stringify(deltas)}`);
+      return describeAdminUser(userKey);
+    });
+    
+    admin.get('/blocked', { schema: routeSchemas.admin.listBlocked }, async () => ({ blocked: adminState.listBlocked() }));
+    
+    // Block a user, indefinitely or for `minutes`
+    admin.put('/users/:userKey/block', { schema: routeSchemas.admin.blockUser }, async (request, reply) => {
+      const { userKey } = request.params;
+      const { reason = null, minutes } = request.body || {};
+      if (minutes !== undefined && !(typeof minutes === 'number' && minutes > 0)) {
+        return invalid(reply, 'minutes must be a positive number');
+      }
+      const until = minutes ? new Date(clock() + minutes * 60 * 1000).toISOString() : null;
+      await adminState.block(userKey, { reason, until });
+      logChange(request, `blocked ${userKey}${until ? ` until ${until}` : ''}${reason ? ` (${reason})` : ''}`);
+      return describeAdminUser(userKey);
+    });
+    
+    admin.delete('/users/:userKey/block', { schema: routeSchemas.admin.unblockUser }, async (request, reply) => {
+      const { userKey } = request.params;
+      if (!(await adminState.unblock(userKey))) {
+        return reply.code(404).send({ error: 'User is not blocked', code: 'not_found' });
+      }
+      logChange(request, `unblocked ${userKey}`);
+      return describeAdminUser(userKey);
+    });
+    
+    // Per-user tier and limit overrides, on top of config/rate-limit-tiers.json
+    admin.put('/users/:userKey/limits', { schema: routeSchemas.admin.setUserLimits }, async (request, reply) => {
+      const { userKey } = request.params;
+      const override = pickOverride(request.body || {}, { allowTier: true });
+      if (Object.keys(override).length === 0) {
+        return invalid(reply, `Provide a tier or one of ${LIMIT_FIELDS.join(', ')}`);
+      }
+      try {
+        tiers.setRuntimeOverrides({
+          tiers: adminState.state.tiers,
+          users: { ...adminState.state.users, [userKey]: override }
+        });
+      } catch (error) {
+        return invalid(reply, error.message);
+      }
+      await adminState.setUserOverride(userKey, override);
+      logChange(request, `set limits for ${userKey} to ${JSON.stringify(override)}`);
+      return describeAdminUser(userKey);
+    });
+    
+    admin.delete('/users/:userKey/limits', { schema: routeSchemas.admin.clearUserLimits }, async (request) => {
+      const { userKey } = request.params;
+      await adminState.setUserOverride(userKey, null);
+      tiers.setRuntimeOverrides(adminState.state);
+      logChange(request, `cleared limit overrides for ${userKey}`);
+      return describeAdminUser(userKey);
+    });
+    
+    // Live configuration: effective tier limits, model routing and what admins changed
+    admin.get('/config', { schema: routeSchemas.admin.getConfig }, async () => ({
+      rateLimiting: tiers.describe(),
+      ai: providers.describe(),
+      prompts: prompts.describe(),
+      overrides: adminState.state,
+      stateStore: adminState.type
+    }));
+    
+    admin.put('/tiers/:name', { schema: routeSchemas.admin.setTierLimits }, async (request, reply) => {
+      const { name } = request.params;
+      const limits = pickOverride(request.body || {}, { allowTier: false });
+      if (Object.keys(limits).length === 0) {
+        return invalid(reply, `Provide one of ${LIMIT_FIELDS.join(', ')}`);
+      }
+      try {
+        tiers.setRuntimeOverrides({
+          tiers: { ...adminState.state.tiers, [name]: limits },
+          users: adminState.state.users
+        });
+      } catch (error) {
+        return invalid(reply, error.message);
+      }
+      await adminState.setTierLimits(name, limits);
+      logChange(request, `set ${name} tier limits to ${JSON.stringify(limits)}`);
+      return tiers.describe();
+    });
+    
+    admin.delete('/tiers/:name', { schema: routeSchemas.admin.clearTierLimits }, async (request) => {
+      await adminState.setTierLimits(request.params.name, null);
+      tiers.setRuntimeOverrides(adminState.state);
+      logChange(request, `cleared ${request.params.name} tier overrides`);
+      return tiers.describe();
+    });
+    
+    // Switch the provider or model for the default route, a topic, intent or summary calls
+    admin.put('/routes/:name', { schema: routeSchemas.admin.setRoute }, async (request, reply) => {
+      const { name } = request.params;
+      if (!ADMIN_ROUTE_NAMES.includes(name)) {
+        return invalid(reply, `Route must be one of ${ADMIN_ROUTE_NAMES.join(', ')}`);
+      }
+      const { provider, model, deployment } = request.body || {};
+      if (!provider && !model) {
+        return invalid(reply, 'Provide a provider, a model or both');
+      }
+      const route = Object.fromEntries(Object.entries({ provider, model, deployment }).filter(([, value]) => value));
+      try {
+        providers.setRoute(name, route);
+      } catch (error) {
+        return invalid(reply, error.message);
+      }
+      await adminState.setRoute(name, route);
+      logChange(request, `routed ${name} to ${JSON.stringify(route)}`);
+      return providers.describe();
+    });
+    
+    admin.delete('/routes/:name', { schema: routeSchemas.admin.clearRoute }, async (request, reply) => {
+      const { name } = request.params;
+      if (!ADMIN_ROUTE_NAMES.includes(name)) {
+        return invalid(reply, `Route must be one of ${ADMIN_ROUTE_NAMES.join(', ')}`);
+      }
+      providers.setRoute(name, null);
+      await adminState.setRoute(name, null);
+      logChange(request, `restored the configured ${name} route`);
+      return providers.describe();
+    });
+    
+    // Recent failures on this instance, newest first
+    admin.get('/errors', { schema: routeSchemas.admin.listErrors }, async (request) => ({
+      total: errorLog.total,
+      errors: errorLog.list({
+        limit: Math.min(Number(request.query.limit) || 50, errorLog.size),
+        source: request.query.source || null
+      })
+    }));
+  }, { prefix: '/admin' });
+
+  const USAGE_DEFAULT_DAYS = 7;
+  const USAGE_MAX_ROWS = 100000;
+
+  /**
+   * Epoch ms for a `from`/`to` query value: an ISO date or date-time. A plain date as `to`
+   * covers that whole day. Null when missing, NaN when invalid.
+   */
+  function parseUsageTime(value, { endOfDay = false } = {}) {
+    if (value === undefined || value === '') return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const start = Date.parse(`${value}T00:00:00Z`);
+      return endOfDay ? start + DAY_MS - 1 : start;
+    }
+    return Date.parse(value);
+  }
+
+  // Spend analytics from the usage ledger (admin only): raw entries, or totals grouped by
+  // topic, day or user, as JSON or CSV
+  registerApi(async (api) => {
+    api.get('/usage', { schema: routeSchemas.usage, preHandler: authenticateAdmin }, async (request, reply) => {
+      if (!usageLedger) {
+        return reply.code(404).send({ error: 'The usage ledger is disabled (USAGE_LEDGER_STORE=off)', code: 'not_found' });
+      }
+      const invalid = (error) => reply.code(400).send({ error, code: 'invalid_request' });
+      const { userId = null, groupBy = null, format = 'json' } = request.query;
+      
+      const to = parseUsageTime(request.query.to, { endOfDay: true }) ?? clock();
+      const from = parseUsageTime(request.query.from) ?? to - USAGE_DEFAULT_DAYS * DAY_MS;
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        return invalid('from and to must be ISO dates (2026-01-31) or date-times');
+      }
+      if (from > to) {
+        return invalid('from must be before to');
+      }
+      
+      const range = { from: new Date(from).toISOString(), to: new Date(to).toISOString(), userId };
+      const query = { from, to, userKey: userId };
+      const filename = `usage-${range.from.slice(0, 10)}-to-${range.to.slice(0, 10)}${groupBy ? `-by-${groupBy}` : ''}.csv`;
+      const sendCsv = (rows, fields) => reply
+        .header('Content-Type', 'text/csv; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="${filename}"`)
+        .send(toCsv(rows, fields));
+      
+      if (groupBy) {
+        const summary = await usageLedger.summarize({ ...query, groupBy });
+        if (format === 'csv') return sendCsv(summary.groups, SUMMARY_FIELDS);
+        return { ...range, groupBy, ...summary };
+      }
+      
+      const limit = Math.min(request.query.limit || 1000, USAGE_MAX_ROWS);
+      const { entries, truncated } = await usageLedger.entries({ ...query, limit });
+      if (truncated) reply.header('X-Truncated', 'true');
+      if (format === 'csv') return sendCsv(entries, CSV_FIELDS);
+      return { ...range, count: entries.length, truncated, entries };
+    });
+  });
+
+  /**
+   * Resolve the caller's identity before the handler runs.
+   * Invalid tokens are rejected; requests without one are limited per IP.
+   */
+  async function authenticate(request, reply) {
+    try {
+      request.auth = authenticator.authenticate(request);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      request.log.warn({ code: error.code }, `🔒 Authentication failed: ${error.message}`);
+      return reply
+        .code(401)
+        .header('WWW-Authenticate', `Bearer error="${error.code === 'missing_token' ? 'invalid_request' : 'invalid_token'}"`)
+        .send({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Turn away callers an admin has blocked. Runs after authenticate.
+   */
+  async function rejectBlocked(request, reply) {
+    const block = adminState.blockFor(request.auth.rateLimitKey);
+    if (block) {
+      request.log.warn({ userKey: request.auth.rateLimitKey }, '⛔ Blocked user refused');
+      return reply.code(403).send({
+        error: catalogs.t(chatLocale(request, request.body).code, 'errors.userBlocked'),
+        code: 'user_blocked',
+        until: block.until
+      });
+    }
+  }
+
+  // Route config for routes whose errors are worded in the user's language
+  const CHAT_ERRORS = { chatErrors: true };
+
+  // Chat body fields whose schema failures get their own code and a translated message.
+  // '' is the body itself (missing or not an object).
+  const CHAT_FIELD_ERRORS = {
+    '': { code: 'invalid_request', key: 'errors.bodyRequired' },
+    message: { code: 'message_required', key: 'errors.messageRequired' },
+    conversationHistory: { code: 'invalid_history' },
+    topic: { code: 'unknown_topic', key: 'errors.unknownTopic', extra: { validTopics: VALID_TOPICS } },
+    locale: { code: 'unknown_locale', key: 'errors.unknownLocale', extra: { validLocales: SUPPORTED_LOCALES } },
+    format: { code: 'unknown_format', key: 'errors.unknownFormat', extra: { validFormats: RESPONSE_MODES } }
+  };
+
+  /**
+   * The error response for a failed schema check. Chat routes answer in the user's
+   * language; everything else gets Fastify's description, e.g. "body/minutes must be number".
+   */
+  function describeValidationError(request, error) {
+    const [issue] = error.validation;
+    const field = issue.instancePath.split('/')[1] || issue.params?.missingProperty || issue.params?.additionalProperty || '';
+    const chatError = request.routeOptions.config?.chatErrors && error.validationContext === 'body' && Object.hasOwn(CHAT_FIELD_ERRORS, field)
+      ? CHAT_FIELD_ERRORS[field]
+      : null;
+    if (!chatError) {
+      return { error: error.message, code: 'invalid_request' };
+    }
+    
+    const body = request.body && typeof request.body === 'object' ? request.body : {};
+    const message = chatError.key
+      ? catalogs.t(chatLocale(request, body).code, chatError.key, {
+          topic: body.topic,
+          locale: body.locale,
+          format: body.format,
+          expected: (field === 'locale' ? SUPPORTED_LOCALES : RESPONSE_MODES).join(', ')
+        })
+      : error.message;
+    return { error: message, code: chatError.code, ...chatError.extra };
+  }
+
+  /**
+   * The error response for a locale we have no catalog for
+   */
+  function unknownLocaleError(language, locale) {
+    return {
+      error: catalogs.t(language, 'errors.unknownLocale', { locale, expected: SUPPORTED_LOCALES.join(', ') }),
+      code: 'unknown_locale',
+      validLocales: SUPPORTED_LOCALES
+    };
+  }
+
+  // AI Chat endpoint - optimized for speed
+  registerApi(async (api) => {
+    api.post('/ai/chat', { schema: routeSchemas.chat, config: CHAT_ERRORS, preHandler: [authenticate, rejectBlocked] }, async (request, reply) => {
+      return handleChat(request, reply, request.body);
+    });
+  });
+
+  /**
+   * Locale for a chat request: the body's `locale`, the language of the message or earlier
+   * user turns, Accept-Language, then DEFAULT_LOCALE. Resolves to { code, source }.
+   */
+  function chatLocale(request, input = {}) {
+    return resolveLocale({
+      requested: normalizeLocale(input?.locale),
+      message: typeof input?.message === 'string' ? input.message : null,
+      history: Array.isArray(input?.conversationHistory)
+        ? input.conversationHistory.filter(turn => turn && typeof turn.content === 'string')
+        : [],
+      acceptLanguage: request.headers['accept-language'],
+      defaultLocale: catalogs.defaultLocale
+    });
+  }
+
+  /**
+   * Locale summary for response metadata
+   */
+  function describeLocale(locale) {
+    return { code: locale.code, source: locale.source, ...catalogs.describe(locale.code) };
+  }
+
+  /**
+   * Shared chat pipeline for /ai/chat and session messages: validation, rate limiting,
+   * safety checks, intent detection, prompt building, the upstream call and the JSON or
+   * SSE response.
+   * `onComplete(content)` runs with the final answer before it is sent; `metadata` is
+   * merged into the response.
+   */
+  async function handleChat(request, reply, input, { onComplete = null, metadata = {} } = {}) {
+    const requestStart = Date.now();
+    const log = request.log;
+    let reservation = null;
+    
+    try {
+      const { message, conversationHistory = [], topic, format: responseMode = 'text' } = input;
+      
+      // Answer in the user's language; errors from here on use it too
+      const locale = chatLocale(request, input);
+      const t = (key, variables) => catalogs.t(locale.code, key, variables);
+      log.info({
+        userKey: request.auth.rateLimitKey,
+        userMessage: message,
+        messageLength: typeof message === 'string' ? message.length : null,
+        historyLength: Array.isArray(conversationHistory) ? conversationHistory.length : null,
+        topic,
+        format: responseMode,
+        locale: locale.code,
+        localeSource: locale.source
+      }, '🎯 Chat request received');
+      
+      // Types, topics and formats are checked by the route schema; blank messages and
+      // locales we have no catalog for are not
+      if (message.trim().length === 0) {
+        return reply.code(400).send({ 
+          error: t('errors.messageRequired'),
+          code: 'message_required'
+        });
+      }
+      if (message.length > MAX_MESSAGE_CHARS) {
+        return reply.code(400).send({ 
+          error: t('errors.messageTooLong', { max: MAX_MESSAGE_CHARS }),
+          code: 'message_too_long'
+        });
+      }
+      if (input.locale !== undefined && input.locale !== null && input.locale !== '' && !normalizeLocale(input.locale)) {
+        return reply.code(400).send(unknownLocaleError(locale.code, input.locale));
+      }
+      
+      // Only user/assistant turns with string content; anything else is rejected, not dropped
+      let history;
+      try {
+        history = validateHistory(conversationHistory);
+      } catch (error) {
+        if (!(error instanceof HistoryError)) throw error;
+        return reply.code(400).send({ error: error.message, code: error.code });
+      }
+      
+      const structured = responseMode === 'structured';
+      
+      // Crisis and dangerous messages caught by the local rules are answered here, without
+      // the model and before the limiter, so a caller over their limit still gets the
+      // hotline resources
+      const localSafety = await safety.checkInput(message, { locale: locale.code, moderate: false });
+      if (localSafety.action === 'crisis' || localSafety.action === 'block') {
+        logSafetyIntervention(log, 'input', localSafety.action, localSafety.reasons);
+        return sendSafetyResponse(request, reply, { safetyInput: localSafety, clientTopic: topic || null, locale, requestStart, onComplete, metadata });
+      }
+      
+      // Everything else counts against the caller's limits, before moderation or any model
+      // call. Model calls reserve their worst-case cost on the reservation as they go.
+      const tier = tiers.resolve(request.auth);
+      const rateLimitResult = await checkRateLimit(request.auth.rateLimitKey, 0, tier, rateLimitTimeZone(request.auth), log);
+      setRateLimitHeaders(reply, rateLimitResult);
+      if (!rateLimitResult.allowed) {
+        return sendRateLimited(reply, rateLimitResult, t);
+      }
+      reservation = rateLimitResult.reservation;
+      request.chatReservation = reservation;
+      
+      // The moderation call is paid, so it only runs for callers within their limits
+      const safetyInput = safety.moderated ? await safety.checkInput(message, { locale: locale.code }) : localSafety;
+      if (safetyInput.action !== 'allow') {
+        logSafetyIntervention(log, 'input', safetyInput.action, safetyInput.reasons);
+      }
+      if (safetyInput.action === 'crisis' || safetyInput.action === 'block') {
+        await settleReservation(reservation, 0);
+        return sendSafetyResponse(request, reply, { safetyInput, clientTopic: topic || null, locale, requestStart, onComplete, metadata });
+      }
+      
+      let finalTopic = 'conversational'; // Default
+      let intent = { name: finalTopic, confidence: 0, method: 'fallback' };
+      const clientTopic = topic || null;
+      
+      try {
+        const topicResolution = resolveTopic(clientTopic, null);
+        if (topicResolution.formatFromClient) {
+          // Explicit client topic overrides auto-detection
+          finalTopic = topicResolution.format;
+          intent = { name: finalTopic, confidence: 1, method: 'client' };
+          log.info({ clientTopic, format: finalTopic }, '🏷️ Client requested topic');
+        } else {
+          // Auto-detect the request type from configurable, weighted intent rules for the user's
+          // language. A model fallback call is reserved and charged on this request.
+          const classification = await intentClassifiers.classify(message, locale.code, { reservation });
+          finalTopic = classification.intent;
+          intent = {
+            name: classification.intent,
+            confidence: classification.confidence,
+            method: classification.method
+          };
+          
+          log.info({
+            subject: clientTopic,
+            intent: classification.intent,
+            confidence: classification.confidence,
+            method: classification.method,
+            scores: classification.scores,
+            matched: classification.matches.map(match => match.phrase || match.feature)
+          }, '🔍 Intent classified');
+        }
+      } catch (detectionError) {
+        log.error({ err: detectionError }, '❌ Error in message detection');
+        // Default to conversational format if detection fails
+        finalTopic = 'conversational';
+      }
+      request.chatTopic = finalTopic;
+      log.info({ topic: finalTopic }, '🎯 Final topic selected');
+      
+      // Resolve the AI provider chain for this topic and validate the primary's credentials
+      const providerChain = providers.resolveChain(finalTopic);
+      const provider = providerChain[0];
+      const providerConfigError = provider.validateConfig();
+      if (providerConfigError) {
+        log.error({ provider: provider.name }, `❌ AI provider misconfigured: ${providerConfigError}`);
+        errorLog.record({ source: 'chat', code: 'misconfigured', message: `${provider.name}: ${providerConfigError}`, userKey: request.auth.rateLimitKey });
+        return reply.code(500).send({ 
+          error: t('errors.misconfigured'),
+          code: 'misconfigured'
+        });
+      }
+      
+      // Keep the recent turns that fit the history token budget and summarize the rest.
+      // A model summary call is reserved and charged on this request.
+      const conversationLength = history.length;
+      const preparedHistory = await historyManager.prepare(history, { reservation });
+      const recentHistory = preparedHistory.messages;
+      
+      log.info({ history: preparedHistory.stats }, '📚 Prepared conversation history');
+      
+      // System prompt reinforcement: Re-inject system prompt every 3 messages to maintain formatting adherence
+      const shouldReinforcePrompt = conversationLength >= 3 && (conversationLength % 3 === 0);
+      
+      // Versioned system prompt plus the reminder for this format. Experiments assign
+      // each user a version, so formatting adherence can be compared between versions.
+      const prompt = prompts.select(request.auth.rateLimitKey);
+      const enhancedSystemPrompt = buildSpiritualPrompt(prompt.version, finalTopic, clientTopic, locale.code);
+      
+      // Older turns travel as a summary right after the system prompt
+      const summaryMessages = preparedHistory.summary
+        ? [{ role: 'system', content: `Summary of the earlier conversation:\n${preparedHistory.summary}` }]
+        : [];
+      
+      // Exact text of passages the user cites or the subject topic recommends
+      const scriptureMessages = locale.code === BIBLE_TEXT_LOCALE ? buildScriptureContext(message, clientTopic) : [];
+      
+      let messages;
+      if (shouldReinforcePrompt && recentHistory.length > 0) {
+        // Insert system prompt reinforcement in the middle of recent history to maintain context
+        const midPoint = Math.floor(recentHistory.length / 2);
+        messages = [
+          { role: 'system', content: enhancedSystemPrompt },
+          ...summaryMessages,
+          ...scriptureMessages,
+          ...recentHistory.slice(0, midPoint),
+          { role: 'system', content: enhancedSystemPrompt }, // Reinforcement injection
+          ...recentHistory.slice(midPoint),
+          { role: 'user', content: message }
+        ];
+        log.info({ format: finalTopic, position: midPoint + 1, historyMessages: recentHistory.length }, '🔄 Reinforced system prompt');
+      } else {
+        // Standard format with single system prompt
+        messages = [
+          { role: 'system', content: enhancedSystemPrompt },
+          ...summaryMessages,
+          ...scriptureMessages,
+          ...recentHistory,
+          { role: 'user', content: message }
+        ];
+      }
+      
+      log.info({ provider: provider.name, model: provider.model, messages: messages.length, format: finalTopic, locale: locale.code, promptVersion: prompt.version, experiment: prompt.experiment }, '🚀 Calling AI provider');
+      
+      // Sampling parameters: defaults tuned for speed and structure, overridden per format and topic
+      const completionParams = {
+        model: provider.model,
+        messages,
+        ...getModelParams(finalTopic, clientTopic)
+      };
+      
+      // First turns on cacheable topics may be answered from the response cache. The key
+      // includes the prompt text, so a prompt change starts a fresh cache.
+      const cacheTtl = responseCache && history.length === 0 && safetyInput.action === 'allow'
+        ? responseCache.ttlFor(finalTopic)
+        : 0;
+      const cacheEntry = cacheTtl > 0
+        ? {
+            key: cacheKey({ message, topic: finalTopic, clientTopic, format: responseMode, locale: locale.code, provider: provider.name, model: provider.model, promptVersion: prompt.version, prompt: enhancedSystemPrompt }),
+            ttl: cacheTtl
+          }
+        : null;
+      const cachedResponse = cacheEntry ? await responseCache.get(cacheEntry.key) : null;
+      if (cacheEntry) metrics.responseCacheLookups.inc({ topic: finalTopic, result: cachedResponse ? 'hit' : 'miss' });
+      
+      // Cache hits cost nothing, so they are answered even once the cost budget is spent
+      if (cachedResponse) {
+        log.info({ topic: finalTopic }, '♻️ Answered from the response cache');
+        await settleReservation(reservation, 0);
+        return sendCachedResponse(request, reply, { cachedResponse, clientTopic, intent, prompt, locale, historyStats: preparedHistory.stats, requestStart, onComplete, metadata });
+      }
+      
+      // Reserve the worst-case cost of this prompt until the real usage is known
+      if (!(await reserveCost(reservation, estimateRequestCost(completionParams, provider.pricing)))) {
+        const overBudget = await refuseOverBudget(reservation);
+        setRateLimitHeaders(reply, overBudget);
+        return sendRateLimited(reply, overBudget, t);
+      }
+      
+      // Streaming mode: relay token deltas over SSE instead of waiting for the full completion
+      if (wantsEventStream(request)) {
+        log.info({ format: finalTopic }, '📡 Streaming response via SSE');
+        await streamChatResponse(reply, { providerChain, completionParams, requestStart, reservation, format: finalTopic, structured, clientTopic, intent, prompt, locale, historyStats: preparedHistory.stats, safetyInput, cacheEntry, onComplete, metadata });
+        return reply;
+      }
+      
+      // Call the AI provider, retrying and failing over along the chain
+      const upstreamStart = Date.now();
+      let upstreamResult;
+      try {
+        upstreamResult = await upstream.call(providerChain, p => p.buildRequest(completionParams));
+        log.info({
+          provider: upstreamResult.provider.name,
+          model: upstreamResult.provider.model,
+          durationMs: Date.now() - upstreamStart,
+          attempts: upstreamResult.attempts
+        }, '📡 AI provider call completed');
+      } catch (upstreamError) {
+        if (!(upstreamError instanceof UpstreamError)) throw upstreamError;
+        log.error({ code: upstreamError.code }, `❌ AI upstream unavailable: ${upstreamError.message}`);
+        errorLog.record({ source: 'chat', code: upstreamError.code, message: upstreamError.message, userKey: request.auth.rateLimitKey });
+        await settleReservation(reservation, 0);
+        if (upstreamError.retryAfter) reply.header('Retry-After', upstreamError.retryAfter);
+        return reply.code(503).send({ 
+          error: t('errors.unavailable'),
+          code: upstreamError.code,
+          retryAfter: upstreamError.retryAfter || undefined
+        });
+      }
+      
+      const { response, provider: usedProvider } = upstreamResult;
+      const networkTime = Date.now() - upstreamStart;
+      
+      // Parse response
+      const parseStart = Date.now();
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        log.error({ provider: usedProvider.name, err: parseError }, '❌ Error parsing AI response');
+        throw new Error(`Response parsing failed: ${parseError.message}`);
+      }
+      const completion = usedProvider.parseResponse(data);
+      const parseTime = Date.now() - parseStart;
+      
+      // Charge what the provider actually billed for this completion
+      const completionCost = chargeCompletion(usedProvider, completion.usage, completionParams.messages, completion.content);
+      
+      if (!completion.content) {
+        await settleReservation(reservation, completionCost);
+        log.error({ provider: usedProvider.name, response: data }, '❌ No content in AI response');
+        errorLog.record({ source: 'chat', code: 'empty_response', message: `No content in ${usedProvider.name} response`, userKey: request.auth.rateLimitKey });
+        return reply.code(500).send({ 
+          error: t('errors.emptyResponse'),
+          code: 'empty_response'
+        });
+      }
+      
+      // Check the output against the requested format, repairing or regenerating once if needed
+      const formatResult = await enforceResponseFormat(finalTopic, completion.content, { providerChain, completionParams, locale: locale.code, log });
+      recordFormatAdherence(prompt.version, formatResult.validation);
+      const safetyOutput = await checkOutputSafety(formatResult.content, log, locale.code);
+      const content = safetyOutput.content;
+      await settleReservation(reservation, completionCost + formatResult.cost);
+      
+      const tokens = usageTokens(completion.usage, completionParams.messages, completion.content);
+      await recordUsage(request, {
+        requestStart,
+        clientTopic,
+        locale,
+        provider: usedProvider,
+        promptTokens: tokens.prompt_tokens + (formatResult.tokens?.prompt_tokens || 0),
+        completionTokens: tokens.completion_tokens + (formatResult.tokens?.completion_tokens || 0),
+        costCents: completionCost + formatResult.cost,
+        outcome: 'answered',
+        attempts: upstreamResult.attempts,
+        failover: upstreamResult.failover
+      });
+      
+      // Performance timing
+      const totalTime = Date.now() - requestStart;
+      
+      log.info({ assistantMessage: content, networkTime, parseTime, totalTime }, '⚡ Chat response ready');
+      
+      // Parse and structure the response
+      let structuredResponse;
+      try {
+        structuredResponse = parseAIResponse(content, { format: finalTopic, structured, locale: locale.code, log });
+      } catch (structureError) {
+        log.error({ err: structureError }, '❌ Error structuring response');
+        // Return basic response if structuring fails
+        structuredResponse = {
+          content: content.trim(),
+          verseReferences: [],
+          contentType: 'spiritual_guidance',
+          formattedAt: new Date(clock()).toISOString()
+        };
+      }
+      
+      if (onComplete) await onComplete(structuredResponse.content);
+      
+      const details = {
+        formatValidation: formatResult.validation,
+        safety: describeSafety(safetyInput, safetyOutput),
+        upstream: describeUpstream(upstreamResult)
+      };
+      await cacheResponse(cacheEntry, structuredResponse, details);
+      
+      return reply.send({
+        ...structuredResponse,
+        ...metadata,
+        topic: clientTopic,
+        intent,
+        prompt,
+        locale: describeLocale(locale),
+        formatValidation: details.formatValidation,
+        history: preparedHistory.stats,
+        safety: details.safety,
+        upstream: details.upstream,
+        cached: false,
+        performance: {
+          networkTime,
+          parseTime,
+          totalTime
+        },
+        timestamp: new Date(clock()).toISOString()
+      });
+      
+    } catch (error) {
+      const totalTime = Date.now() - requestStart;
+      await settleReservation(reservation, 0);
+      log.error({
+        err: error,
+        userMessage: input.message,
+        topic: input.topic,
+        historyLength: input.conversationHistory?.length || 0,
+        totalTime
+      }, '🚨 Error in AI chat');
+      errorLog.record({ source: 'chat', code: 'internal_error', message: error.message, userKey: request.auth?.rateLimitKey });
+      
+      return reply.code(500).send({ 
+        error: catalogs.t(chatLocale(request, input).code, 'errors.internal'),
+        code: 'internal_error',
+        requestId: request.id,
+        timestamp: new Date(clock()).toISOString()
+      });
+    }
+  }
+
+  // Sessions answering a message right now; a second message would race on the transcript
+  const busySessions = new Set();
+
+  // Server-side sessions - the transcript lives here, so clients send only the new message
+  registerApi(async (api) => {
+    api.post('/sessions', { schema: routeSchemas.createSession, config: CHAT_ERRORS, preHandler: [authenticate, rejectBlocked] }, async (request, reply) => {
+      const topic = request.body.topic || null;
+      
+      // Messages in the session default to this locale
+      const locale = request.body.locale || null;
+      if (locale !== null && !normalizeLocale(locale)) {
+        return reply.code(400).send(unknownLocaleError(chatLocale(request, request.body).code, locale));
+      }
+      
+      const session = await sessions.create(request.auth.rateLimitKey, { topic, locale: normalizeLocale(locale) });
+      request.log.info({ sessionId: session.id, userKey: request.auth.rateLimitKey }, '🗂️ Created session');
+      return reply.code(201).send(describeSession(session));
+    });
+
+    api.get('/sessions/:id', { schema: routeSchemas.getSession, preHandler: authenticate }, async (request, reply) => {
+      const session = await sessions.get(request.params.id, request.auth.rateLimitKey);
+      if (!session) {
+        return reply.code(404).send({ error: 'Session not found', code: 'not_found' });
+      }
+      return describeSession(session);
+    });
+
+    api.delete('/sessions/:id', { schema: routeSchemas.deleteSession, preHandler: authenticate }, async (request, reply) => {
+      const removed = await sessions.delete(request.params.id, request.auth.rateLimitKey);
+      if (!removed) {
+        return reply.code(404).send({ error: 'Session not found', code: 'not_found' });
+      }
+      return reply.code(204).send();
+    });
+
+    api.post('/sessions/:id/messages', { schema: routeSchemas.sessionMessage, config: CHAT_ERRORS, preHandler: [authenticate, rejectBlocked] }, async (request, reply) => {
+      const session = await sessions.get(request.params.id, request.auth.rateLimitKey);
+      if (!session) {
+        return reply.code(404).send({ error: 'Session not found', code: 'not_found' });
+      }
+      if (busySessions.has(session.id)) {
+        return reply.code(409).send({ error: 'Session is already answering a message', code: 'session_busy' });
+      }
+      
+      const { message, topic = session.topic, format, locale = session.locale } = request.body;
+      busySessions.add(session.id);
+      try {
+        return await handleChat(request, reply, {
+          message,
+          topic,
+          format,
+          locale,
+          conversationHistory: session.messages.map(({ role, content }) => ({ role, content }))
+        }, {
+          metadata: { sessionId: session.id },
+          // Only answered turns are stored, so a failed call can simply be retried
+          onComplete: (content) => sessions.append(session, [
+            { role: 'user', content: message },
+            { role: 'assistant', content }
+          ])
+        });
+      } finally {
+        busySessions.delete(session.id);
+      }
+    });
+  });
+
+  /**
+   * Token counts from the provider's usage block, estimated from the text when there is none
+   */
+  function usageTokens(usage, messages, content) {
+    return usage || {
+      prompt_tokens: estimatePromptTokens(messages),
+      completion_tokens: content ? estimateTokens(content) : 0
+    };
+  }
+
+  /**
+   * Cost (cents) of a completion from its token counts (see usageTokens).
+   * Counts the tokens and spend in /metrics.
+   */
+  function chargeCompletion(provider, usage, messages, content) {
+    const tokens = usageTokens(usage, messages, content);
+    const cost = calculateUsageCost(provider.model, tokens, provider.pricing);
+    
+    const labels = { provider: provider.name, model: provider.model };
+    metrics.tokens.inc({ ...labels, type: 'prompt' }, tokens.prompt_tokens || 0);
+    metrics.tokens.inc({ ...labels, type: 'completion' }, tokens.completion_tokens || 0);
+    metrics.spend.inc(labels, cost);
+    return cost;
+  }
+
+  /**
+   * Ask the model to pick an intent when the keyword rules are unsure.
+   * Uses the 'intent' route of AI_TOPIC_ROUTES if configured, so a cheaper model can do this.
+   * The call is reserved and charged on the chat request's `reservation`.
+   */
+  async function classifyIntentWithModel(message, intents, { reservation = null } = {}) {
+    const intentList = intents.map(intent => `- ${intent.name}: ${intent.description}`).join('\n');
+    const chain = providers.resolveChain('intent');
+    const params = {
+      messages: [
+        {
+          role: 'system',
+          content: `Classify the user's message into exactly one intent:\n${intentList}\n\nReply with JSON only: {"intent": "<name>", "confidence": <0-1>}`
+        },
+        { role: 'user', content: message }
+      ],
+      max_tokens: 30,
+      temperature: 0
+    };
+    await reserveModelCall(reservation, chain[0], params);
+    const { response, provider } = await upstream.call(chain, p => p.buildRequest(params));
+    
+    const { content, usage } = provider.parseResponse(await response.json());
+    const cost = chargeCompletion(provider, usage, [{ role: 'user', content: message }], content);
+    if (reservation) reservation.spent += cost;
+    const parsed = JSON.parse(content.match(/\{[\s\S]*\}/)?.[0] || content);
+    return {
+      intent: parsed.intent,
+      confidence: Math.max(0, Math.min(1, Number(parsed.confidence) || 0))
+    };
+  }
+
+  /**
+   * Answer a crisis or blocked message without calling the model, as JSON or SSE
+   */
+  async function sendSafetyResponse(request, reply, { safetyInput, clientTopic, locale, requestStart, onComplete, metadata }) {
+    const content = safety.interventionMessage(safetyInput, { locale: locale.code });
+    if (onComplete) await onComplete(content);
+    
+    const payload = {
+      ...parseAIResponse(content, { locale: locale.code }),
+      contentType: safetyInput.action === 'crisis' ? 'crisis_support' : 'safety_refusal',
+      ...metadata,
+      topic: clientTopic,
+      locale: describeLocale(locale),
+      safety: describeSafety(safetyInput, null),
+      performance: { totalTime: Date.now() - requestStart },
+      timestamp: new Date(clock()).toISOString()
+    };
+    await recordUsage(request, { requestStart, clientTopic, locale, outcome: 'safety', stream: wantsEventStream(request) });
+    
+    if (!wantsEventStream(request)) {
+      return reply.send(payload);
+    }
+    
+    const stream = openEventStream(reply);
+    stream.send('delta', { content: payload.content });
+    stream.send('done', payload);
+    stream.close();
+    return reply;
+  }
+
+  /**
+   * Keep a response for identical first turns, unless the safety layer rewrote it or it
+   * still fails its format check
+   */
+  async function cacheResponse(cacheEntry, structuredResponse, details) {
+    if (!cacheEntry || details.safety.output !== 'allow' || !details.formatValidation.valid) return;
+    await responseCache.set(cacheEntry.key, { ...structuredResponse, ...details }, cacheEntry.ttl);
+  }
+
+  /**
+   * Answer from the response cache, as JSON or as a one-delta event stream
+   */
+  async function sendCachedResponse(request, reply, { cachedResponse, clientTopic, intent, prompt, locale, historyStats, requestStart, onComplete, metadata }) {
+    if (onComplete) await onComplete(cachedResponse.content);
+    
+    const payload = {
+      ...cachedResponse,
+      ...metadata,
+      topic: clientTopic,
+      intent,
+      prompt,
+      locale: describeLocale(locale),
+      history: historyStats,
+      cached: true,
+      performance: { totalTime: Date.now() - requestStart },
+      timestamp: new Date(clock()).toISOString()
+    };
+    await recordUsage(request, {
+      requestStart,
+      clientTopic,
+      locale,
+      provider: cachedResponse.upstream ? { name: cachedResponse.upstream.provider, model: cachedResponse.upstream.model } : null,
+      outcome: 'cached',
+      cached: true,
+      stream: wantsEventStream(request)
+    });
+    
+    if (!wantsEventStream(request)) {
+      return reply.send(payload);
+    }
+    
+    const stream = openEventStream(reply);
+    stream.send('delta', { content: payload.content });
+    stream.send('done', payload);
+    stream.close();
+    return reply;
+  }
+
+  /**
+   * Add an answered chat request to the usage ledger. Cached and safety answers cost nothing.
+   */
+  async function recordUsage(request, { requestStart, clientTopic, locale, provider = null, promptTokens = 0, completionTokens = 0, costCents = 0, outcome, cached = false, failover = false, attempts = 0, stream = false }) {
+    // Side model calls (intent, summary) were charged on the request's reservation
+    costCents += request.chatReservation?.spent || 0;
+    if (!usageLedger) return;
+    await usageLedger.record({
+      userKey: request.auth.rateLimitKey,
+      route: request.routeOptions.url,
+      topic: request.chatTopic || null,
+      subject: clientTopic,
+      locale: locale.code,
+      provider: provider ? provider.name : null,
+      model: provider ? provider.model : null,
+      promptTokens,
+      completionTokens,
+      costCents,
+      latencyMs: Date.now() - requestStart,
+      outcome,
+      cached,
+      failover,
+      attempts,
+      stream
+    });
+  }
+
+  /**
+   * Run the output safety rules, logging any block or rewrite
+   */
+  async function checkOutputSafety(content, log, locale) {
+    const result = await safety.checkOutput(content, { locale });
+    if (result.action !== 'allow') {
+      logSafetyIntervention(log, 'output', result.action, result.reasons);
+    }
+    return result;
+  }
+
+  /**
+   * Every safety intervention is logged and counted with its reason codes (never the message itself)
+   */
+  function logSafetyIntervention(log, stage, action, reasons) {
+    metrics.safetyInterventions.inc({ stage, action });
+    log.warn({ stage, action, reasons }, `🛡️ Safety ${action} on ${stage}`);
+  }
+
+  /**
+   * Safety summary for response metadata
+   */
+  function describeSafety(input, output) {
+    return {
+      input: input.action,
+      output: output ? output.action : null,
+      reasons: [...input.reasons, ...(output ? output.reasons : [])],
+      resources: input.resources
+    };
+  }
+
+  /**
+   * Fold conversation turns into the running summary using the model.
+   * Uses the 'summary' route of AI_TOPIC_ROUTES if configured.
+   * The call is reserved and charged on the chat request's `reservation`.
+   */
+  async function summarizeHistoryWithModel(previousSummary, turns, { maxTokens, reservation = null }) {
+    const transcript = turns.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`).join('\n\n');
+    const chain = providers.resolveChain('summary');
+    const params = {
+      messages: [
+        {
+          role: 'system',
+          content: 'You maintain a short running summary of a spiritual guidance conversation. Merge the new turns into the existing summary. Keep what the user shared about their situation, the questions they asked and the verses already discussed. Reply with the updated summary only, as short bullet points.'
+        },
+        { role: 'user', content: `Existing summary:\n${previousSummary || '(none)'}\n\nNew turns:\n${transcript}` }
+      ],
+      max_tokens: maxTokens,
+      temperature: 0
+    };
+    await reserveModelCall(reservation, chain[0], params);
+    const { response, provider } = await upstream.call(chain, p => p.buildRequest(params));
+    
+    const { content, usage } = provider.parseResponse(await response.json());
+    const cost = chargeCompletion(provider, usage, [{ role: 'user', content: transcript }], content);
+    if (reservation) reservation.spent += cost;
+    if (!content || !content.trim()) throw new Error('empty summary');
+    return content.trim();
+  }
+
+  /**
+   * Validate a completion against its format and apply deterministic repairs. Structural
+   * problems trigger at most one corrective regeneration (disable with RESPONSE_FORMAT_REGENERATE=false).
+   * Resolves with { content, validation, cost, tokens } where cost (cents) and tokens are the
+   * regeneration's, or 0 and null without one.
+   */
+  async function enforceResponseFormat(format, content, { providerChain, completionParams, locale, log }) {
+    const firstCheck = checkResponseFormat(format, content, { locale });
+    logFormatIssues(log, format, firstCheck.issues);
+    
+    if (!firstCheck.needsRegeneration || env.RESPONSE_FORMAT_REGENERATE === 'false') {
+      return { content: firstCheck.content, validation: describeFormatValidation(format, firstCheck, { regenerated: false }), cost: 0, tokens: null };
+    }
+    
+    log.info({ format, issues: firstCheck.issues.filter(item => item.severity === 'structural').map(item => item.code) }, '🔁 Regenerating response to fix its format');
+    const correctionParams = {
+      ...completionParams,
+      messages: [
+        ...completionParams.messages,
+        { role: 'assistant', content },
+        { role: 'user', content: buildCorrectionPrompt(format, firstCheck.issues, { locale }) }
+      ]
+    };
+    
+    let cost = 0;
+    let tokens = null;
+    try {
+      const { response, provider } = await upstream.call(providerChain, p => p.buildRequest(correctionParams));
+      const completion = provider.parseResponse(await response.json());
+      cost = chargeCompletion(provider, completion.usage, correctionParams.messages, completion.content);
+      tokens = usageTokens(completion.usage, correctionParams.messages, completion.content);
+      if (!completion.content) throw new Error('empty regeneration');
+      
+      const secondCheck = checkResponseFormat(format, completion.content, { locale });
+      logFormatIssues(log, format, secondCheck.issues);
+      
+      // Keep the original if the rewrite came back no better
+      const structuralCount = (check) => check.issues.filter(item => item.severity === 'structural').length;
+      if (structuralCount(secondCheck) <= structuralCount(firstCheck)) {
+        return {
+          content: secondCheck.content,
+          validation: describeFormatValidation(format, secondCheck, { regenerated: true, originalIssues: firstCheck.issues }),
+          cost,
+          tokens
+        };
+      }
+    } catch (error) {
+      log.error({ err: error }, '❌ Format regeneration failed, keeping original response');
+    }
+    
+    return { content: firstCheck.content, validation: describeFormatValidation(format, firstCheck, { regenerated: false }), cost, tokens };
+  }
+
+  function logFormatIssues(log, format, issues) {
+    if (issues.length > 0) {
+      log.info({ format, issues: issues.map(item => `${item.code} (${item.repaired ? 'repaired' : item.severity})`) }, '📐 Format check found issues');
+    }
+  }
+
+  /**
+   * Count how each prompt version's responses fared in the format check: valid as written,
+   * repaired, regenerated, or still invalid
+   */
+  function recordFormatAdherence(promptVersion, validation) {
+    let result = 'valid';
+    if (validation.regenerated) result = 'regenerated';
+    else if (!validation.valid) result = 'invalid';
+    else if (validation.repaired) result = 'repaired';
+    metrics.formatChecks.inc({ version: promptVersion, format: validation.format, result });
+  }
+
+  /**
+   * Format validation summary for response metadata
+   */
+  function describeFormatValidation(format, check, { regenerated, originalIssues }) {
+    return {
+      format,
+      valid: !check.needsRegeneration,
+      repaired: check.issues.some(item => item.repaired),
+      regenerated,
+      issues: check.issues,
+      ...(originalIssues ? { originalIssues } : {})
+    };
+  }
+
+  /**
+   * Which provider answered, for response metadata
+   */
+  function describeUpstream({ provider, attempts, failover }) {
+    return {
+      provider: provider.name,
+      model: provider.model,
+      attempts,
+      failover
+    };
+  }
+
+  /**
+   * Stream an AI response as Server-Sent Events.
+   * Sends `delta` events as the answer is generated, then a `done` event carrying the same
+   * structured payload as the JSON response. Failures arrive as a typed `error` event.
+   * Text is only released in whole sentences that pass the output safety rules (with
+   * moderation on, only once the whole answer is checked). If the checked answer differs
+   * from what was already released, a `replace` event carries the text to show instead.
+   */
+  async function streamChatResponse(reply, { providerChain, completionParams, requestStart, reservation, format, structured, clientTopic, intent, prompt, locale, historyStats, safetyInput, cacheEntry, onComplete, metadata }) {
+    const log = reply.log;
+    const t = (key) => catalogs.t(locale.code, key);
+    const stream = openEventStream(reply);
+    
+    // Stop paying for tokens if the client goes away mid-stream
+    const controller = new AbortController();
+    reply.raw.on('close', () => {
+      if (!reply.raw.writableFinished) controller.abort();
+    });
+    
+    const upstreamStart = Date.now();
+    let provider = providerChain[0];
+    let streamedContent = '';
+    let released = 0; // Characters of streamedContent sent as deltas
+    let heldBack = safety.moderated; // Once set, nothing more is released before the final check
+    let usage = null;
+    let answered = null; // { attempts, failover } once the done event is sent
+    try {
+      // Retries and failover only apply until the stream opens
+      let upstreamResult;
+      try {
+        upstreamResult = await upstream.call(
+          providerChain,
+          p => p.buildRequest(completionParams, { stream: true }),
+          { signal: controller.signal }
+        );
+      } catch (upstreamError) {
+        if (!(upstreamError instanceof UpstreamError)) throw upstreamError;
+        log.error({ code: upstreamError.code }, `❌ AI upstream unavailable: ${upstreamError.message}`);
+        errorLog.record({ source: 'stream', code: upstreamError.code, message: upstreamError.message, userKey: reservation.userKey });
+        stream.send('error', {
+          error: t('errors.unavailable'),
+          code: upstreamError.code,
+          retryAfter: upstreamError.retryAfter || undefined
+        });
+        return;
+      }
+      
+      const { response } = upstreamResult;
+      provider = upstreamResult.provider;
+      const networkTime = Date.now() - upstreamStart;
+      
+      let firstTokenTime = null;
+      const result = await readChatCompletionStream(response, provider.parseStreamChunk, (delta) => {
+        if (firstTokenTime === null) firstTokenTime = Date.now() - upstreamStart;
+        streamedContent += delta;
+        if (heldBack) return;
+        
+        // Release up to the last finished sentence, unless an output rule matches so far
+        const boundary = lastSentenceEnd(streamedContent);
+        if (boundary <= released) return;
+        if (safety.matchesOutputRules(streamedContent.slice(0, boundary))) {
+          heldBack = true;
+          return;
+        }
+        stream.send('delta', { content: streamedContent.slice(released, boundary) });
+        released = boundary;
+      });
+      const { content } = result;
+      usage = result.usage;
+      
+      if (!content) {
+        log.error({ provider: provider.name }, '❌ No content in AI stream');
+        errorLog.record({ source: 'stream', code: 'empty_response', message: `No content in ${provider.name} stream`, userKey: reservation.userKey });
+        stream.send('error', { error: t('errors.emptyResponse'), code: 'empty_response' });
+        return;
+      }
+      
+      // Most of the text is already on the client, so only deterministic repairs apply here;
+      // the repaired version arrives in the done event
+      const formatCheck = checkResponseFormat(format, content, { locale: locale.code });
+      logFormatIssues(log, format, formatCheck.issues);
+      const safetyOutput = await checkOutputSafety(formatCheck.content, log, locale.code);
+      
+      // Send the rest, or the checked answer in place of everything when safety changed it
+      if (safetyOutput.action === 'allow') {
+        if (content.length > released) stream.send('delta', { content: content.slice(released) });
+      } else if (released > 0) {
+        stream.send('replace', { content: safetyOutput.content });
+      } else {
+        stream.send('delta', { content: safetyOutput.content });
+      }
+      
+      const parseStart = Date.now();
+      const structuredResponse = parseAIResponse(safetyOutput.content, { format, structured, locale: locale.code, log });
+      const parseTime = Date.now() - parseStart;
+      const totalTime = Date.now() - requestStart;
+      
+      log.info({ assistantMessage: structuredResponse.content, networkTime, firstTokenTime, parseTime, totalTime }, '⚡ Streamed response complete');
+      
+      if (onComplete) await onComplete(structuredResponse.content);
+      
+      const details = {
+        formatValidation: describeFormatValidation(format, formatCheck, { regenerated: false }),
+        safety: describeSafety(safetyInput, safetyOutput),
+        upstream: describeUpstream(upstreamResult)
+      };
+      recordFormatAdherence(prompt.version, details.formatValidation);
+      await cacheResponse(cacheEntry, structuredResponse, details);
+      
+      stream.send('done', {
+        ...structuredResponse,
+        ...metadata,
+        topic: clientTopic,
+        intent,
+        prompt,
+        locale: describeLocale(locale),
+        formatValidation: details.formatValidation,
+        history: historyStats,
+        safety: details.safety,
+        upstream: details.upstream,
+        cached: false,
+        performance: {
+          networkTime,
+          firstTokenTime,
+          parseTime,
+          totalTime
+        },
+        timestamp: new Date(clock()).toISOString()
+      });
+      answered = { attempts: upstreamResult.attempts, failover: upstreamResult.failover };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        log.info('📴 Client disconnected, upstream stream aborted');
+        return;
+      }
+      log.error({ err: error }, '❌ Error while streaming AI response');
+      errorLog.record({ source: 'stream', code: 'stream_interrupted', message: error.message, userKey: reservation.userKey });
+      stream.send('error', { error: t('errors.streamInterrupted'), code: 'stream_interrupted' });
+    } finally {
+      // Without a usage block (e.g. client disconnected), charge for what was generated so far
+      const cost = usage || streamedContent
+        ? chargeCompletion(provider, usage, completionParams.messages, streamedContent)
+        : 0;
+      await settleReservation(reservation, cost);
+      if (answered) {
+        const tokens = usageTokens(usage, completionParams.messages, streamedContent);
+        await recordUsage(reply.request, {
+          requestStart,
+          clientTopic,
+          locale,
+          provider,
+          promptTokens: tokens.prompt_tokens,
+          completionTokens: tokens.completion_tokens,
+          costCents: cost,
+          outcome: 'answered',
+          ...answered,
+          stream: true
+        });
+      }
+      stream.close();
+    }
+  }
+
+  /**
+   * A system message with the verified text of up to VERIFIED_PASSAGE_LIMIT short passages
+   * cited in the message or recommended for the subject topic, so the model quotes the
+   * translation instead of quoting from memory. Empty when there are none.
+   */
+  function buildScriptureContext(message, subject) {
+    const passages = new Map();
+    for (const ref of [...extractVerseReferences(message), ...bible.topicReferences(subject)]) {
+      if (passages.size >= VERIFIED_PASSAGE_LIMIT || passages.has(ref.reference)) continue;
+      const text = bible.textFor(ref, VERIFIED_PASSAGE_MAX_VERSES);
+      if (text) passages.set(ref.reference, text);
+    }
+    if (passages.size === 0) return [];
+    
+    const lines = [...passages].map(([reference, text]) => `${reference}: "${text}"`);
+    return [{
+      role: 'system',
+      content: `Verified Scripture text (${bible.translation.id}). When you quote any of these passages, quote this text exactly:\n${lines.join('\n')}`
+    }];
+  }
+
+  /**
+   * Render a prompt version's system prompt for a response format and subject topic, with
+   * the instruction to answer in the user's language for locales other than English
+   */
+  function buildSpiritualPrompt(version, format, subject, locale) {
+    // Guidance for the response format, then for the client's subject topic
+    const guidance = [getTopicGuidance(format), subject && subject !== format ? getTopicGuidance(subject) : '']
+      .filter(Boolean);
+    const topicFocus = guidance.length > 0 ? `\n\nTOPIC FOCUS: ${guidance.join(' ')}` : '';
+    
+    // Point counts and the closing come from the format checker, so the prompt asks for what it enforces
+    const prompt = prompts.render(version, format, {
+      topicFocus,
+      minPoints: MIN_POINTS,
+      maxPoints: MAX_POINTS,
+      prayerClosing: prayerStyle(locale).closing
+    });
+    const languageInstruction = catalogs.t(locale, 'prompt.languageInstruction', { bibleVersion: catalogs.t(locale, 'bibleVersion') });
+    return languageInstruction ? `${prompt}\n\n${languageInstruction}` : prompt;
+  }
+
+  // Parse AI response for structured content
+  // With `structured`, the sections are parsed out too and contentType names the schema used
+  function parseAIResponse(content, { format, structured = false, locale = BIBLE_TEXT_LOCALE, log = fastify.log } = {}) {
+    // Verses stay embedded in the text; verseReferences gives their offsets into `content`
+    // so the app can style them, `valid: false` marks references that don't exist and
+    // `verifiedText` carries the exact text of short passages (English answers only)
+    const text = content.trim();
+    const verseReferences = extractVerseReferences(text).map(ref => {
+      const verifiedText = locale === BIBLE_TEXT_LOCALE ? bible.textFor(ref, VERIFIED_PASSAGE_MAX_VERSES) : null;
+      return verifiedText ? { ...ref, verifiedText } : ref;
+    });
+    const invalid = verseReferences.filter(ref => !ref.valid);
+    if (invalid.length > 0) {
+      log.warn({ invalidVerses: invalid.map(ref => `${ref.text} (${ref.error})`) }, '📖 Response cites nonexistent verses');
+    }
+
+    return {
+      content: text,
+      verseReferences,
+      contentType: 'spiritual_guidance',
+      ...(structured ? toStructuredResponse(format, text, { locale }) : {}),
+      formattedAt: new Date(clock()).toISOString()
+    };
+  }
+
+  // Stop the cleanup timer, flush and disconnect the stores and stop watching config files on shutdown
+  fastify.addHook('onClose', async () => {
+    clearInterval(cleanupTimer);
+    intentClassifiers.close();
+    prompts.close();
+    tiers.close();
+    await adminState.close();
+    await rateLimitStore.close();
+    await sessionStore.close();
+    if (responseCache) await responseCache.close();
+    if (usageLedger) await usageLedger.close();
+  });
+
+  return fastify;
+}
+
+module.exports = {
+  buildApp
+};
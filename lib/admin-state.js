@@ -0,0 +1,271 @@
+// Runtime admin state - blocked users and live limit and model overrides set through /admin
+//
+// The state is { blocked, tiers, users, routes }:
+//   blocked  <rate limit key> -> { reason, blockedAt, until }   (until null = indefinitely)
+//   tiers    <tier name> -> limit overrides                      (see lib/tiers.js)
+//   users    <rate limit key> -> { tier, ...limit overrides }
+//   routes   'default' or a topic -> { provider, model, deployment } (see lib/providers)
+//
+// Config (env):
+//   ADMIN_STATE_FILE  JSON file that keeps the state across restarts (default: memory only,
+//                     so changes last until the next deploy)
+//   RATE_LIMIT_STORE  With redis, the state is kept at REDIS_URL instead, shared by all
+//                     replicas like the counters (ADMIN_STATE_FILE is then ignored)
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Blank state
+ */
+function emptyState() {
+  return { blocked: {}, tiers: {}, users: {}, routes: {} };
+}
+
+/**
+ * Create the admin state. With `filePath`, the state is loaded from and flushed to that file.
+ * `now` (epoch ms) decides when timed blocks run out.
+ */
+function createAdminState({ filePath = null, flushIntervalMs = 1000, now = Date.now, log = console } = {}) {
+  let state = emptyState();
+
+  if (filePath) {
+    try {
+      state = { ...emptyState(), ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+      log.info(`📂 Loaded admin state from ${filePath} (${Object.keys(state.blocked).length} blocked users)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`❌ Could not read admin state file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  let flushTimer = null;
+
+  // Write to a temp file and rename so a crash never leaves a half-written file
+  const flush = () => {
+    flushTimer = null;
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      log.error(`❌ Could not write admin state file ${filePath}: ${error.message}`);
+    }
+  };
+
+  const changed = () => {
+    if (filePath && !flushTimer) {
+      flushTimer = setTimeout(flush, flushIntervalMs);
+      flushTimer.unref();
+    }
+  };
+
+  // Set or clear (value null) one entry of a state section
+  const setEntry = (section, key, value) => {
+    if (value === null) {
+      delete state[section][key];
+    } else {
+      state[section][key] = value;
+    }
+    changed();
+  };
+
+  return {
+    type: filePath ? 'file' : 'memory',
+
+    get state() {
+      return state;
+    },
+
+    /**
+     * The block entry for a user, or null. Expired blocks are removed.
+     */
+    blockFor(userKey) {
+      const entry = state.blocked[userKey];
+      if (!entry) return null;
+      if (entry.until && Date.parse(entry.until) <= now()) {
+        setEntry('blocked', userKey, null);
+        return null;
+      }
+      return entry;
+    },
+
+    block(userKey, { reason = null, until = null } = {}) {
+      const entry = { reason, blockedAt: new Date(now()).toISOString(), until };
+      setEntry('blocked', userKey, entry);
+      return entry;
+    },
+
+    unblock(userKey) {
+      const existed = Boolean(state.blocked[userKey]);
+      setEntry('blocked', userKey, null);
+      return existed;
+    },
+
+    /**
+     * Live blocks, dropping expired ones
+     */
+    listBlocked() {
+      return Object.keys(state.blocked)
+        .map(userKey => ({ userKey, ...this.blockFor(userKey) }))
+        .filter(entry => entry.blockedAt);
+    },
+
+    setTierLimits(name, limits) {
+      setEntry('tiers', name, limits);
+    },
+
+    setUserOverride(userKey, override) {
+      setEntry('users', userKey, override);
+    },
+
+    setRoute(name, route) {
+      setEntry('routes', name, route);
+    },
+
+    close() {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flush();
+      }
+    }
+  };
+}
+
+/**
+ * Admin state shared by all replicas through one Redis hash, one field per entry
+ * (`<section>:<key>` -> JSON). Reads stay synchronous against a local copy, which
+ * refresh() reloads - app.js calls it before every request. Changes are written
+ * through, so the methods that change state return promises.
+ * Pass `client` to use an existing connection or a test double.
+ */
+function createRedisAdminState({ url, client, keyPrefix = 'sanctify:admin:', now = Date.now, log = console }) {
+  if (!client) {
+    const Redis = require('ioredis');
+    client = new Redis(url, { maxRetriesPerRequest: 2 });
+    client.on('error', (error) => {
+      log.error(`❌ Redis admin state error: ${error.message}`);
+    });
+  }
+
+  const stateKey = `${keyPrefix}state`;
+  let state = emptyState();
+
+  const setEntry = async (section, key, value) => {
+    if (value === null) {
+      delete state[section][key];
+      return client.hdel(stateKey, `${section}:${key}`);
+    }
+    state[section][key] = value;
+    return client.hset(stateKey, `${section}:${key}`, JSON.stringify(value));
+  };
+
+  return {
+    type: 'redis',
+
+    get state() {
+      return state;
+    },
+
+    /**
+     * Reload the state written by any replica. Resolves true when it changed.
+     * On a Redis error the last loaded state stays in use.
+     */
+    async refresh() {
+      let hash;
+      try {
+        hash = await client.hgetall(stateKey);
+      } catch (error) {
+        log.error(`❌ Could not load admin state from Redis: ${error.message}`);
+        return false;
+      }
+      const next = emptyState();
+      for (const [field, value] of Object.entries(hash || {})) {
+        const separator = field.indexOf(':');
+        const section = field.slice(0, separator);
+        if (!next[section]) continue;
+        try {
+          next[section][field.slice(separator + 1)] = JSON.parse(value);
+        } catch (error) {
+          log.error(`❌ Ignoring unreadable admin state entry ${field}: ${error.message}`);
+        }
+      }
+      if (JSON.stringify(next) === JSON.stringify(state)) return false;
+      state = next;
+      return true;
+    },
+
+    /**
+     * The block entry for a user, or null. Expired blocks are removed.
+     */
+    blockFor(userKey) {
+      const entry = state.blocked[userKey];
+      if (!entry) return null;
+      if (entry.until && Date.parse(entry.until) <= now()) {
+        setEntry('blocked', userKey, null).catch((error) => {
+          log.error(`❌ Could not remove expired block for ${userKey}: ${error.message}`);
+        });
+        return null;
+      }
+      return entry;
+    },
+
+    async block(userKey, { reason = null, until = null } = {}) {
+      const entry = { reason, blockedAt: new Date(now()).toISOString(), until };
+      await setEntry('blocked', userKey, entry);
+      return entry;
+    },
+
+    // Asks Redis rather than the local copy, so a block set on another replica counts
+    async unblock(userKey) {
+      return (await setEntry('blocked', userKey, null)) > 0;
+    },
+
+    listBlocked() {
+      return Object.keys(state.blocked)
+        .map(userKey => ({ userKey, ...this.blockFor(userKey) }))
+        .filter(entry => entry.blockedAt);
+    },
+
+    setTierLimits(name, limits) {
+      return setEntry('tiers', name, limits);
+    },
+
+    setUserOverride(userKey, override) {
+      return setEntry('users', userKey, override);
+    },
+
+    setRoute(name, route) {
+      return setEntry('routes', name, route);
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+/**
+ * Build the admin state from environment config. A shared (redis) rate limit store gets
+ * a shared admin state too, so a block or override reaches every replica.
+ */
+function createAdminStateFromEnv(env = process.env, { now, log = console } = {}) {
+  if ((env.RATE_LIMIT_STORE || '').toLowerCase() === 'redis') {
+    if (!env.REDIS_URL) {
+      throw new Error('REDIS_URL must be set when RATE_LIMIT_STORE=redis');
+    }
+    if (env.ADMIN_STATE_FILE) {
+      log.warn('⚠️ ADMIN_STATE_FILE is ignored with RATE_LIMIT_STORE=redis; admin state is kept in Redis');
+    }
+    return createRedisAdminState({ url: env.REDIS_URL, now, log });
+  }
+  return createAdminState({ filePath: env.ADMIN_STATE_FILE ? path.resolve(env.ADMIN_STATE_FILE) : null, now, log });
+}
+
+module.exports = {
+  createAdminState,
+  createRedisAdminState,
+  createAdminStateFromEnv
+};
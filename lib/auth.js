@@ -0,0 +1,201 @@
+// Bearer token authentication - verified JWT subjects become rate limit keys
+//
+// Config (env):
+//   AUTH_JWT_SECRET      HS256 shared secret
+//   SUPABASE_JWT_SECRET  Supabase project JWT secret (HS256, audience defaults to "authenticated")
+//   AUTH_JWT_PUBLIC_KEY  RS256 public key in PEM format ("\n" escapes are allowed)
+//   AUTH_JWT_ISSUER      Expected `iss` claim (optional)
+//   AUTH_JWT_AUDIENCE    Expected `aud` claim (optional)
+//   AUTH_REQUIRED        "true" to reject requests without a token instead of limiting them per IP
+//   ADMIN_API_KEY        Key accepted in the X-Admin-Key header for /admin routes
+//   ADMIN_ROLE           Token role that grants /admin access (default "admin"), read from the
+//                        `role` or `app_metadata.role` claim or the `roles` array
+
+const crypto = require('crypto');
+
+// Allowed clock skew between the token issuer and this server
+const CLOCK_TOLERANCE_SEC = 30;
+
+class AuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Decode a base64url JWT segment, which must be a JSON object
+ */
+function decodeSegment(segment) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token', 'invalid_token');
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new AuthError('Malformed token', 'invalid_token');
+  }
+  return value;
+}
+
+/**
+ * Verify a JWT signature and its registered claims, returning the payload
+ */
+function verifyJwt(token, { hmacSecret, publicKey, issuer, audience, now = Date.now }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed token', 'invalid_token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+  const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  let validSignature = false;
+  if (header.alg === 'HS256' && hmacSecret) {
+    const expected = crypto.createHmac('sha256', hmacSecret).update(signingInput).digest();
+    validSignature = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === 'RS256' && publicKey) {
+    validSignature = crypto.verify('RSA-SHA256', signingInput, publicKey, signature);
+  } else {
+    throw new AuthError(`Unsupported token algorithm: ${header.alg}`, 'invalid_token');
+  }
+
+  if (!validSignature) {
+    throw new AuthError('Invalid token signature', 'invalid_token');
+  }
+
+  const nowSec = Math.floor(now() / 1000);
+  if (typeof payload.exp === 'number' && nowSec > payload.exp + CLOCK_TOLERANCE_SEC) {
+    throw new AuthError('Token has expired', 'token_expired');
+  }
+  if (typeof payload.nbf === 'number' && nowSec < payload.nbf - CLOCK_TOLERANCE_SEC) {
+    throw new AuthError('Token is not yet valid', 'invalid_token');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new AuthError('Token issuer is not trusted', 'invalid_token');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new AuthError('Token audience is not accepted', 'invalid_token');
+    }
+  }
+  if (!payload.sub) {
+    throw new AuthError('Token has no subject', 'invalid_token');
+  }
+
+  return payload;
+}
+
+/**
+ * Build an authenticator from environment config.
+ * authenticate(request) resolves the caller's identity or throws AuthError.
+ */
+function createAuthenticator(env = process.env, { now = Date.now } = {}) {
+  const hmacSecret = env.AUTH_JWT_SECRET || env.SUPABASE_JWT_SECRET;
+  const publicKey = env.AUTH_JWT_PUBLIC_KEY ? env.AUTH_JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : null;
+  const options = {
+    hmacSecret,
+    publicKey,
+    issuer: env.AUTH_JWT_ISSUER,
+    audience: env.AUTH_JWT_AUDIENCE || (!env.AUTH_JWT_SECRET && env.SUPABASE_JWT_SECRET ? 'authenticated' : undefined),
+    now
+  };
+  const enabled = Boolean(hmacSecret || publicKey);
+  const required = env.AUTH_REQUIRED === 'true';
+
+  if (required && !enabled) {
+    throw new Error('AUTH_REQUIRED is set but no AUTH_JWT_SECRET, SUPABASE_JWT_SECRET or AUTH_JWT_PUBLIC_KEY is configured');
+  }
+
+  return {
+    enabled,
+    required,
+
+    authenticate(request) {
+      const header = request.headers.authorization || '';
+      const match = header.match(/^Bearer\s+(.+)$/i);
+
+      if (match && enabled) {
+        const claims = verifyJwt(match[1].trim(), options);
+        return {
+          authenticated: true,
+          userId: claims.sub,
+          rateLimitKey: claims.sub,
+          claims
+        };
+      }
+
+      if (required) {
+        throw new AuthError('Authentication required', 'missing_token');
+      }
+
+      // Anonymous callers are limited per client IP (resolved through trustProxy)
+      return {
+        authenticated: false,
+        userId: null,
+        rateLimitKey: `ip:${request.ip}`,
+        claims: null
+      };
+    }
+  };
+}
+
+/**
+ * True when verified claims carry `role`
+ */
+function hasRole(claims, role) {
+  if (!claims) return false;
+  return claims.role === role
+    || claims.app_metadata?.role === role
+    || (Array.isArray(claims.roles) && claims.roles.includes(role));
+}
+
+/**
+ * Build the /admin authenticator on top of the user authenticator.
+ * authenticate(request) resolves { via: 'key' | 'role', subject } or throws AuthError
+ * with code admin_required (no credentials) or forbidden (not an admin).
+ */
+function createAdminAuthenticator(authenticator, env = process.env) {
+  const apiKey = env.ADMIN_API_KEY ? Buffer.from(env.ADMIN_API_KEY) : null;
+  const role = env.ADMIN_ROLE || 'admin';
+
+  return {
+    enabled: Boolean(apiKey || authenticator.enabled),
+
+    authenticate(request) {
+      const key = request.headers['x-admin-key'];
+      if (key) {
+        const given = Buffer.from(String(key));
+        if (apiKey && given.length === apiKey.length && crypto.timingSafeEqual(given, apiKey)) {
+          return { via: 'key', subject: 'admin-key' };
+        }
+        throw new AuthError('Invalid admin key', 'forbidden');
+      }
+
+      const auth = authenticator.enabled && request.headers.authorization
+        ? authenticator.authenticate(request)
+        : null;
+      if (!auth?.authenticated) {
+        throw new AuthError('Admin credentials required', 'admin_required');
+      }
+      if (!hasRole(auth.claims, role)) {
+        throw new AuthError(`Token does not have the ${role} role`, 'forbidden');
+      }
+      return { via: 'role', subject: auth.userId };
+    }
+  };
+}
+
+module.exports = {
+  AuthError,
+  verifyJwt,
+  hasRole,
+  createAuthenticator,
+  createAdminAuthenticator
+};
@@ -0,0 +1,168 @@
+// Bible text - passage lookup in a bundled public-domain translation
+//
+// lib/kjv.json.gz holds the King James Version (1769 Oxford text, public domain) as
+// { translation, name, license, books: { <canon book name>: [[verse text, ...] per chapter] } }.
+// Italic markers and paragraph signs from the source are removed, so text reads as printed.
+//
+// Random passages come from curated lists per subject topic: the verses each topic already
+// recommends in lib/topics.js plus the extras in config/verse-topics.json.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { CANON, parseReference } = require('./scripture');
+const { TOPICS } = require('./topics');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, 'kjv.json.gz');
+const DEFAULT_TOPICS_FILE = path.join(__dirname, '..', 'config', 'verse-topics.json');
+const MAX_PASSAGE_VERSES = 200; // Psalm 119 is 176 verses; whole books are refused
+
+class BibleError extends Error {
+  constructor(message, code = 'invalid_reference') {
+    super(message);
+    this.name = 'BibleError';
+    this.code = code;
+  }
+}
+
+/**
+ * Create the Bible text service
+ */
+function createBible({ dataPath = DEFAULT_DATA_FILE, topicsPath = DEFAULT_TOPICS_FILE } = {}) {
+  const data = JSON.parse(zlib.gunzipSync(fs.readFileSync(dataPath)));
+  const translation = { id: data.translation, name: data.name, license: data.license };
+
+  for (const book of CANON) {
+    if (!data.books[book.name]) throw new Error(`${translation.id} text is missing ${book.name}`);
+  }
+
+  /**
+   * Verses of a parsed reference ({ book, chapter, verse, endChapter, endVerse }).
+   * A null verse means whole chapters.
+   */
+  const versesOf = (ref) => {
+    const chapters = data.books[ref.book];
+    const verses = [];
+    for (let chapter = ref.chapter; chapter <= ref.endChapter; chapter++) {
+      const texts = chapters[chapter - 1];
+      const first = chapter === ref.chapter && ref.verse !== null ? ref.verse : 1;
+      const last = chapter === ref.endChapter && ref.endVerse !== null ? ref.endVerse : texts.length;
+      for (let verse = first; verse <= last; verse++) {
+        verses.push({ chapter, verse, text: texts[verse - 1] });
+      }
+    }
+    return verses;
+  };
+
+  // Passage length without building it, to refuse huge ranges cheaply
+  const countVerses = (ref) => {
+    const counts = CANON.find(book => book.name === ref.book).verses;
+    let total = 0;
+    for (let chapter = ref.chapter; chapter <= ref.endChapter; chapter++) {
+      const first = chapter === ref.chapter && ref.verse !== null ? ref.verse : 1;
+      const last = chapter === ref.endChapter && ref.endVerse !== null ? ref.endVerse : counts[chapter - 1];
+      total += last - first + 1;
+    }
+    return total;
+  };
+
+  /**
+   * The passage for a parsed, valid reference
+   */
+  const passage = (ref) => {
+    if (countVerses(ref) > MAX_PASSAGE_VERSES) {
+      throw new BibleError(`Passages are limited to ${MAX_PASSAGE_VERSES} verses`, 'passage_too_long');
+    }
+    const verses = versesOf(ref);
+    return {
+      reference: ref.reference,
+      book: ref.book,
+      translation,
+      verses,
+      text: verses.map(verse => verse.text).join(' ')
+    };
+  };
+
+  /**
+   * Parse a reference such as "jn 3:16-18" or "Psalm 23" and return its passage.
+   * Throws BibleError: invalid_reference, reference_not_found or passage_too_long.
+   */
+  const lookup = (text) => {
+    const ref = parseReference(text);
+    if (!ref) {
+      throw new BibleError(`"${text}" is not a Bible reference`, 'invalid_reference');
+    }
+    if (!ref.valid) {
+      throw new BibleError(`${ref.reference} does not exist (${ref.error})`, 'reference_not_found');
+    }
+    return passage(ref);
+  };
+
+  // Curated lists: the topic's recommended verses first, then the extras, without duplicates.
+  // Every entry is checked here so a typo fails at startup, not on a request.
+  const extras = JSON.parse(fs.readFileSync(topicsPath, 'utf8'));
+  const topicPassages = {};
+  for (const [topic, entry] of Object.entries(TOPICS)) {
+    const references = [...new Set([...entry.verses, ...(extras[topic] || [])])];
+    if (references.length === 0) continue;
+    topicPassages[topic] = references.map(reference => {
+      const ref = parseReference(reference);
+      if (!ref || !ref.valid || ref.reference !== reference) {
+        throw new Error(`Topic "${topic}" lists invalid passage "${reference}"`);
+      }
+      return ref;
+    });
+  }
+  for (const topic of Object.keys(extras)) {
+    if (!TOPICS[topic]) throw new Error(`${topicsPath} lists unknown topic "${topic}"`);
+  }
+
+  return {
+    translation,
+
+    /**
+     * Subject topics with curated passages
+     */
+    get topics() {
+      return Object.keys(topicPassages);
+    },
+
+    lookup,
+
+    /**
+     * A random curated passage for a topic, or from every topic when none is given
+     */
+    random({ topic = null, random = Math.random } = {}) {
+      let candidates;
+      if (topic) {
+        candidates = topicPassages[topic];
+        if (!candidates) throw new BibleError(`No passages for topic "${topic}"`, 'unknown_topic');
+      } else {
+        candidates = Object.values(topicPassages).flat();
+      }
+      return { ...passage(candidates[Math.floor(random() * candidates.length)]), topic };
+    },
+
+    /**
+     * Text of a valid reference found by extractVerseReferences, or null when it is
+     * invalid or longer than `maxVerses`
+     */
+    textFor(ref, maxVerses) {
+      if (!ref.valid || countVerses(ref) > maxVerses) return null;
+      return versesOf(ref).map(verse => verse.text).join(' ');
+    },
+
+    /**
+     * Passages recommended for a subject topic
+     */
+    topicReferences(topic) {
+      return topicPassages[topic] || [];
+    }
+  };
+}
+
+module.exports = {
+  MAX_PASSAGE_VERSES,
+  BibleError,
+  createBible
+};
@@ -0,0 +1,39 @@
+// Recent errors - a fixed-size, process-local buffer of failures for the admin API
+//
+// Config (env):
+//   ADMIN_ERROR_LOG_SIZE  Errors kept, oldest dropped first (default 200)
+
+/**
+ * Create an error log. record({ source, message, code, userKey }) adds an entry;
+ * list({ limit, source }) returns the newest first.
+ */
+function createErrorLog(env = process.env, { now = Date.now } = {}) {
+  const size = Number(env.ADMIN_ERROR_LOG_SIZE) || 200;
+  const entries = [];
+  let total = 0;
+
+  return {
+    size,
+
+    get total() {
+      return total;
+    },
+
+    record({ source, message, code = null, userKey = null }) {
+      total++;
+      entries.push({ timestamp: new Date(now()).toISOString(), source, code, message, userKey });
+      if (entries.length > size) entries.shift();
+    },
+
+    list({ limit = 50, source = null } = {}) {
+      return entries
+        .filter(entry => !source || entry.source === source)
+        .slice(-limit)
+        .reverse();
+    }
+  };
+}
+
+module.exports = {
+  createErrorLog
+};
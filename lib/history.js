@@ -0,0 +1,205 @@
+// Conversation history management - validates client-supplied history, keeps the most
+// recent turns that fit a token budget and folds older turns into a rolling summary
+//
+// Config (env):
+//   HISTORY_TOKEN_BUDGET    Prompt tokens available to recent turns (default 2000)
+//   HISTORY_MAX_MESSAGES    Most recent turns kept verbatim (default 8)
+//   HISTORY_SUMMARY_TOKENS  Longest summary of older turns, in tokens (default 300)
+//   HISTORY_SUMMARY_MODEL   "true" to have the model write the summary instead of the
+//                           built-in extractive one (set by app.js via `summarizer`)
+
+const crypto = require('crypto');
+const { estimateTokens, estimatePromptTokens } = require('./pricing');
+
+const ALLOWED_ROLES = ['user', 'assistant'];
+const MAX_HISTORY_ENTRIES = 200;
+const MAX_ENTRY_CHARS = 10000;
+const SUMMARY_CACHE_SIZE = 500;
+const SUMMARY_LINE_CHARS = 140;
+
+class HistoryError extends Error {
+  constructor(message, code = 'invalid_history') {
+    super(message);
+    this.name = 'HistoryError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check the shape of conversationHistory and return it as plain { role, content } turns.
+ * Throws HistoryError describing the first problem found.
+ */
+function validateHistory(history) {
+  if (history === undefined || history === null) return [];
+  if (!Array.isArray(history)) {
+    throw new HistoryError('conversationHistory must be an array');
+  }
+  if (history.length > MAX_HISTORY_ENTRIES) {
+    throw new HistoryError(`conversationHistory has ${history.length} entries (max ${MAX_HISTORY_ENTRIES})`);
+  }
+
+  return history.map((entry, index) => {
+    const label = `conversationHistory[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new HistoryError(`${label} must be an object with role and content`);
+    }
+    if (!ALLOWED_ROLES.includes(entry.role)) {
+      throw new HistoryError(`${label}.role must be one of ${ALLOWED_ROLES.join(', ')}`);
+    }
+    if (typeof entry.content !== 'string') {
+      throw new HistoryError(`${label}.content must be a string`);
+    }
+    if (entry.content.length > MAX_ENTRY_CHARS) {
+      throw new HistoryError(`${label}.content is too long (max ${MAX_ENTRY_CHARS} characters)`);
+    }
+    return { role: entry.role, content: entry.content };
+  });
+}
+
+/**
+ * First sentence of a turn, shortened for a summary line.
+ * Assistant turns prefer their bold point titles, which say more than the intro.
+ */
+function gist(turn) {
+  const text = turn.content.replace(/\s+/g, ' ').trim();
+  if (turn.role === 'assistant') {
+    const titles = [...text.matchAll(/\*\*\d+\.\s*([^*:]+):?\*\*/g)].map(match => match[1].trim());
+    if (titles.length > 0) return titles.join(', ');
+  }
+  const sentence = (text.match(/^.*?[.!?](?=\s|$)/) || [text])[0];
+  return sentence.length > SUMMARY_LINE_CHARS ? `${sentence.slice(0, SUMMARY_LINE_CHARS - 1)}…` : sentence;
+}
+
+/**
+ * Default summarizer: one short line per folded turn, keeping the newest lines within maxTokens
+ */
+function extractiveSummary(previousSummary, turns, { maxTokens }) {
+  const lines = previousSummary ? previousSummary.split('\n') : [];
+  for (const turn of turns) {
+    if (!turn.content.trim()) continue;
+    lines.push(turn.role === 'user' ? `- The user asked: ${gist(turn)}` : `- You answered with: ${gist(turn)}`);
+  }
+  while (lines.length > 1 && estimateTokens(lines.join('\n')) > maxTokens) {
+    lines.shift();
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Create a history manager. `summarizer(previousSummary, turns)` is optional and should
+ * resolve to a summary string written by a model; the extractive summary is used otherwise
+ * and whenever the model call fails.
+ */
+function createHistoryManager(env = process.env, { summarizer = null, log = console } = {}) {
+  const tokenBudget = Number(env.HISTORY_TOKEN_BUDGET) || 2000;
+  const maxMessages = Number(env.HISTORY_MAX_MESSAGES) || 8;
+  const summaryTokens = Number(env.HISTORY_SUMMARY_TOKENS) || 300;
+
+  // Summaries keyed by a hash chain over the folded turns, so each request only
+  // summarizes the turns that fell out of the window since the last one
+  const summaryCache = new Map();
+
+  const cacheSummary = (key, summary) => {
+    summaryCache.delete(key);
+    summaryCache.set(key, summary);
+    if (summaryCache.size > SUMMARY_CACHE_SIZE) {
+      summaryCache.delete(summaryCache.keys().next().value);
+    }
+  };
+
+  const prefixKeys = (turns) => {
+    let hash = '';
+    return turns.map(turn => {
+      hash = crypto.createHash('sha1').update(`${hash}\u0000${turn.role}\u0000${turn.content}`).digest('hex');
+      return hash;
+    });
+  };
+
+  const summarize = async (folded, context) => {
+    const keys = prefixKeys(folded);
+
+    // Start from the longest prefix we have already summarized
+    let done = 0;
+    let summary = '';
+    for (let i = keys.length; i > 0; i--) {
+      if (summaryCache.has(keys[i - 1])) {
+        done = i;
+        summary = summaryCache.get(keys[i - 1]);
+        break;
+      }
+    }
+    if (done === folded.length) return { summary, method: 'cache' };
+
+    const newTurns = folded.slice(done);
+    let method = 'extractive';
+    if (summarizer) {
+      try {
+        summary = await summarizer(summary, newTurns, { ...context, maxTokens: summaryTokens });
+        method = 'model';
+      } catch (error) {
+        log.error(`❌ Model history summary failed, using extractive summary: ${error.message}`);
+        summary = extractiveSummary(summary, newTurns, { maxTokens: summaryTokens });
+      }
+    } else {
+      summary = extractiveSummary(summary, newTurns, { maxTokens: summaryTokens });
+    }
+
+    cacheSummary(keys[keys.length - 1], summary);
+    return { summary, method };
+  };
+
+  return {
+    tokenBudget,
+    maxMessages,
+
+    /**
+     * Split validated history into the recent turns sent verbatim and a summary of the rest.
+     * Resolves with { messages, summary, stats }. `context` is passed on to the summarizer
+     * (the app uses it to charge the call to the request).
+     */
+    async prepare(history, context = {}) {
+      // Newest turns first, until either limit is reached
+      let kept = 0;
+      let tokens = 0;
+      for (let i = history.length - 1; i >= 0 && kept < maxMessages; i--) {
+        const turnTokens = estimatePromptTokens([history[i]]);
+        if (tokens + turnTokens > tokenBudget) break;
+        tokens += turnTokens;
+        kept++;
+      }
+
+      // Don't open the window on an assistant turn without the question it answered
+      let cut = history.length - kept;
+      if (kept > 0 && history[cut].role === 'assistant' && kept > 1) {
+        cut++;
+        kept--;
+        tokens -= estimatePromptTokens([history[cut - 1]]);
+      }
+
+      const folded = history.slice(0, cut);
+      const { summary, method } = folded.length > 0 ? await summarize(folded, context) : { summary: null, method: null };
+
+      return {
+        messages: history.slice(cut),
+        summary: summary || null,
+        stats: {
+          received: history.length,
+          kept,
+          summarized: folded.length,
+          tokens,
+          summaryMethod: method
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  ALLOWED_ROLES,
+  MAX_HISTORY_ENTRIES,
+  MAX_ENTRY_CHARS,
+  HistoryError,
+  validateHistory,
+  extractiveSummary,
+  createHistoryManager
+};
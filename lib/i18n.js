@@ -0,0 +1,170 @@
+// Languages - locale resolution, message language detection and message catalogs
+//
+// Supported locales are en, es and pt. A chat request's locale comes from, in order:
+//   request   an explicit `locale` field ("es", "pt-BR", ...)
+//   detected  the language of the message itself when detection is confident, otherwise
+//             of the user's earlier turns (so a follow-up "ok" keeps the conversation's language)
+//   header    the Accept-Language header
+//   default   DEFAULT_LOCALE
+//
+// Catalogs (config/locales/<locale>.json) hold user-facing text, the language name and the
+// Bible translation answers quote from. Keys missing from a catalog fall back to English.
+// Text uses the same {{name}} placeholders as prompt templates.
+//
+// Config (env):
+//   DEFAULT_LOCALE   Locale for requests with no other signal (default en)
+
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('./prompts');
+
+const SUPPORTED_LOCALES = ['en', 'es', 'pt'];
+const FALLBACK_LOCALE = 'en';
+const DEFAULT_CATALOG_DIR = path.join(__dirname, '..', 'config', 'locales');
+
+// Common words that are distinctive for one language. Words shared by two of them
+// ("de", "que", "no", "me", ...) are left out because they say nothing.
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'my', 'i', 'i\'m', 'to', 'of', 'what', 'how', 'why', 'for', 'with', 'can', 'please', 'about', 'does', 'it', 'that', 'this', 'be', 'have', 'need', 'feel', 'want', 'pray', 'prayer', 'god', 'bible', 'hi', 'hello', 'thanks', 'thank'],
+  es: ['el', 'la', 'los', 'las', 'y', 'en', 'un', 'una', 'es', 'mi', 'yo', 'cómo', 'qué', 'del', 'al', 'muy', 'pero', 'dios', 'oración', 'oracion', 'puedes', 'está', 'estoy', 'soy', 'tengo', 'necesito', 'quiero', 'hola', 'gracias', 'biblia', 'señor', 'ayuda', 'ayúdame', 'también', 'dice', 'siento', 'cuál', 'hacer'],
+  pt: ['o', 'os', 'e', 'em', 'um', 'uma', 'é', 'meu', 'minha', 'eu', 'não', 'do', 'da', 'dos', 'das', 'na', 'você', 'estou', 'sou', 'tenho', 'preciso', 'quero', 'olá', 'oi', 'obrigado', 'obrigada', 'deus', 'oração', 'bíblia', 'senhor', 'ajuda', 'ajude', 'também', 'diz', 'sinto', 'qual', 'fazer', 'muito', 'mas', 'isso']
+};
+// Letters and punctuation only one of the languages uses
+const DISTINCTIVE = {
+  es: /[ñ¿¡]/g,
+  pt: /[ãõç]|ão\b/g
+};
+const DISTINCTIVE_WEIGHT = 2;
+// Share of words that must be stopwords of the winning language
+const MIN_DETECTION_RATIO = 0.2;
+
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([locale, words]) => [locale, new Set(words)]));
+
+/**
+ * Map a language tag ("pt-BR", "ES") to a supported locale, or null
+ */
+function normalizeLocale(tag) {
+  if (typeof tag !== 'string') return null;
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Guess the language of a message. Returns a locale, or null when the message is too
+ * short or too mixed to tell.
+ */
+function detectLanguage(text) {
+  const normalized = (text || '').normalize('NFC').toLowerCase().replace(/[‘’ʼ]/g, '\'');
+  const words = normalized.match(/[\p{L}']+/gu) || [];
+  if (words.length === 0) return null;
+
+  const scores = Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, 0]));
+  for (const word of words) {
+    for (const locale of SUPPORTED_LOCALES) {
+      if (STOPWORD_SETS[locale].has(word)) scores[locale]++;
+    }
+  }
+  for (const [locale, pattern] of Object.entries(DISTINCTIVE)) {
+    scores[locale] += (normalized.match(pattern) || []).length * DISTINCTIVE_WEIGHT;
+  }
+
+  const [[best, top], [, runnerUp]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (top === 0 || top < runnerUp * 2 || top / words.length < MIN_DETECTION_RATIO) return null;
+  return best;
+}
+
+/**
+ * Supported locales from an Accept-Language header, most preferred first
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string') return [];
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { locale: normalizeLocale(tag), quality: quality ? Number(quality[1]) : 1, index };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => (b.quality - a.quality) || (a.index - b.index))
+    .map(entry => entry.locale)
+    .filter((locale, index, locales) => locales.indexOf(locale) === index);
+}
+
+/**
+ * Locale for a request: { code, source }. `requested` must already be a supported
+ * locale or null; callers reject unsupported values themselves.
+ */
+function resolveLocale({ requested = null, message = null, history = [], acceptLanguage = null, defaultLocale = FALLBACK_LOCALE } = {}) {
+  if (requested) return { code: requested, source: 'request' };
+
+  const earlierTurns = history.filter(turn => turn.role === 'user').map(turn => turn.content).join('\n');
+  const detected = detectLanguage(message) || detectLanguage(earlierTurns);
+  if (detected) return { code: detected, source: 'detected' };
+
+  const [preferred] = parseAcceptLanguage(acceptLanguage);
+  if (preferred) return { code: preferred, source: 'header' };
+
+  return { code: defaultLocale, source: 'default' };
+}
+
+/**
+ * Value at a dotted key ("errors.rateLimit.window") in a catalog
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+}
+
+/**
+ * Load the message catalogs for every supported locale
+ */
+function createMessageCatalogs({ catalogDir = DEFAULT_CATALOG_DIR, defaultLocale = FALLBACK_LOCALE } = {}) {
+  if (!SUPPORTED_LOCALES.includes(defaultLocale)) {
+    throw new Error(`Unknown DEFAULT_LOCALE "${defaultLocale}" (expected ${SUPPORTED_LOCALES.join(', ')})`);
+  }
+
+  const catalogs = Object.fromEntries(SUPPORTED_LOCALES.map(locale => [
+    locale,
+    JSON.parse(fs.readFileSync(path.join(catalogDir, `${locale}.json`), 'utf8'))
+  ]));
+
+  /**
+   * Catalog text for a key, falling back to English, with {{name}} placeholders filled in
+   */
+  const t = (locale, key, variables = {}) => {
+    let text = lookup(catalogs[locale], key);
+    if (typeof text !== 'string') text = lookup(catalogs[FALLBACK_LOCALE], key);
+    if (typeof text !== 'string') throw new Error(`No message for "${key}"`);
+    return renderTemplate(text, variables, `Message "${key}"`);
+  };
+
+  return {
+    defaultLocale,
+    locales: SUPPORTED_LOCALES,
+    t,
+
+    /**
+     * Language name and Bible translation for response metadata
+     */
+    describe(locale) {
+      return { language: t(locale, 'language'), bibleVersion: t(locale, 'bibleVersion') };
+    }
+  };
+}
+
+/**
+ * Build the catalogs from environment config
+ */
+function createMessageCatalogsFromEnv(env = process.env) {
+  return createMessageCatalogs({ defaultLocale: (env.DEFAULT_LOCALE || FALLBACK_LOCALE).toLowerCase() });
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  detectLanguage,
+  parseAcceptLanguage,
+  resolveLocale,
+  createMessageCatalogs,
+  createMessageCatalogsFromEnv
+};
@@ -0,0 +1,277 @@
+// Intent classification for incoming chat messages
+//
+// Rules live in a JSON file (INTENT_RULES_FILE, default config/intent-rules.json) that is
+// reloaded automatically when it changes. Each intent lists weighted phrase patterns that
+// match on word boundaries, so 'hi' no longer matches inside 'this'.
+//
+// When the best rule-based score is below `lowConfidenceThreshold` and a model classifier
+// is supplied (INTENT_MODEL_FALLBACK=true), the model is asked instead and its answers are cached.
+//
+// Other languages have their own rules next to the default file (intent-rules.es.json,
+// intent-rules.pt.json); a locale without a rules file uses the default rules.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'intent-rules.json');
+const MODEL_CACHE_SIZE = 500;
+const MODEL_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lowercase, unify accents and apostrophes and collapse whitespace
+ */
+function normalizeMessage(message) {
+  return (message || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[‘’ʼ]/g, '\'')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a phrase into a regex that only matches whole words, in any alphabet.
+ * A trailing `*` matches any word ending (e.g. "forgiv*", "perdon*").
+ */
+function compilePhrase(phrase) {
+  const normalized = normalizeMessage(phrase);
+  const wildcard = normalized.endsWith('*');
+  const body = escapeRegExp(wildcard ? normalized.slice(0, -1) : normalized).replace(/ /g, '\\s+');
+  return new RegExp(`(?:^|[^\\p{L}\\p{N}'])${body}${wildcard ? '[\\p{L}\\p{N}\']*' : ''}(?=$|[^\\p{L}\\p{N}'])`, 'u');
+}
+
+/**
+ * Validate raw rules and precompile every phrase
+ */
+function compileRules(raw) {
+  if (!raw || typeof raw.intents !== 'object') {
+    throw new Error('Intent rules must define an "intents" object');
+  }
+
+  const intents = Object.entries(raw.intents).map(([name, intent]) => ({
+    name,
+    description: intent.description || '',
+    priority: intent.priority ?? 99,
+    vetoedBy: intent.vetoedBy || [],
+    features: intent.features || [],
+    patterns: (intent.patterns || []).flatMap(group =>
+      group.phrases.map(phrase => ({ phrase, weight: group.weight, regex: compilePhrase(phrase) }))
+    )
+  }));
+
+  const defaultIntent = raw.defaultIntent || intents[0]?.name;
+  if (!intents.some(intent => intent.name === defaultIntent)) {
+    throw new Error(`Default intent "${defaultIntent}" is not defined`);
+  }
+
+  return {
+    version: raw.version || 1,
+    defaultIntent,
+    lowConfidenceThreshold: raw.lowConfidenceThreshold ?? 0.5,
+    strongScore: raw.strongScore || 3,
+    intents
+  };
+}
+
+/**
+ * Score a message against compiled rules.
+ * Confidence combines how clearly the winner beats the runner-up with how strong its evidence is.
+ */
+function scoreMessage(rules, message) {
+  const text = normalizeMessage(message);
+  const scores = {};
+  const matches = [];
+
+  for (const intent of rules.intents) {
+    let score = 0;
+    for (const pattern of intent.patterns) {
+      if (pattern.regex.test(text)) {
+        score += pattern.weight;
+        matches.push({ intent: intent.name, phrase: pattern.phrase, weight: pattern.weight });
+      }
+    }
+    for (const feature of intent.features) {
+      if (feature.type === 'maxLength' && text.length <= feature.value) {
+        score += feature.weight;
+        matches.push({ intent: intent.name, feature: feature.type, weight: feature.weight });
+      } else if (feature.type === 'singleWord' && !text.includes(' ') && text.length <= feature.maxLength) {
+        score += feature.weight;
+        matches.push({ intent: intent.name, feature: feature.type, weight: feature.weight });
+      }
+    }
+    scores[intent.name] = score;
+  }
+
+  // An intent is ruled out when a vetoing intent found any evidence
+  for (const intent of rules.intents) {
+    if (intent.vetoedBy.some(name => scores[name] > 0)) {
+      scores[intent.name] = 0;
+    }
+  }
+
+  const ranked = rules.intents
+    .filter(intent => scores[intent.name] > 0)
+    .sort((a, b) => (scores[b.name] - scores[a.name]) || (a.priority - b.priority));
+
+  if (ranked.length === 0) {
+    return { intent: rules.defaultIntent, confidence: 0, scores, matches };
+  }
+
+  const top = scores[ranked[0].name];
+  const runnerUp = ranked[1] ? scores[ranked[1].name] : 0;
+  const margin = top / (top + runnerUp);
+  const strength = Math.min(1, top / rules.strongScore);
+
+  return {
+    intent: ranked[0].name,
+    confidence: Math.round(margin * strength * 100) / 100,
+    scores,
+    matches
+  };
+}
+
+/**
+ * Create a classifier. `modelClassifier(message, intents)` is optional and should
+ * resolve to { intent, confidence } using an AI model.
+ */
+function createIntentClassifier({ rulesPath = DEFAULT_RULES_FILE, modelClassifier = null, watch = true, now = Date.now, log = console } = {}) {
+  let rules = compileRules(JSON.parse(fs.readFileSync(rulesPath, 'utf8')));
+  const modelCache = new Map(); // normalized message -> { intent, confidence, cachedAt }
+
+  const reload = () => {
+    try {
+      rules = compileRules(JSON.parse(fs.readFileSync(rulesPath, 'utf8')));
+      modelCache.clear();
+      log.info(`🔄 Reloaded intent rules v${rules.version} from ${rulesPath}`);
+    } catch (error) {
+      // Keep serving the last good rules
+      log.error(`❌ Could not reload intent rules, keeping previous version: ${error.message}`);
+    }
+  };
+
+  let watcher = null;
+  if (watch) {
+    watcher = fs.watchFile(rulesPath, { interval: 5000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) reload();
+    });
+    watcher.unref();
+  }
+
+  const getCachedModelResult = (key) => {
+    const cached = modelCache.get(key);
+    if (!cached) return null;
+    if (now() - cached.cachedAt > MODEL_CACHE_TTL_MS) {
+      modelCache.delete(key);
+      return null;
+    }
+    // Refresh LRU position
+    modelCache.delete(key);
+    modelCache.set(key, cached);
+    return cached;
+  };
+
+  const cacheModelResult = (key, result) => {
+    modelCache.set(key, { ...result, cachedAt: now() });
+    if (modelCache.size > MODEL_CACHE_SIZE) {
+      modelCache.delete(modelCache.keys().next().value);
+    }
+  };
+
+  return {
+    get rules() {
+      return rules;
+    },
+
+    reload,
+
+    /**
+     * Classify a message. Resolves with { intent, confidence, method, scores, matches }
+     * where method is 'rules', 'model' or 'model-cache'. `context` is passed on to the
+     * model classifier (the app uses it to charge the call to the request).
+     */
+    async classify(message, context = {}) {
+      const result = { ...scoreMessage(rules, message), method: 'rules' };
+
+      if (!modelClassifier || result.confidence >= rules.lowConfidenceThreshold) {
+        return result;
+      }
+
+      const key = normalizeMessage(message);
+      const cached = getCachedModelResult(key);
+      if (cached) {
+        return { ...result, intent: cached.intent, confidence: cached.confidence, method: 'model-cache' };
+      }
+
+      try {
+        const intents = rules.intents.map(({ name, description }) => ({ name, description }));
+        const modelResult = await modelClassifier(message, intents, context);
+        if (!rules.intents.some(intent => intent.name === modelResult.intent)) {
+          throw new Error(`Model returned unknown intent "${modelResult.intent}"`);
+        }
+        cacheModelResult(key, modelResult);
+        return { ...result, intent: modelResult.intent, confidence: modelResult.confidence, method: 'model' };
+      } catch (error) {
+        log.error(`❌ Model intent classification failed, using rules: ${error.message}`);
+        return result;
+      }
+    },
+
+    close() {
+      if (watcher) fs.unwatchFile(rulesPath);
+    }
+  };
+}
+
+/**
+ * Path of a locale's rules next to the default rules file ("intent-rules.json" -> "intent-rules.es.json")
+ */
+function localeRulesPath(rulesPath, locale) {
+  const extension = path.extname(rulesPath);
+  return path.join(path.dirname(rulesPath), `${path.basename(rulesPath, extension)}.${locale}${extension}`);
+}
+
+/**
+ * One classifier per locale. `rulesPath` holds the default (English) rules; other locales
+ * load their rules file when it exists and share the default classifier otherwise.
+ */
+function createLocalizedIntentClassifiers({ rulesPath = DEFAULT_RULES_FILE, locales = [], defaultLocale = 'en', ...options } = {}) {
+  const fallback = createIntentClassifier({ rulesPath, ...options });
+  const classifiers = { [defaultLocale]: fallback };
+  for (const locale of locales) {
+    if (classifiers[locale]) continue;
+    const localePath = localeRulesPath(rulesPath, locale);
+    classifiers[locale] = fs.existsSync(localePath)
+      ? createIntentClassifier({ rulesPath: localePath, ...options })
+      : fallback;
+  }
+
+  const classifierFor = (locale) => classifiers[locale] || fallback;
+
+  return {
+    classifierFor,
+
+    /**
+     * Classify a message with the rules for its locale
+     */
+    classify(message, locale, context) {
+      return classifierFor(locale).classify(message, context);
+    },
+
+    close() {
+      for (const classifier of new Set(Object.values(classifiers))) classifier.close();
+    }
+  };
+}
+
+module.exports = {
+  normalizeMessage,
+  compilePhrase,
+  compileRules,
+  scoreMessage,
+  createIntentClassifier,
+  createLocalizedIntentClassifiers
+};
@@ -0,0 +1,213 @@
+// Prometheus metrics - a small registry of counters, histograms and gauges rendered in the
+// text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/)
+//
+// Metrics are process-local; with several replicas, Prometheus scrapes each one.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}, or nothing when empty
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Pick the declared labels in order, so the same set always maps to the same series
+ */
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+/**
+ * Create a metrics registry
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    /**
+     * Monotonic counter. inc(labels, value = 1)
+     */
+    counter({ name, help, labelNames = [] }) {
+      const series = new Map();
+      return register({
+        name,
+        inc(labels = {}, value = 1) {
+          if (!(value >= 0)) return;
+          const key = labelKey(labelNames, labels);
+          series.set(key, (series.get(key) || 0) + value);
+        },
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+          for (const [key, value] of series.entries()) {
+            lines.push(`${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+          }
+          return lines;
+        }
+      });
+    },
+
+    /**
+     * Histogram with cumulative buckets. observe(labels, value)
+     */
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const series = new Map(); // key -> { counts, sum, count }
+      return register({
+        name,
+        observe(labels = {}, value) {
+          if (!Number.isFinite(value)) return;
+          const key = labelKey(labelNames, labels);
+          let entry = series.get(key);
+          if (!entry) {
+            entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+            series.set(key, entry);
+          }
+          buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+          for (const [key, entry] of series.entries()) {
+            const labels = labelsFromKey(labelNames, key);
+            buckets.forEach((bound, index) => {
+              lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+            lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+          }
+          return lines;
+        }
+      });
+    },
+
+    /**
+     * Gauge read at scrape time. collect() returns a number or [{ labels, value }].
+     */
+    gauge({ name, help, collect }) {
+      return register({
+        name,
+        render() {
+          const collected = collect();
+          const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+          return [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} gauge`,
+            ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+          ];
+        }
+      });
+    },
+
+    /**
+     * Every metric in the text exposition format
+     */
+    render() {
+      return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+  };
+}
+
+/**
+ * The proxy's metrics, registered on a new registry
+ */
+function createProxyMetrics() {
+  const registry = createMetricsRegistry();
+
+  return {
+    registry,
+
+    httpRequests: registry.counter({
+      name: 'sanctify_http_requests_total',
+      help: 'HTTP requests by route and status code',
+      labelNames: ['method', 'route', 'status']
+    }),
+    httpDuration: registry.histogram({
+      name: 'sanctify_http_request_duration_seconds',
+      help: 'Time to respond to HTTP requests',
+      labelNames: ['method', 'route']
+    }),
+    chatRequests: registry.counter({
+      name: 'sanctify_chat_requests_total',
+      help: 'Chat requests by response topic and status code',
+      labelNames: ['topic', 'status']
+    }),
+    upstreamDuration: registry.histogram({
+      name: 'sanctify_upstream_request_duration_seconds',
+      help: 'AI provider call latency until response headers, per attempt',
+      labelNames: ['provider', 'model', 'outcome']
+    }),
+    tokens: registry.counter({
+      name: 'sanctify_tokens_total',
+      help: 'Tokens used by AI provider calls (estimated when the provider reports no usage)',
+      labelNames: ['provider', 'model', 'type']
+    }),
+    spend: registry.counter({
+      name: 'sanctify_spend_cents_total',
+      help: 'Spend on AI provider calls in US cents',
+      labelNames: ['provider', 'model']
+    }),
+    formatChecks: registry.counter({
+      name: 'sanctify_format_checks_total',
+      help: 'Format check results by prompt version and response format',
+      labelNames: ['version', 'format', 'result']
+    }),
+    rateLimitRejections: registry.counter({
+      name: 'sanctify_rate_limit_rejections_total',
+      help: 'Requests rejected by the rate limiter, by limit and tier',
+      labelNames: ['type', 'tier']
+    }),
+    responseCacheLookups: registry.counter({
+      name: 'sanctify_response_cache_lookups_total',
+      help: 'Response cache lookups by topic and result (hit or miss)',
+      labelNames: ['topic', 'result']
+    }),
+    safetyInterventions: registry.counter({
+      name: 'sanctify_safety_interventions_total',
+      help: 'Safety layer interventions by stage and action',
+      labelNames: ['stage', 'action']
+    }),
+
+    processMemory: registry.gauge({
+      name: 'sanctify_process_resident_memory_bytes',
+      help: 'Resident memory of the proxy process',
+      collect: () => process.memoryUsage().rss
+    }),
+    processUptime: registry.gauge({
+      name: 'sanctify_process_uptime_seconds',
+      help: 'Seconds since the proxy process started',
+      collect: () => Math.round(process.uptime())
+    })
+  };
+}
+
+module.exports = {
+  createMetricsRegistry,
+  createProxyMetrics
+};
@@ -0,0 +1,141 @@
+// OpenAPI document - built from the schemas routes are registered with (lib/schemas.js)
+//
+// app.js collects every route through Fastify's onRoute hook. Routes without a schema,
+// with `schema.hide` (the unversioned aliases, the document itself) or for HEAD and OPTIONS
+// are left out. JSON Schema is used as-is, which OpenAPI 3.1 allows; only shared schema
+// references are rewritten to point into components.
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No content',
+  '4XX': 'Client error (ApiError)',
+  '5XX': 'Server error (ApiError)'
+};
+const SCHEMA_KEYWORDS_NOT_IN_OPENAPI = new Set(['$id', 'hide']);
+
+/**
+ * Copy of a schema with `Id#/path` references pointing at components.schemas
+ */
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toOpenApiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !SCHEMA_KEYWORDS_NOT_IN_OPENAPI.has(key))
+    .map(([key, value]) => {
+      if (key === '$ref' && typeof value === 'string' && !value.startsWith('#')) {
+        const [id, pointer = ''] = value.split('#');
+        return [key, `#/components/schemas/${id}${pointer}`];
+      }
+      return [key, toOpenApiSchema(value)];
+    }));
+}
+
+/**
+ * OpenAPI paths for a Fastify URL. An optional last parameter ("/:userId?") gives two
+ * paths, without and with it.
+ */
+function toOpenApiPaths(url) {
+  const convert = (path) => path.replace(/:(\w+)/g, '{$1}');
+  const optional = url.match(/^(.*)\/:(\w+)\?$/);
+  if (!optional) return [{ path: convert(url), suffix: '' }];
+  const [, base, param] = optional;
+  return [
+    { path: convert(base) || '/', suffix: '', omit: param },
+    { path: `${convert(base)}/{${param}}`, suffix: `By${param[0].toUpperCase()}${param.slice(1)}` }
+  ];
+}
+
+/**
+ * Parameter objects for the properties of a params, querystring or headers schema
+ */
+function parametersFor(schema, location, omit = null) {
+  if (!schema || !schema.properties) return [];
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties)
+    .filter(([name]) => name !== omit)
+    .map(([name, property]) => {
+      const { description, ...propertySchema } = property;
+      return {
+        name,
+        in: location,
+        // Path parameters are always required in OpenAPI, even Fastify's optional last one
+        required: location === 'path' || required.has(name),
+        ...(description ? { description } : {}),
+        schema: toOpenApiSchema(propertySchema)
+      };
+    });
+}
+
+/**
+ * Response objects keyed by status. Fastify's 4xx/5xx ranges are 4XX/5XX in OpenAPI.
+ */
+function responsesFor(response = {}) {
+  return Object.fromEntries(Object.entries(response).map(([status, schema]) => {
+    const key = /^\dxx$/i.test(status) ? status.toUpperCase() : status;
+    const { description, ...body } = schema;
+    return [key, {
+      description: description || STATUS_DESCRIPTIONS[key] || 'Response',
+      ...(key === '204' ? {} : { content: { 'application/json': { schema: toOpenApiSchema(body) } } })
+    }];
+  }));
+}
+
+/**
+ * Build the document from collected route options: { method, url, schema }
+ */
+function createOpenApiDocument({ info, routes, schemas = [], securitySchemes = {} }) {
+  // A body without required fields may be left out
+  const hasRequiredFields = (body) => {
+    const resolved = body.$ref ? schemas.find(schema => `${schema.$id}#` === body.$ref) || body : body;
+    return Boolean(resolved.required && resolved.required.length > 0);
+  };
+  const paths = {};
+  for (const route of routes) {
+    const { schema } = route;
+    if (!schema || schema.hide) continue;
+
+    for (const method of [].concat(route.method)) {
+      if (method === 'HEAD' || method === 'OPTIONS') continue;
+
+      for (const { path, suffix, omit } of toOpenApiPaths(route.url)) {
+        const operation = {
+          ...(schema.operationId ? { operationId: `${schema.operationId}${suffix}` } : {}),
+          ...(schema.summary ? { summary: schema.summary } : {}),
+          ...(schema.description ? { description: schema.description } : {}),
+          ...(schema.tags ? { tags: schema.tags } : {}),
+          ...(schema.security ? { security: schema.security } : {}),
+          parameters: [
+            ...parametersFor(schema.params, 'path', omit),
+            ...parametersFor(schema.querystring, 'query'),
+            ...parametersFor(schema.headers, 'header')
+          ],
+          ...(schema.body
+            ? { requestBody: { required: hasRequiredFields(schema.body), content: { 'application/json': { schema: toOpenApiSchema(schema.body) } } } }
+            : {}),
+          responses: responsesFor(schema.response)
+        };
+        if (operation.parameters.length === 0) delete operation.parameters;
+
+        paths[path] = { ...paths[path], [method.toLowerCase()]: operation };
+      }
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    paths: Object.fromEntries(Object.entries(paths).sort(([a], [b]) => a.localeCompare(b))),
+    components: {
+      schemas: Object.fromEntries(schemas.map(schema => [schema.$id, toOpenApiSchema(schema)])),
+      securitySchemes
+    }
+  };
+}
+
+module.exports = {
+  toOpenApiSchema,
+  toOpenApiPaths,
+  createOpenApiDocument
+};
@@ -0,0 +1,87 @@
+// Per-model token pricing used for daily cost accounting
+//
+// Providers with their own prices (self-hosted models) carry them as `provider.pricing`,
+// which the cost functions take in place of the table, so a local model named like a
+// hosted one never changes the hosted price.
+
+// USD per 1M tokens, as billed by the provider
+const MODEL_PRICING = {
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4-turbo': { input: 10.00, output: 30.00 },
+  'gpt-4': { input: 30.00, output: 60.00 },
+  'gpt-35-turbo': { input: 0.50, output: 1.50 }, // Azure model name
+  'claude-3-5-haiku': { input: 0.80, output: 4.00 },
+  'claude-3-5-sonnet': { input: 3.00, output: 15.00 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-sonnet-4': { input: 3.00, output: 15.00 }
+};
+
+// Unknown models are charged at the most expensive rate so budgets never undercount
+const FALLBACK_PRICING = { input: 30.00, output: 60.00 };
+
+// Rough tokenizer approximation: ~4 characters per token plus per-message overhead
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Look up pricing for a model, matching dated snapshots (e.g. gpt-4o-2024-08-06)
+ * to their base model
+ */
+function getModelPricing(model) {
+  if (MODEL_PRICING[model]) return MODEL_PRICING[model];
+
+  const baseModel = Object.keys(MODEL_PRICING)
+    .sort((a, b) => b.length - a.length)
+    .find(name => model && model.startsWith(name));
+
+  return baseModel ? MODEL_PRICING[baseModel] : FALLBACK_PRICING;
+}
+
+/**
+ * Convert token counts to cost in cents
+ */
+function tokensToCents(pricing, promptTokens, completionTokens) {
+  const dollars = (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000;
+  return dollars * 100;
+}
+
+/**
+ * Approximate the token count of a piece of text
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Approximate the prompt token count of a chat message list
+ */
+function estimatePromptTokens(messages) {
+  return messages.reduce((total, msg) => total + TOKENS_PER_MESSAGE + estimateTokens(msg.content), 0);
+}
+
+/**
+ * Worst-case cost (in cents) of a completion request, used to reserve budget
+ * before the upstream call: full prompt plus max_tokens of output.
+ * `pricing` replaces the table price (see provider.pricing).
+ */
+function estimateRequestCost({ model, messages, max_tokens }, pricing = getModelPricing(model)) {
+  return tokensToCents(pricing, estimatePromptTokens(messages), max_tokens || 0);
+}
+
+/**
+ * Actual cost (in cents) of a completion from the `usage` block the provider returns
+ */
+function calculateUsageCost(model, usage, pricing = getModelPricing(model)) {
+  return tokensToCents(pricing, usage.prompt_tokens || 0, usage.completion_tokens || 0);
+}
+
+module.exports = {
+  MODEL_PRICING,
+  getModelPricing,
+  estimateTokens,
+  estimatePromptTokens,
+  estimateRequestCost,
+  calculateUsageCost
+};
@@ -0,0 +1,179 @@
+// Prompt registry - versioned system prompt templates with optional A/B experiments
+//
+// The registry file (PROMPTS_FILE, default config/prompts/prompts.json) lists prompt versions,
+// each a system template plus per-format reminders, with paths relative to the registry file.
+// Templates use {{name}} placeholders; rendering fails if a placeholder has no value.
+// The registry and its templates reload automatically when the registry file changes.
+//
+// With an `experiment` ({ name, variants: { <version>: weight } }), every caller is assigned a
+// version by hashing the experiment name with their rate limit key, so the same user keeps the
+// same version for as long as the experiment runs. Without one, everyone gets `defaultVersion`.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROMPTS_FILE = path.join(__dirname, '..', 'config', 'prompts', 'prompts.json');
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+/**
+ * Read a template file, dropping the trailing newline editors add
+ */
+function readTemplate(baseDir, file, label) {
+  if (typeof file !== 'string') {
+    throw new Error(`${label} has no template file`);
+  }
+  return fs.readFileSync(path.resolve(baseDir, file), 'utf8').replace(/\n+$/, '');
+}
+
+/**
+ * Replace {{name}} placeholders. Throws if a placeholder has no value.
+ */
+function renderTemplate(template, variables, label = 'Template') {
+  return template.replace(PLACEHOLDER, (match, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`${label} needs a value for {{${name}}}`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Load and validate a registry: every version needs a system template and a default reminder,
+ * and experiments may only name known versions
+ */
+function loadRegistry(registryPath) {
+  const raw = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  const baseDir = path.dirname(registryPath);
+
+  const versions = {};
+  for (const [name, version] of Object.entries(raw.versions || {})) {
+    const label = `Prompt version "${name}"`;
+    const reminders = version.reminders || {};
+    if (!reminders.default) {
+      throw new Error(`${label} has no default reminder`);
+    }
+    versions[name] = {
+      description: version.description || '',
+      system: readTemplate(baseDir, version.system, label),
+      reminders: Object.fromEntries(Object.entries(reminders).map(([format, file]) => [
+        format,
+        readTemplate(baseDir, file, `${label} reminder "${format}"`)
+      ]))
+    };
+  }
+
+  if (!versions[raw.defaultVersion]) {
+    throw new Error(`Default prompt version "${raw.defaultVersion}" is not defined`);
+  }
+
+  let experiment = null;
+  if (raw.experiment) {
+    const { name, variants = {} } = raw.experiment;
+    if (!name) throw new Error('Prompt experiment has no name');
+    const entries = Object.entries(variants);
+    if (entries.length === 0) throw new Error(`Prompt experiment "${name}" has no variants`);
+    for (const [version, weight] of entries) {
+      if (!versions[version]) throw new Error(`Prompt experiment "${name}" uses unknown version "${version}"`);
+      if (typeof weight !== 'number' || !(weight > 0)) {
+        throw new Error(`Prompt experiment "${name}" has invalid weight "${weight}" for ${version}`);
+      }
+    }
+    experiment = { name, variants };
+  }
+
+  return { defaultVersion: raw.defaultVersion, versions, experiment };
+}
+
+/**
+ * Deterministic point in [0, 1) for a user within an experiment
+ */
+function assignmentPoint(experimentName, userKey) {
+  const digest = crypto.createHash('sha256').update(`${experimentName}:${userKey}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Create a prompt registry
+ */
+function createPromptRegistry({ registryPath = DEFAULT_PROMPTS_FILE, watch = true, log = console } = {}) {
+  let registry = loadRegistry(registryPath);
+
+  const reload = () => {
+    try {
+      registry = loadRegistry(registryPath);
+      log.info(`🔄 Reloaded prompt registry from ${registryPath} (default ${registry.defaultVersion})`);
+    } catch (error) {
+      // Keep serving the last good prompts
+      log.error(`❌ Could not reload prompt registry, keeping previous version: ${error.message}`);
+    }
+  };
+
+  let watcher = null;
+  if (watch) {
+    watcher = fs.watchFile(registryPath, { interval: 5000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) reload();
+    });
+    watcher.unref();
+  }
+
+  return {
+    get registry() {
+      return registry;
+    },
+
+    reload,
+
+    /**
+     * The prompt version for a caller: { version, experiment } where experiment is
+     * the experiment name, or null when the default version applies
+     */
+    select(userKey) {
+      const { experiment } = registry;
+      if (!experiment) {
+        return { version: registry.defaultVersion, experiment: null };
+      }
+
+      const variants = Object.entries(experiment.variants);
+      const total = variants.reduce((sum, [, weight]) => sum + weight, 0);
+      let point = assignmentPoint(experiment.name, userKey || 'anonymous') * total;
+      for (const [version, weight] of variants) {
+        if (point < weight) return { version, experiment: experiment.name };
+        point -= weight;
+      }
+      return { version: variants[variants.length - 1][0], experiment: experiment.name };
+    },
+
+    /**
+     * Render a version's system prompt followed by the reminder for `format`
+     * (or the default reminder)
+     */
+    render(versionName, format, variables) {
+      const version = registry.versions[versionName] || registry.versions[registry.defaultVersion];
+      const label = `Prompt version "${versionName}"`;
+      const reminder = version.reminders[format] || version.reminders.default;
+      return `${renderTemplate(version.system, variables, label)}\n\n${renderTemplate(reminder, variables, label)}`;
+    },
+
+    /**
+     * Public summary for /health and the admin API
+     */
+    describe() {
+      return {
+        defaultVersion: registry.defaultVersion,
+        versions: Object.fromEntries(Object.entries(registry.versions).map(([name, version]) => [name, version.description])),
+        experiment: registry.experiment
+      };
+    },
+
+    close() {
+      if (watcher) fs.unwatchFile(registryPath);
+    }
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  loadRegistry,
+  createPromptRegistry
+};
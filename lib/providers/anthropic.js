@@ -0,0 +1,120 @@
+// Anthropic Messages API
+
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Convert our OpenAI-style message list into a Messages API request.
+ * System messages (including mid-conversation reinforcements) move to the
+ * top-level `system` field, and consecutive turns from the same role are merged.
+ */
+function toAnthropicMessages(messages) {
+  const systemParts = [];
+  const turns = [];
+
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      if (!systemParts.includes(msg.content)) systemParts.push(msg.content);
+      continue;
+    }
+
+    const last = turns[turns.length - 1];
+    if (last && last.role === msg.role) {
+      last.content += `\n\n${msg.content}`;
+    } else {
+      turns.push({ role: msg.role, content: msg.content });
+    }
+  }
+
+  // The conversation must open with a user turn
+  if (turns.length > 0 && turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: '(continuing our conversation)' });
+  }
+
+  return { system: systemParts.join('\n\n'), messages: turns };
+}
+
+/**
+ * Map Anthropic's usage block onto the OpenAI shape used for cost accounting
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  const normalized = {};
+  if (usage.input_tokens !== undefined) normalized.prompt_tokens = usage.input_tokens;
+  if (usage.output_tokens !== undefined) normalized.completion_tokens = usage.output_tokens;
+  return normalized;
+}
+
+/**
+ * api.anthropic.com
+ */
+function createAnthropicProvider({ apiKey, model = 'claude-3-5-haiku-latest', baseUrl = ANTHROPIC_BASE_URL }) {
+  return {
+    name: 'anthropic',
+    model,
+
+    validateConfig() {
+      if (!apiKey) return 'ANTHROPIC_API_KEY is not set';
+      if (!apiKey.startsWith('sk-ant-')) return 'ANTHROPIC_API_KEY has an invalid format';
+      return null;
+    },
+
+    // Anthropic has no frequency/presence penalties, and temperature and top_p are mutually exclusive
+    buildRequest(params, { stream } = {}) {
+      const { system, messages } = toAnthropicMessages(params.messages);
+      const body = {
+        model,
+        system,
+        messages,
+        max_tokens: params.max_tokens,
+        temperature: params.temperature
+      };
+      if (stream) body.stream = true;
+
+      return {
+        url: `${baseUrl}/messages`,
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'Content-Type': 'application/json'
+        },
+        body
+      };
+    },
+
+    parseResponse(data) {
+      const content = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      return {
+        content,
+        finishReason: data.stop_reason || null,
+        usage: normalizeUsage(data.usage)
+      };
+    },
+
+    // Input tokens arrive on message_start, output tokens on message_delta
+    parseStreamChunk(event) {
+      switch (event.type) {
+        case 'message_start':
+          return { delta: '', finishReason: null, usage: normalizeUsage(event.message?.usage) };
+        case 'content_block_delta':
+          return { delta: event.delta?.type === 'text_delta' ? event.delta.text : '', finishReason: null, usage: null };
+        case 'message_delta':
+          return { delta: '', finishReason: event.delta?.stop_reason || null, usage: normalizeUsage(event.usage) };
+        case 'message_stop':
+          return { delta: '', finishReason: null, usage: null, done: true };
+        case 'error':
+          throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown'}`);
+        default:
+          return { delta: '', finishReason: null, usage: null };
+      }
+    }
+  };
+}
+
+module.exports = {
+  toAnthropicMessages,
+  createAnthropicProvider
+};
@@ -0,0 +1,45 @@
+// Azure OpenAI - OpenAI wire format addressed by deployment name and api-version
+
+const { buildChatCompletionBody, parseChatCompletion, parseChatCompletionChunk } = require('./openai');
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * `model` is the underlying model name (used for pricing and logs);
+ * requests are routed by `deployment`
+ */
+function createAzureOpenAIProvider({ endpoint, apiKey, deployment, apiVersion = DEFAULT_API_VERSION, model }) {
+  return {
+    name: 'azure',
+    model: model || deployment,
+
+    validateConfig() {
+      if (!endpoint) return 'AZURE_OPENAI_ENDPOINT is not set';
+      if (!apiKey) return 'AZURE_OPENAI_API_KEY is not set';
+      if (!deployment) return 'AZURE_OPENAI_DEPLOYMENT is not set';
+      return null;
+    },
+
+    buildRequest(params, { stream } = {}) {
+      // Azure picks the model from the deployment, so `model` is left out of the body
+      const { model: _model, ...rest } = params;
+      const base = endpoint.replace(/\/+$/, '');
+
+      return {
+        url: `${base}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+        headers: {
+          'api-key': apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: buildChatCompletionBody(rest, { stream, includeUsage: true })
+      };
+    },
+
+    parseResponse: parseChatCompletion,
+    parseStreamChunk: parseChatCompletionChunk
+  };
+}
+
+module.exports = {
+  createAzureOpenAIProvider
+};
@@ -0,0 +1,198 @@
+// AI provider selection - per environment, optionally overridden per topic
+//
+// Config (env):
+//   AI_PROVIDER       openai (default) | azure | anthropic | openai-compatible
+//   AI_MODEL          Model for the default provider (each provider has its own default)
+//   AI_TOPIC_ROUTES   JSON map of topic -> { provider, model, deployment }, e.g.
+//                     {"prayer":{"provider":"anthropic"},"informational":{"model":"gpt-4o-mini"}}
+//   AI_FALLBACK_ROUTES JSON array of routes tried in order when the primary fails, e.g.
+//                     [{"model":"gpt-4o-mini"},{"provider":"anthropic"}]
+//
+//   OPENAI_API_KEY, OPENAI_BASE_URL (default https://api.openai.com/v1)
+//   AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT,
+//   AZURE_OPENAI_API_VERSION, AZURE_OPENAI_MODEL
+//   ANTHROPIC_API_KEY
+//   AI_COMPATIBLE_BASE_URL, AI_COMPATIBLE_API_KEY, AI_COMPATIBLE_MODEL,
+//   AI_COMPATIBLE_PRICE_INPUT, AI_COMPATIBLE_PRICE_OUTPUT (USD per 1M tokens, default 0)
+
+const { createOpenAIProvider, createOpenAICompatibleProvider } = require('./openai');
+const { createAzureOpenAIProvider } = require('./azure');
+const { createAnthropicProvider } = require('./anthropic');
+
+const PROVIDER_NAMES = ['openai', 'azure', 'anthropic', 'openai-compatible'];
+
+/**
+ * Instantiate a provider by name. `route` may override the model (and Azure deployment).
+ */
+function createProvider(name, route, env) {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: route.model,
+        baseUrl: env.OPENAI_BASE_URL
+      });
+    case 'azure':
+      return createAzureOpenAIProvider({
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        deployment: route.deployment || env.AZURE_OPENAI_DEPLOYMENT,
+        apiVersion: env.AZURE_OPENAI_API_VERSION,
+        model: route.model || env.AZURE_OPENAI_MODEL
+      });
+    case 'anthropic':
+      return createAnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: route.model
+      });
+    case 'openai-compatible':
+      // Self-hosted models are free unless configured otherwise
+      return createOpenAICompatibleProvider({
+        baseUrl: env.AI_COMPATIBLE_BASE_URL,
+        apiKey: env.AI_COMPATIBLE_API_KEY,
+        model: route.model || env.AI_COMPATIBLE_MODEL,
+        pricing: {
+          input: Number(env.AI_COMPATIBLE_PRICE_INPUT) || 0,
+          output: Number(env.AI_COMPATIBLE_PRICE_OUTPUT) || 0
+        }
+      });
+    default:
+      throw new Error(`Unknown AI provider "${name}" (expected ${PROVIDER_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Parse a JSON routing variable, failing loudly on bad JSON so a typo never
+ * silently routes traffic to the wrong vendor
+ */
+function parseRoutes(name, raw, fallback) {
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Build the provider registry from environment config
+ */
+function createProviderRegistry(env = process.env) {
+  const envDefaultRoute = {
+    provider: (env.AI_PROVIDER || 'openai').toLowerCase(),
+    model: env.AI_MODEL
+  };
+  const envTopicRoutes = parseRoutes('AI_TOPIC_ROUTES', env.AI_TOPIC_ROUTES, {});
+  // Routes changed at runtime (see setRoute) replace these copies, never the env config
+  let defaultRoute = { ...envDefaultRoute };
+  const topicRoutes = { ...envTopicRoutes };
+  const fallbackRoutes = parseRoutes('AI_FALLBACK_ROUTES', env.AI_FALLBACK_ROUTES, []);
+  if (!Array.isArray(fallbackRoutes)) {
+    throw new Error('AI_FALLBACK_ROUTES must be a JSON array');
+  }
+  const providers = new Map();
+
+  const providerFor = (route) => {
+    const name = (route.provider || defaultRoute.provider).toLowerCase();
+    // Topic routes on the default provider inherit its model unless they set their own
+    const model = route.model || (name === defaultRoute.provider ? defaultRoute.model : undefined);
+    const key = `${name}:${model || ''}:${route.deployment || ''}`;
+
+    if (!providers.has(key)) {
+      providers.set(key, createProvider(name, { model, deployment: route.deployment }, env));
+    }
+    return providers.get(key);
+  };
+
+  return {
+    /**
+     * Provider for a topic, falling back to the environment default
+     */
+    resolve(topic) {
+      return providerFor(topicRoutes[topic] || defaultRoute);
+    },
+
+    /**
+     * Primary provider for a topic followed by the fallback chain, without duplicates
+     */
+    resolveChain(topic) {
+      const chain = [this.resolve(topic)];
+      for (const route of fallbackRoutes) {
+        const provider = providerFor(route);
+        if (!chain.includes(provider)) chain.push(provider);
+      }
+      return chain;
+    },
+
+    /**
+     * Replace the default route (`name` = 'default') or a topic route at runtime.
+     * `route` is { provider, model, deployment }; null restores the env config.
+     * Throws without changing anything when the new route is not usable.
+     */
+    setRoute(name, route) {
+      const next = route || (name === 'default' ? envDefaultRoute : envTopicRoutes[name] || null);
+
+      if (name === 'default') {
+        const candidate = {
+          provider: (next.provider || defaultRoute.provider).toLowerCase(),
+          model: next.model,
+          deployment: next.deployment
+        };
+        const error = providerFor(candidate).validateConfig();
+        if (error) throw new Error(error);
+        defaultRoute = candidate;
+        return;
+      }
+
+      if (!next) {
+        delete topicRoutes[name];
+        return;
+      }
+      const error = providerFor(next).validateConfig();
+      if (error) throw new Error(error);
+      topicRoutes[name] = next;
+    },
+
+    /**
+     * Config errors for the default provider and every topic route
+     */
+    validate() {
+      const routes = [
+        ['default', defaultRoute],
+        ...Object.entries(topicRoutes),
+        ...fallbackRoutes.map((route, index) => [`fallback ${index + 1}`, route])
+      ];
+      const errors = [];
+      for (const [name, route] of routes) {
+        try {
+          const error = providerFor(route).validateConfig();
+          if (error) errors.push(`${name}: ${error}`);
+        } catch (error) {
+          errors.push(`${name}: ${error.message}`);
+        }
+      }
+      return errors;
+    },
+
+    /**
+     * Human-readable routing summary for startup logs and /health
+     */
+    describe() {
+      const label = (route) => {
+        const provider = providerFor(route);
+        return `${provider.name}:${provider.model}`;
+      };
+      const topics = {};
+      for (const [topic, route] of Object.entries(topicRoutes)) {
+        topics[topic] = label(route);
+      }
+      return { default: label(defaultRoute), topics, fallbacks: fallbackRoutes.map(label) };
+    }
+  };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createProvider,
+  createProviderRegistry
+};
@@ -0,0 +1,118 @@
+// OpenAI Chat Completions wire format - also spoken by Azure OpenAI and
+// self-hosted OpenAI-compatible servers (Ollama, vLLM, LM Studio)
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Request body for a chat completion. Sampling parameters pass through unchanged.
+ */
+function buildChatCompletionBody(params, { stream = false, includeUsage = false } = {}) {
+  const body = { ...params };
+  if (stream) {
+    body.stream = true;
+    if (includeUsage) body.stream_options = { include_usage: true };
+  }
+  return body;
+}
+
+/**
+ * Normalize a chat completion response
+ */
+function parseChatCompletion(data) {
+  const choice = data.choices?.[0];
+  return {
+    content: choice?.message?.content || '',
+    finishReason: choice?.finish_reason || null,
+    usage: data.usage || null
+  };
+}
+
+/**
+ * Normalize one streamed chat completion chunk
+ */
+function parseChatCompletionChunk(chunk) {
+  const choice = chunk.choices?.[0];
+  return {
+    delta: choice?.delta?.content || '',
+    finishReason: choice?.finish_reason || null,
+    usage: chunk.usage || null
+  };
+}
+
+/**
+ * api.openai.com
+ */
+function createOpenAIProvider({ apiKey, model = 'gpt-3.5-turbo', baseUrl = OPENAI_BASE_URL }) {
+  return {
+    name: 'openai',
+    model,
+
+    validateConfig() {
+      if (!apiKey) return 'OPENAI_API_KEY is not set';
+      if (!apiKey.startsWith('sk-')) return 'OPENAI_API_KEY has an invalid format';
+      return null;
+    },
+
+    buildRequest(params, { stream } = {}) {
+      return {
+        url: `${baseUrl}/chat/completions`,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: buildChatCompletionBody({ ...params, model }, { stream, includeUsage: true })
+      };
+    },
+
+    parseResponse: parseChatCompletion,
+    parseStreamChunk: parseChatCompletionChunk
+  };
+}
+
+/**
+ * Any server exposing an OpenAI-compatible /chat/completions endpoint.
+ * The API key is optional since local servers usually don't check it.
+ * `pricing` ({ input, output } USD per 1M tokens) is used for this provider's costs only.
+ */
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model, pricing = { input: 0, output: 0 } }) {
+  return {
+    name: 'openai-compatible',
+    model,
+    pricing,
+
+    validateConfig() {
+      if (!baseUrl) return 'AI_COMPATIBLE_BASE_URL is not set';
+      try {
+        new URL(baseUrl);
+      } catch (error) {
+        return `AI_COMPATIBLE_BASE_URL is not a valid URL: ${baseUrl}`;
+      }
+      if (!model) return 'AI_COMPATIBLE_MODEL is not set';
+      return null;
+    },
+
+    buildRequest(params, { stream } = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+      return {
+        url: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+        headers,
+        // Not every compatible server understands stream_options, so streamed cost is estimated
+        body: buildChatCompletionBody({ ...params, model }, { stream })
+      };
+    },
+
+    parseResponse: parseChatCompletion,
+    parseStreamChunk: parseChatCompletionChunk
+  };
+}
+
+module.exports = {
+  OPENAI_BASE_URL,
+  buildChatCompletionBody,
+  parseChatCompletion,
+  parseChatCompletionChunk,
+  createOpenAIProvider,
+  createOpenAICompatibleProvider
+};
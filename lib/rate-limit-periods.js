@@ -0,0 +1,126 @@
+// Rate limit periods - the sliding request window and timezone-aware days
+//
+// The request window is a sliding-window counter: the previous fixed window's count is
+// weighted by how much of it still overlaps the last `windowMs`, so bursts across a window
+// boundary count against the same limit instead of getting a fresh allowance.
+// Daily counters reset at midnight in the caller's timezone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const timeZoneFormats = new Map(); // timeZone -> Intl.DateTimeFormat
+
+/**
+ * Cached formatter that reads wall-clock parts in a timezone
+ */
+function formatFor(timeZone) {
+  let format = timeZoneFormats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    timeZoneFormats.set(timeZone, format);
+  }
+  return format;
+}
+
+/**
+ * True for IANA timezone names Intl understands (e.g. America/Chicago)
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date parts of an instant in a timezone
+ */
+function localParts(time, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatFor(timeZone).formatToParts(new Date(time))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function offsetAt(time, timeZone) {
+  const p = localParts(time, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * The instant local midnight starts on a calendar date in a timezone
+ */
+function midnight(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - offsetAt(guess, timeZone);
+  // Check again at the result in case a DST change falls between the guess and midnight
+  return guess - offsetAt(first, timeZone);
+}
+
+/**
+ * Start and end (epoch ms) of the local day containing `now`
+ */
+function dayBounds(now, timeZone = 'UTC') {
+  if (timeZone === 'UTC') {
+    const start = Math.floor(now / DAY_MS) * DAY_MS;
+    return { start, end: start + DAY_MS };
+  }
+
+  const today = localParts(now, timeZone);
+  const start = midnight(today.year, today.month, today.day, timeZone);
+  // Date.UTC rolls day 32 into the next month, so this also handles month ends
+  const next = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+  const end = midnight(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), timeZone);
+  return { start, end };
+}
+
+/**
+ * Requests counted against the sliding window at `now`, given a record with
+ * { windowStart, requests, previousRequests }
+ */
+function slidingWindowCount(record, now, windowMs) {
+  const elapsed = Math.min(1, Math.max(0, (now - record.windowStart) / windowMs));
+  return Math.floor(record.previousRequests * (1 - elapsed)) + record.requests;
+}
+
+/**
+ * Seconds until one more request fits under `limit`
+ */
+function slidingWindowRetryAfter(record, now, windowMs, limit) {
+  const { windowStart, requests, previousRequests } = record;
+
+  // Room in the current window once enough of the previous one has slid out
+  if (requests + 1 <= limit) {
+    if (previousRequests === 0) return 0;
+    const fraction = 1 - (limit - requests - 1) / previousRequests;
+    return Math.max(0, Math.ceil((Math.round(windowStart + fraction * windowMs) - now) / 1000));
+  }
+
+  // Otherwise this window's requests have to slide out during the next one
+  const fraction = 1 - (limit - 1) / requests;
+  return Math.max(1, Math.ceil((Math.round(windowStart + windowMs + fraction * windowMs) - now) / 1000));
+}
+
+module.exports = {
+  DAY_MS,
+  isValidTimeZone,
+  dayBounds,
+  slidingWindowCount,
+  slidingWindowRetryAfter
+};
@@ -0,0 +1,358 @@
+// Pluggable storage for per-user rate limit counters
+//
+// Every backend implements the same async interface:
+//   get(userKey)                        -> record | null
+//   list({ limit })                     -> [{ userKey, ...record }], most recently active first
+//   increment(userKey, periods, deltas) -> updated record
+//   delete(userKey)                     -> void
+//   cleanup({ windowBefore, dayBefore }) -> number of records removed
+//   size()                              -> number of tracked users
+//   close()                             -> flush and release resources
+//
+// `periods` is { windowStart, windowMs, dailyStart }. When a period is newer than the stored
+// one its counters are reset before the deltas apply; deltas for an older (already reset)
+// period are dropped. Omitting a period leaves those counters untouched.
+// When the window moves on to the very next one, its count is kept as `previousRequests`
+// for the sliding-window limit (see lib/rate-limit-periods.js).
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Blank counters for a user seen for the first time
+ */
+function emptyRecord() {
+  return {
+    windowStart: 0,
+    requests: 0,
+    previousRequests: 0,
+    dailyStart: 0,
+    dailyRequests: 0,
+    dailyCost: 0,
+    reservedCost: 0
+  };
+}
+
+/**
+ * Apply period resets and counter deltas to a record in place
+ */
+function applyIncrement(record, { windowStart, windowMs, dailyStart }, deltas) {
+  if (windowStart !== undefined) {
+    if (windowStart > record.windowStart) {
+      record.previousRequests = windowStart - record.windowStart === windowMs ? record.requests : 0;
+      record.windowStart = windowStart;
+      record.requests = 0;
+    }
+    if (windowStart === record.windowStart) {
+      record.requests += deltas.requests || 0;
+    }
+  }
+
+  if (dailyStart !== undefined) {
+    if (dailyStart > record.dailyStart) {
+      record.dailyStart = dailyStart;
+      record.dailyRequests = 0;
+      record.dailyCost = 0;
+      record.reservedCost = 0;
+    }
+    if (dailyStart === record.dailyStart) {
+      record.dailyRequests += deltas.dailyRequests || 0;
+      record.dailyCost += deltas.dailyCost || 0;
+      record.reservedCost = Math.max(0, record.reservedCost + (deltas.reservedCost || 0));
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Process-local store (default). Counters are lost on restart and not shared between replicas.
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    type: 'memory',
+    records, // Exposed for the file store
+
+    async get(userKey) {
+      const record = records.get(userKey);
+      return record ? { ...record } : null;
+    },
+
+    async list({ limit = 100 } = {}) {
+      return [...records.entries()]
+        .map(([userKey, record]) => ({ userKey, ...record }))
+        .sort((a, b) => b.windowStart - a.windowStart)
+        .slice(0, limit);
+    },
+
+    async increment(userKey, periods, deltas) {
+      const record = records.get(userKey) || emptyRecord();
+      applyIncrement(record, periods, deltas);
+      records.set(userKey, record);
+      return { ...record };
+    },
+
+    async delete(userKey) {
+      records.delete(userKey);
+    },
+
+    async cleanup({ windowBefore, dayBefore }) {
+      let removed = 0;
+      for (const [userKey, record] of records.entries()) {
+        if (record.windowStart < windowBefore && record.dailyStart < dayBefore) {
+          records.delete(userKey);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async size() {
+      return records.size;
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * JSON file store for single-instance deployments with a persistent volume.
+ * Counters live in memory and are flushed to disk shortly after each change.
+ */
+function createFileStore({ filePath, flushIntervalMs = 1000, log = console }) {
+  const store = createMemoryStore();
+  const { records } = store;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [userKey, record] of Object.entries(saved)) {
+      records.set(userKey, { ...emptyRecord(), ...record });
+    }
+    log.info(`📂 Loaded rate limit data for ${records.size} users from ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error(`❌ Could not read rate limit file ${filePath}: ${error.message}`);
+    }
+  }
+
+  let flushTimer = null;
+
+  // Write to a temp file and rename so a crash never leaves a half-written file
+  const flush = () => {
+    flushTimer = null;
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(records)));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      log.error(`❌ Could not write rate limit file ${filePath}: ${error.message}`);
+    }
+  };
+
+  const scheduleFlush = () => {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushIntervalMs);
+      flushTimer.unref();
+    }
+  };
+
+  return {
+    ...store,
+    type: 'file',
+
+    async increment(userKey, periods, deltas) {
+      const record = await store.increment(userKey, periods, deltas);
+      scheduleFlush();
+      return record;
+    },
+
+    async delete(userKey) {
+      await store.delete(userKey);
+      scheduleFlush();
+    },
+
+    async cleanup(cutoffs) {
+      const removed = await store.cleanup(cutoffs);
+      if (removed > 0) scheduleFlush();
+      return removed;
+    },
+
+    async close() {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flush();
+      }
+    }
+  };
+}
+
+// Resets stale periods and applies all deltas in one round trip, so concurrent
+// replicas never lose an increment. reservedCost never drops below 0, as in applyIncrement().
+const INCREMENT_SCRIPT = `
+local key = KEYS[1]
+local windowStart = tonumber(ARGV[1])
+local dailyStart = tonumber(ARGV[2])
+
+if windowStart >= 0 then
+  local current = tonumber(redis.call('HGET', key, 'windowStart') or '0')
+  if windowStart > current then
+    local previous = 0
+    if windowStart - current == tonumber(ARGV[10]) then
+      previous = tonumber(redis.call('HGET', key, 'requests') or '0')
+    end
+    redis.call('HSET', key, 'windowStart', windowStart, 'requests', 0, 'previousRequests', previous)
+    current = windowStart
+  end
+  if windowStart == current then
+    redis.call('HINCRBY', key, 'requests', ARGV[3])
+  end
+end
+
+if dailyStart >= 0 then
+  local current = tonumber(redis.call('HGET', key, 'dailyStart') or '0')
+  if dailyStart > current then
+    redis.call('HSET', key, 'dailyStart', dailyStart, 'dailyRequests', 0, 'dailyCost', 0, 'reservedCost', 0)
+    current = dailyStart
+  end
+  if dailyStart == current then
+    redis.call('HINCRBY', key, 'dailyRequests', ARGV[4])
+    redis.call('HINCRBYFLOAT', key, 'dailyCost', ARGV[5])
+    local reserved = tonumber(redis.call('HGET', key, 'reservedCost') or '0') + tonumber(ARGV[6])
+    redis.call('HSET', key, 'reservedCost', math.max(0, reserved))
+  end
+end
+
+redis.call('PEXPIRE', key, ARGV[7])
+redis.call('ZADD', KEYS[2], ARGV[8], ARGV[9])
+return redis.call('HGETALL', key)
+`;
+
+/**
+ * Convert a Redis hash (object or flat [field, value, ...] array) into a record
+ */
+function parseRedisRecord(hash) {
+  if (Array.isArray(hash)) {
+    const entries = {};
+    for (let i = 0; i < hash.length; i += 2) entries[hash[i]] = hash[i + 1];
+    hash = entries;
+  }
+  if (!hash || Object.keys(hash).length === 0) return null;
+
+  const record = emptyRecord();
+  for (const field of Object.keys(record)) {
+    record[field] = Number(hash[field]) || 0;
+  }
+  record.reservedCost = Math.max(0, record.reservedCost);
+  return record;
+}
+
+/**
+ * Redis-protocol store shared by all replicas. Works with Redis and compatible servers
+ * that support Lua scripting (KeyDB, Dragonfly, Upstash).
+ * Pass `client` to use an existing connection or a test double.
+ */
+function createRedisStore({ url, client, keyPrefix = 'sanctify:rl:', now = Date.now, log = console }) {
+  if (!client) {
+    const Redis = require('ioredis');
+    client = new Redis(url, { maxRetriesPerRequest: 2 });
+    client.on('error', (error) => {
+      log.error(`❌ Redis rate limit store error: ${error.message}`);
+    });
+  }
+
+  const userKeyFor = (userKey) => `${keyPrefix}user:${userKey}`;
+  const indexKey = `${keyPrefix}users`;
+  const recordTtlMs = 2 * DAY_MS; // Outlives the daily period, so Redis expires old users itself
+
+  return {
+    type: 'redis',
+
+    async get(userKey) {
+      return parseRedisRecord(await client.hgetall(userKeyFor(userKey)));
+    },
+
+    async list({ limit = 100 } = {}) {
+      const userKeys = await client.zrevrange(indexKey, 0, limit - 1);
+      const users = [];
+      for (const userKey of userKeys) {
+        const record = parseRedisRecord(await client.hgetall(userKeyFor(userKey)));
+        if (record) users.push({ userKey, ...record });
+      }
+      return users;
+    },
+
+    async increment(userKey, { windowStart, windowMs, dailyStart }, deltas) {
+      const hash = await client.eval(
+        INCREMENT_SCRIPT,
+        2,
+        userKeyFor(userKey),
+        indexKey,
+        windowStart === undefined ? -1 : windowStart,
+        dailyStart === undefined ? -1 : dailyStart,
+        deltas.requests || 0,
+        deltas.dailyRequests || 0,
+        deltas.dailyCost || 0,
+        deltas.reservedCost || 0,
+        recordTtlMs,
+        now(),
+        userKey,
+        windowMs || 0
+      );
+      return parseRedisRecord(hash);
+    },
+
+    async delete(userKey) {
+      await client.del(userKeyFor(userKey));
+      await client.zrem(indexKey, userKey);
+    },
+
+    // Records expire on their own; only the active-user index needs pruning
+    async cleanup({ windowBefore }) {
+      return client.zremrangebyscore(indexKey, '-inf', `(${windowBefore}`);
+    },
+
+    async size() {
+      return client.zcard(indexKey);
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+/**
+ * Pick a store backend from environment config:
+ *   RATE_LIMIT_STORE=memory (default) | file | redis
+ *   RATE_LIMIT_FILE=./data/rate-limits.json (file backend)
+ *   REDIS_URL=redis://localhost:6379 (redis backend)
+ */
+function createRateLimitStore(env = process.env, { now, log = console } = {}) {
+  const type = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ filePath: path.resolve(env.RATE_LIMIT_FILE || './data/rate-limits.json'), log });
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('REDIS_URL must be set when RATE_LIMIT_STORE=redis');
+      }
+      return createRedisStore({ url: env.REDIS_URL, now, log });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected memory, file or redis)`);
+  }
+}
+
+module.exports = {
+  createRateLimitStore,
+  createMemoryStore,
+  createFileStore,
+  createRedisStore
+};
@@ -0,0 +1,314 @@
+// Resilient upstream calls - per-attempt timeouts, retries with backoff,
+// provider failover and a circuit breaker per provider/model
+//
+// Config (env):
+//   AI_TIMEOUT_MS         Per-attempt timeout until response headers arrive (default 30000)
+//   AI_STREAM_IDLE_MS     Longest pause between chunks of a streamed response (default 30000)
+//   AI_MAX_RETRIES        Retries per provider after the first attempt (default 2)
+//   AI_RETRY_BASE_MS      First backoff delay, doubled on each retry (default 500)
+//   AI_RETRY_MAX_MS       Longest delay we will wait, including Retry-After (default 8000)
+//   AI_BREAKER_THRESHOLD  Consecutive failures that open a breaker (default 5)
+//   AI_BREAKER_RESET_MS   How long a breaker stays open before a trial request (default 30000)
+//
+// `onAttempt({ provider, durationMs, outcome, status })` is called after every fetch attempt,
+// with outcome success, http_error, timeout or network_error (used for latency metrics).
+
+const TIMEOUT = Symbol('timeout');
+
+class UpstreamError extends Error {
+  constructor(message, { code = 'upstream_error', status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter; // Seconds the client should wait, when known
+  }
+}
+
+/**
+ * Statuses worth retrying: rate limits, timeouts and server errors
+ */
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Read Retry-After (seconds or HTTP date) or OpenAI's retry-after-ms, in milliseconds
+ */
+function parseRetryAfter(headers, now = Date.now) {
+  const retryAfterMs = Number(headers.get('retry-after-ms'));
+  if (retryAfterMs > 0) return retryAfterMs;
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now());
+}
+
+/**
+ * Resolve after ms, or reject early if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Classic closed → open → half-open breaker. While open, requests fail fast;
+ * after resetTimeoutMs one trial is let through and its outcome decides the next state.
+ * Other requests keep failing fast while the trial is in flight.
+ */
+function createCircuitBreaker({ failureThreshold, resetTimeoutMs, now = Date.now }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+
+  return {
+    /**
+     * Whether a request may go ahead. In half-open state the first caller gets the trial
+     * and must report its outcome with recordSuccess, recordFailure or releaseTrial.
+     */
+    canRequest() {
+      if (state === 'open' && now() - openedAt >= resetTimeoutMs) {
+        state = 'half-open';
+      }
+      if (state === 'half-open') {
+        if (probing) return false;
+        probing = true;
+      }
+      return state !== 'open';
+    },
+
+    recordSuccess() {
+      state = 'closed';
+      failures = 0;
+      probing = false;
+    },
+
+    recordFailure() {
+      failures++;
+      probing = false;
+      if (state === 'half-open' || failures >= failureThreshold) {
+        state = 'open';
+        openedAt = now();
+      }
+    },
+
+    /**
+     * The trial ended without saying anything about the upstream's health (a client error
+     * or the caller going away), so the next request gets to try
+     */
+    releaseTrial() {
+      probing = false;
+    },
+
+    retryAfterMs() {
+      return state === 'open' ? Math.max(0, openedAt + resetTimeoutMs - now()) : 0;
+    },
+
+    snapshot() {
+      return {
+        state,
+        consecutiveFailures: failures,
+        openedAt: state === 'closed' ? null : new Date(openedAt).toISOString(),
+        retryAfterSeconds: Math.ceil(this.retryAfterMs() / 1000)
+      };
+    }
+  };
+}
+
+/**
+ * Build the upstream caller from environment config
+ */
+function createUpstreamClient(env = process.env, { log = console, onAttempt = null, now = Date.now } = {}) {
+  const timeoutMs = Number(env.AI_TIMEOUT_MS) || 30000;
+  const maxRetries = env.AI_MAX_RETRIES !== undefined ? Number(env.AI_MAX_RETRIES) : 2;
+  const retryBaseMs = Number(env.AI_RETRY_BASE_MS) || 500;
+  const retryMaxMs = Number(env.AI_RETRY_MAX_MS) || 8000;
+  const streamIdleMs = Number(env.AI_STREAM_IDLE_MS) || 30000;
+  const breakerOptions = {
+    failureThreshold: Number(env.AI_BREAKER_THRESHOLD) || 5,
+    resetTimeoutMs: Number(env.AI_BREAKER_RESET_MS) || 30000,
+    now
+  };
+
+  const breakers = new Map();
+  const breakerFor = (provider) => {
+    const key = `${provider.name}:${provider.model}`;
+    if (!breakers.has(key)) breakers.set(key, createCircuitBreaker(breakerOptions));
+    return breakers.get(key);
+  };
+
+  // Exponential backoff with jitter
+  const backoffMs = (attempt) => Math.min(retryMaxMs, retryBaseMs * 2 ** attempt) * (0.8 + Math.random() * 0.4);
+
+  /**
+   * Abort a streamed response that goes quiet for streamIdleMs between chunks; reading its
+   * body then fails with an upstream_timeout UpstreamError
+   */
+  const watchStream = (response, controller) => {
+    let idleTimer = null;
+    const arm = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        controller.abort(new UpstreamError(`stream went quiet for ${streamIdleMs}ms`, { code: 'upstream_timeout' }));
+      }, streamIdleMs);
+      idleTimer.unref(); // A reader that stops early never flushes, so don't hold the process open
+    };
+    arm();
+    const body = response.body.pipeThrough(new TransformStream({
+      transform(chunk, output) {
+        arm();
+        output.enqueue(chunk);
+      },
+      flush() {
+        clearTimeout(idleTimer);
+      }
+    }));
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  };
+
+  /**
+   * One fetch attempt with its own timeout, also aborted if the caller's signal fires.
+   * The timeout only covers the wait for response headers, so streams can run long as
+   * long as chunks keep arriving (see watchStream).
+   */
+  const attemptFetch = async (request, signal) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(TIMEOUT), timeoutMs);
+    const forwardAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+
+    // On success the abort link stays in place so a disconnecting client also ends the stream;
+    // error responses are retried or given up on, so theirs is dropped
+    try {
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: controller.signal
+      });
+      if (!response.ok) signal?.removeEventListener('abort', forwardAbort);
+      return request.body?.stream && response.ok ? watchStream(response, controller) : response;
+    } catch (error) {
+      signal?.removeEventListener('abort', forwardAbort);
+      if (controller.signal.reason === TIMEOUT) {
+        throw new UpstreamError(`timed out after ${timeoutMs}ms`, { code: 'upstream_timeout' });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    /**
+     * Call each provider in the chain in turn until one returns a 2xx response.
+     * buildRequest(provider) returns the { url, headers, body } to send.
+     * Resolves with { response, provider, attempts, failover }; rejects with UpstreamError.
+     */
+    async call(chain, buildRequest, { signal } = {}) {
+      let lastError = null;
+      let attempts = 0;
+
+      for (const [index, provider] of chain.entries()) {
+        const breaker = breakerFor(provider);
+        const label = `${provider.name}:${provider.model}`;
+
+        if (!breaker.canRequest()) {
+          log.warn(`⚡ Circuit open for ${label}, skipping`);
+          lastError = lastError || new UpstreamError(`Circuit open for ${label}`, {
+            code: 'circuit_open',
+            retryAfter: Math.ceil(breaker.retryAfterMs() / 1000)
+          });
+          continue;
+        }
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+          attempts++;
+          let retryAfterMs = null;
+          const attemptStart = Date.now();
+          const reportAttempt = (outcome, status = null) => {
+            if (onAttempt) onAttempt({ provider, durationMs: Date.now() - attemptStart, outcome, status });
+          };
+
+          try {
+            const response = await attemptFetch(buildRequest(provider), signal);
+            reportAttempt(response.ok ? 'success' : 'http_error', response.status);
+            if (response.ok) {
+              breaker.recordSuccess();
+              if (index > 0) log.warn(`🔀 Failed over to ${label} after ${attempts} attempts`);
+              return { response, provider, attempts, failover: index > 0 };
+            }
+
+            const errorText = await response.text().catch(() => '');
+            log.error(`❌ ${label} API error (attempt ${attempt + 1}): ${response.status} - ${errorText.substring(0, 300)}`);
+            retryAfterMs = parseRetryAfter(response.headers, now);
+            lastError = new UpstreamError(`${label} returned ${response.status}`, {
+              status: response.status,
+              retryAfter: retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : null
+            });
+
+            // Client errors won't improve on retry; bad credentials still count against the breaker
+            if (!isRetryableStatus(response.status)) {
+              if (response.status === 401 || response.status === 403) breaker.recordFailure();
+              else breaker.releaseTrial();
+              break;
+            }
+          } catch (error) {
+            if (signal?.aborted) {
+              breaker.releaseTrial();
+              throw error; // Client went away - stop retrying
+            }
+            reportAttempt(error.code === 'upstream_timeout' ? 'timeout' : 'network_error');
+            log.error(`❌ ${label} API fetch error (attempt ${attempt + 1}): ${error.message}`);
+            lastError = error instanceof UpstreamError ? error : new UpstreamError(`${label} request failed: ${error.message}`);
+          }
+
+          breaker.recordFailure();
+          if (attempt === maxRetries || !breaker.canRequest()) break;
+
+          const delay = retryAfterMs !== null ? retryAfterMs : backoffMs(attempt);
+          if (delay > retryMaxMs) break; // Upstream wants a longer pause - try the next provider instead
+          log.info(`🔁 Retrying ${label} in ${Math.round(delay)}ms`);
+          await sleep(delay, signal);
+        }
+      }
+
+      throw lastError || new UpstreamError('No AI provider available', { code: 'circuit_open' });
+    },
+
+    /**
+     * Breaker state per provider/model for /health
+     */
+    snapshot() {
+      const result = {};
+      for (const [key, breaker] of breakers.entries()) {
+        result[key] = breaker.snapshot();
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  UpstreamError,
+  isRetryableStatus,
+  parseRetryAfter,
+  createCircuitBreaker,
+  createUpstreamClient
+};
@@ -0,0 +1,201 @@
+// Response cache - reuses answers to repeatable requests such as "what is grace?"
+//
+// Entries are keyed on the normalized message, topic, model and prompt version, and expire
+// after a per-topic TTL. Only first turns are cached: prayers, history-dependent turns and
+// messages the safety layer acted on always go to the model.
+//
+// Config (env):
+//   RESPONSE_CACHE_STORE        memory (default) | redis | off
+//   RESPONSE_CACHE_MAX_ENTRIES  Entries kept in the in-memory LRU (default 1000)
+//   RESPONSE_CACHE_TTLS         JSON map of topic -> seconds; topics not listed are not cached
+//                               (default {"informational":86400,"practical":21600})
+//   REDIS_URL                   Shared backend for RESPONSE_CACHE_STORE=redis
+
+const crypto = require('crypto');
+
+const DEFAULT_TTLS = { informational: 24 * 60 * 60, practical: 6 * 60 * 60 };
+const UNCACHEABLE_TOPICS = ['prayer']; // Prayers are personal, even when the wording repeats
+
+/**
+ * Normalize a message so trivial differences share an entry:
+ * "What is grace?" and "  what is  GRACE " map to the same key
+ */
+function normalizeMessage(message) {
+  return message
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.!?]+$/, '')
+    .trim();
+}
+
+/**
+ * Cache key for a request. `parts` is { message, topic, model, promptVersion, ... };
+ * every field other than the message is used as given.
+ */
+function cacheKey({ message, ...parts }) {
+  const fields = Object.keys(parts).sort().map(name => [name, parts[name] ?? null]);
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([normalizeMessage(message), fields]))
+    .digest('hex');
+}
+
+/**
+ * Redis-protocol backend shared by all replicas. Values are JSON with a native expiry.
+ */
+function createRedisCacheBackend({ url, client, keyPrefix = 'sanctify:cache:', log = console }) {
+  if (!client) {
+    const Redis = require('ioredis');
+    client = new Redis(url, { maxRetriesPerRequest: 2 });
+    client.on('error', (error) => {
+      log.error(`❌ Redis response cache error: ${error.message}`);
+    });
+  }
+
+  return {
+    type: 'redis',
+
+    async get(key) {
+      const value = await client.get(keyPrefix + key);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, entry, ttlMs) {
+      await client.set(keyPrefix + key, JSON.stringify(entry), 'PX', ttlMs);
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+/**
+ * Create a response cache: an in-memory LRU, optionally in front of a shared backend.
+ * Entries are { value, expiresAt } with expiresAt in epoch milliseconds from `now`.
+ */
+function createResponseCache({ maxEntries = 1000, ttls = DEFAULT_TTLS, backend = null, now = Date.now, log = console } = {}) {
+  const entries = new Map(); // Insertion order doubles as recency order
+  let hits = 0;
+  let misses = 0;
+
+  const remember = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    type: backend ? backend.type : 'memory',
+
+    /**
+     * Seconds a topic's responses are kept, or 0 when the topic is not cached
+     */
+    ttlFor(topic) {
+      if (UNCACHEABLE_TOPICS.includes(topic)) return 0;
+      return ttls[topic] || 0;
+    },
+
+    /**
+     * The cached value for a key, or null. Backend failures count as a miss.
+     */
+    async get(key, at = now()) {
+      let entry = entries.get(key);
+      if (entry && entry.expiresAt <= at) {
+        entries.delete(key);
+        entry = null;
+      }
+
+      if (!entry && backend) {
+        try {
+          entry = await backend.get(key);
+        } catch (error) {
+          log.error(`❌ Response cache read failed: ${error.message}`);
+        }
+        if (entry && entry.expiresAt <= at) entry = null;
+      }
+
+      if (!entry) {
+        misses++;
+        return null;
+      }
+      hits++;
+      remember(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds, at = now()) {
+      if (!(ttlSeconds > 0)) return;
+      const entry = { value, expiresAt: at + ttlSeconds * 1000 };
+      remember(key, entry);
+
+      if (backend) {
+        try {
+          await backend.set(key, entry, ttlSeconds * 1000);
+        } catch (error) {
+          log.error(`❌ Response cache write failed: ${error.message}`);
+        }
+      }
+    },
+
+    /**
+     * Hit rate since startup for /health
+     */
+    stats() {
+      const lookups = hits + misses;
+      return {
+        entries: entries.size,
+        maxEntries,
+        hits,
+        misses,
+        hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null,
+        ttls
+      };
+    },
+
+    async close() {
+      if (backend) await backend.close();
+    }
+  };
+}
+
+/**
+ * Build the configured response cache from environment config, or null when it is off
+ */
+function createResponseCacheFromEnv(env = process.env, { now, log = console } = {}) {
+  const type = (env.RESPONSE_CACHE_STORE || 'memory').toLowerCase();
+  const ttls = env.RESPONSE_CACHE_TTLS ? JSON.parse(env.RESPONSE_CACHE_TTLS) : DEFAULT_TTLS;
+  for (const [topic, seconds] of Object.entries(ttls)) {
+    if (typeof seconds !== 'number' || seconds < 0) {
+      throw new Error(`RESPONSE_CACHE_TTLS has invalid TTL "${seconds}" for ${topic}`);
+    }
+  }
+  const options = { maxEntries: Number(env.RESPONSE_CACHE_MAX_ENTRIES) || 1000, ttls, now, log };
+
+  switch (type) {
+    case 'off':
+      return null;
+    case 'memory':
+      return createResponseCache(options);
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('REDIS_URL must be set when RESPONSE_CACHE_STORE=redis');
+      }
+      return createResponseCache({ ...options, backend: createRedisCacheBackend({ url: env.REDIS_URL, log }) });
+    default:
+      throw new Error(`Unknown RESPONSE_CACHE_STORE "${type}" (expected memory, redis or off)`);
+  }
+}
+
+module.exports = {
+  normalizeMessage,
+  cacheKey,
+  createResponseCache,
+  createRedisCacheBackend,
+  createResponseCacheFromEnv
+};
@@ -0,0 +1,245 @@
+// Response format validation - checks model output against the format the system prompt
+// demands and repairs what can be fixed without changing meaning
+//
+//   devotional (practical, informational)  5-7 bolded numbered points, no quote blocks
+//   prayer                                  reverent address, no lists or markdown,
+//                                           ends with "In Jesus' name, I pray. Amen."
+//                                           (or the locale's closing, see PRAYER_STYLES)
+//   every format                            no duplicated "(John 3:16)" style references
+//
+// Issues are 'fixable' (repaired here), 'structural' (only a regeneration can fix them)
+// or 'warning' (reported, left alone).
+
+const { extractVerseReferences } = require('./scripture');
+
+const PRAYER_CLOSING = 'In Jesus\' name, I pray. Amen.';
+const MIN_POINTS = 5;
+const MAX_POINTS = 7;
+
+// Formats that use the numbered devotional layout; conversational replies are free-form
+const DEVOTIONAL_FORMATS = new Set(['practical', 'informational']);
+
+const POINT_LINE = /^[ \t]*(\*\*)?[ \t]*(\d+)[.)][ \t]*/gm;
+const LIST_LINE = /^[ \t]*(?:\d+[.)]|[-*•])[ \t]+\S/m;
+const QUOTE_BLOCK_LINE = /^[ \t]*>[ \t]?/gm;
+const PARENTHETICAL = /[ \t]*\(([^()\n]{3,60})\)([ \t]*[.!?,;])?/g;
+const PRAYER_ADDRESS = /\b(?:dear (?:heavenly |loving |gracious )?(?:father|lord|god)|heavenly father|father god|abba,? father|lord jesus|gracious (?:god|father)|almighty god)\b/i;
+const CLOSING_VARIANT = /in (?:the )?(?:holy |precious |mighty |matchless )?name of jesus|in jesus['’]?s?['’]? (?:holy |precious |mighty |matchless )?name/i;
+
+// Whole-word match for accented text, where \b treats "é" as a word boundary
+const wordPattern = (source) => new RegExp(`(?<![\\p{L}])(?:${source})(?![\\p{L}])`, 'iu');
+
+// How a prayer opens and closes in each language. `amen` and `pray` are regex sources for
+// the final word and an optional "I pray" before it.
+const PRAYER_STYLES = {
+  en: {
+    closing: PRAYER_CLOSING,
+    addressExample: 'Dear Heavenly Father,',
+    address: PRAYER_ADDRESS,
+    closingVariant: CLOSING_VARIANT,
+    amen: 'amen',
+    pray: '(?:i|we) pray'
+  },
+  es: {
+    closing: 'En el nombre de Jesús, amén.',
+    addressExample: 'Padre celestial,',
+    address: wordPattern('(?:querido|amado|buen) (?:padre|señor|dios)|padre (?:celestial|santo|nuestro|amado|bueno|eterno)|señor jesús|dios (?:todopoderoso|padre|mío|eterno)|abba,? padre'),
+    closingVariant: /en el (?:santo |precioso |poderoso |bendito )?nombre de (?:jesús|jesus|cristo)/iu,
+    amen: 'am[eé]n',
+    pray: 'te lo (?:pido|pedimos)|(?:te )?(?:oro|oramos)'
+  },
+  pt: {
+    closing: 'Em nome de Jesus, amém.',
+    addressExample: 'Pai celestial,',
+    address: wordPattern('(?:querido|amado|bom) (?:pai|senhor|deus)|pai (?:celestial|santo|nosso|amado|querido|eterno)|senhor jesus|deus (?:todo-poderoso|pai|eterno)|aba,? pai'),
+    closingVariant: /(?:em|no) (?:santo |precioso |poderoso |bendito )?nome de (?:jesus|cristo)/iu,
+    amen: 'am[eé]m',
+    pray: '(?:eu )?(?:oro|oramos)|(?:te )?(?:peço|pedimos)'
+  }
+};
+
+/**
+ * Prayer conventions for a locale, English when the locale has none
+ */
+function prayerStyle(locale) {
+  return PRAYER_STYLES[locale] || PRAYER_STYLES.en;
+}
+
+function issue(code, severity, message, repaired = false) {
+  return { code, severity, message, repaired };
+}
+
+/**
+ * Remove parenthetical references that repeat a reference already cited in the text.
+ * A parenthetical that is the only citation is reported but kept.
+ */
+function stripDuplicateParentheticals(content, issues) {
+  const references = extractVerseReferences(content);
+  const isInsideParens = (ref) => content[ref.start - 1] === '(' || /\(\s*$/.test(content.slice(Math.max(0, ref.start - 3), ref.start));
+  const citedInline = new Set(references.filter(ref => !isInsideParens(ref)).map(ref => ref.reference));
+
+  let stripped = 0;
+  let kept = 0;
+  const result = content.replace(PARENTHETICAL, (match, inner, punctuation, offset, text) => {
+    const [ref] = extractVerseReferences(inner);
+    if (!ref || ref.text.length < inner.trim().length - 1) return match; // Not just a reference
+
+    if (!citedInline.has(ref.reference)) {
+      kept++;
+      return match;
+    }
+
+    stripped++;
+    // "...life.' (John 14:6)." -> "...life.'" rather than "...life.'."
+    const before = text.slice(0, offset).trimEnd();
+    const endsSentence = /[.!?]["'”’]?$/.test(before);
+    return punctuation && !endsSentence ? punctuation.trim() : '';
+  });
+
+  if (stripped > 0) {
+    issues.push(issue('duplicate_reference', 'fixable', `Removed ${stripped} parenthetical reference(s) repeating an inline citation`, true));
+  }
+  if (kept > 0) {
+    issues.push(issue('parenthetical_reference', 'warning', `${kept} verse reference(s) are only given in parentheses`));
+  }
+  return result;
+}
+
+/**
+ * Numbered points must be bold, numbered 1..n and between MIN_POINTS and MAX_POINTS
+ */
+function checkDevotional(content, issues) {
+  let result = content;
+
+  if (QUOTE_BLOCK_LINE.test(result)) {
+    result = result.replace(QUOTE_BLOCK_LINE, '');
+    issues.push(issue('quote_block', 'fixable', 'Removed quote block markers', true));
+  }
+  QUOTE_BLOCK_LINE.lastIndex = 0;
+
+  const points = [...result.matchAll(POINT_LINE)];
+  if (points.length < MIN_POINTS || points.length > MAX_POINTS) {
+    issues.push(issue('point_count', 'structural', `Expected ${MIN_POINTS}-${MAX_POINTS} numbered points, found ${points.length}`));
+    return result;
+  }
+
+  // Renumber 1..n when the model skipped or repeated numbers
+  if (points.some((point, index) => Number(point[2]) !== index + 1)) {
+    let index = 0;
+    result = result.replace(POINT_LINE, (match, bold, number) => match.replace(number, String(++index)));
+    issues.push(issue('point_numbering', 'fixable', 'Renumbered points sequentially', true));
+  }
+
+  // Bold "1. Title:" headers that came back plain
+  let bolded = 0;
+  let unbolded = 0;
+  result = result.replace(/^([ \t]*)(\d+[.)][ \t]*)([^:*\n]{1,60}):[ \t]*/gm, (match, indent, number, title) => {
+    bolded++;
+    return `${indent}**${number.trim()} ${title.trim()}:** `;
+  });
+  for (const point of result.matchAll(POINT_LINE)) {
+    if (!point[1]) unbolded++;
+  }
+  if (bolded > 0) {
+    issues.push(issue('point_not_bold', 'fixable', `Bolded ${bolded} point title(s)`, true));
+  }
+  if (unbolded > 0) {
+    issues.push(issue('point_not_bold', 'warning', `${unbolded} point(s) have no bold title`));
+  }
+
+  return result;
+}
+
+/**
+ * Prayers need a reverent address, flowing paragraphs, plain text and the standard closing
+ */
+function checkPrayer(content, issues, style) {
+  let result = content;
+  const { closing } = style;
+
+  if (LIST_LINE.test(result)) {
+    issues.push(issue('prayer_has_list', 'structural', 'Prayer uses numbered points or bullets'));
+  }
+  if (!style.address.test(result)) {
+    issues.push(issue('missing_address', 'structural', `Prayer has no reverent address such as "${style.addressExample}"`));
+  }
+
+  if (/\*\*|__/.test(result)) {
+    result = result.replace(/\*\*|__/g, '');
+    issues.push(issue('markdown_in_prayer', 'fixable', 'Removed markdown emphasis', true));
+  }
+
+  const normalized = result.replace(/[‘’]/g, '\'').trimEnd();
+  if (normalized.endsWith(closing)) return result;
+
+  const amenIndex = normalized.search(new RegExp(`(?<![\\p{L}])${style.amen}[.!]?\\s*$`, 'iu'));
+  if (amenIndex === -1) {
+    if (new RegExp(`(?<![\\p{L}])${style.amen}(?![\\p{L}])`, 'iu').test(normalized.slice(-400))) {
+      issues.push(issue('text_after_closing', 'warning', 'Prayer has text after "Amen"'));
+      return result;
+    }
+    result = `${result.trimEnd()}\n\n${closing}`;
+    issues.push(issue('missing_closing', 'fixable', `Added "${closing}"`, true));
+    return result;
+  }
+
+  // Replace a variant closing ("In the name of Jesus, Amen!") with the standard line.
+  // Apostrophes were normalized one-for-one, so offsets into `normalized` match `result`.
+  const head = normalized.slice(0, amenIndex);
+  const variant = head.match(new RegExp(`(?:${style.closingVariant.source})[^.!?\\n]*[.!?,]?\\s*(?:(?:${style.pray})[.!,]?\\s*)?$`, 'iu'));
+  const before = result.slice(0, variant ? variant.index : amenIndex);
+  const prefix = before.trimEnd();
+  result = prefix ? `${prefix}${before.slice(prefix.length) || ' '}${closing}` : closing;
+  issues.push(issue('closing_variant', 'fixable', `Normalized the closing to "${closing}"`, true));
+  return result;
+}
+
+/**
+ * Validate content for a response format and apply the deterministic repairs.
+ * Prayers are checked against the conventions of `locale`.
+ * Returns { content, issues, needsRegeneration }.
+ */
+function checkResponseFormat(format, content, { locale = 'en' } = {}) {
+  const issues = [];
+  let result = stripDuplicateParentheticals(content, issues);
+
+  if (format === 'prayer') {
+    result = checkPrayer(result, issues, prayerStyle(locale));
+  } else if (DEVOTIONAL_FORMATS.has(format)) {
+    result = checkDevotional(result, issues);
+  }
+
+  return {
+    content: result.trim(),
+    issues,
+    needsRegeneration: issues.some(item => item.severity === 'structural')
+  };
+}
+
+/**
+ * Instruction for the corrective regeneration call, listing what was wrong
+ */
+function buildCorrectionPrompt(format, issues, { locale = 'en' } = {}) {
+  const style = prayerStyle(locale);
+  const problems = issues
+    .filter(item => item.severity === 'structural')
+    .map(item => `- ${item.message}`)
+    .join('\n');
+  const layout = format === 'prayer'
+    ? `the prayer format (Format 2): a short opening sentence, then a flowing paragraph prayer starting with "${style.addressExample}" with no numbers or bullets, ending with "${style.closing}"`
+    : `the devotional format (Format 1): an introduction, then ${MIN_POINTS} to ${MAX_POINTS} numbered points with bold titles like **1. Obedience:**, then a closing paragraph`;
+
+  return `Your previous response did not follow the required format:\n${problems}\n\nRewrite it using ${layout}. Keep the same content and verses where possible. Reply with the corrected response only.`;
+}
+
+module.exports = {
+  MIN_POINTS,
+  MAX_POINTS,
+  PRAYER_CLOSING,
+  PRAYER_ADDRESS,
+  PRAYER_STYLES,
+  DEVOTIONAL_FORMATS,
+  prayerStyle,
+  checkResponseFormat,
+  buildCorrectionPrompt
+};
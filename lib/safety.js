@@ -0,0 +1,302 @@
+// Content safety - checks user messages before the model call and answers after it
+//
+// Rules live in a JSON file (SAFETY_RULES_FILE, default config/safety-rules.json).
+// Input categories choose an action:
+//   crisis   answer with a compassionate message and hotline resources, without calling the model
+//   block    decline the request
+//   support  answer normally and attach support resources
+// Output categories either `block` the answer or `rewrite` it by removing the offending sentences.
+//
+// `locales` adds phrases in other languages to the same categories, plus the messages and
+// resources shown to users of that locale. Phrases of every language are always checked, since
+// a misdetected language must never hide a crisis.
+//
+// Config (env):
+//   SAFETY_RULES_FILE       Alternative rules file
+//   SAFETY_RESOURCES_FILE   JSON object replacing the rules file's `resources` (e.g. for another country)
+//   SAFETY_MODERATION       openai to also run messages and answers through OpenAI's moderation endpoint,
+//                           at OPENAI_BASE_URL like the OpenAI provider
+//   SAFETY_MODERATION_MODEL Moderation model (default omni-moderation-latest)
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeMessage, compilePhrase } = require('./intent-classifier');
+const { OPENAI_BASE_URL } = require('./providers/openai');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'safety-rules.json');
+const MODERATION_TIMEOUT_MS = 5000;
+
+// Stronger actions win when several categories match
+const INPUT_ACTIONS = ['allow', 'support', 'block', 'crisis'];
+const OUTPUT_ACTIONS = ['allow', 'rewrite', 'block'];
+
+// How moderation categories map onto our actions; anything else flagged is only logged
+const MODERATION_ACTIONS = {
+  'self-harm': 'crisis',
+  'self-harm/intent': 'crisis',
+  'self-harm/instructions': 'block',
+  'sexual/minors': 'block',
+  'hate/threatening': 'block',
+  'harassment/threatening': 'block',
+  'violence/graphic': 'block',
+  'illicit/violent': 'block'
+};
+
+/**
+ * Validate raw rules and precompile every phrase
+ */
+function compileSafetyRules(raw) {
+  const compileCategories = (categories, actions, stage) => Object.entries(categories || {}).map(([name, category]) => {
+    if (!actions.includes(category.action) || category.action === 'allow') {
+      throw new Error(`Safety ${stage} category "${name}" has unknown action "${category.action}"`);
+    }
+    return {
+      name,
+      action: category.action,
+      resources: category.resources || null,
+      patterns: (category.phrases || []).map(phrase => ({ phrase, regex: compilePhrase(phrase) }))
+    };
+  });
+
+  const input = compileCategories(raw.input, INPUT_ACTIONS, 'input');
+  const output = compileCategories(raw.output, OUTPUT_ACTIONS, 'output');
+
+  const locales = {};
+  for (const [locale, localized] of Object.entries(raw.locales || {})) {
+    for (const [stage, categories] of [['input', input], ['output', output]]) {
+      for (const [name, phrases] of Object.entries(localized[stage] || {})) {
+        const category = categories.find(candidate => candidate.name === name);
+        if (!category) {
+          throw new Error(`Safety locale "${locale}" adds phrases to unknown ${stage} category "${name}"`);
+        }
+        category.patterns.push(...phrases.map(phrase => ({ phrase, regex: compilePhrase(phrase) })));
+      }
+    }
+    locales[locale] = { resources: localized.resources || null, messages: localized.messages || {} };
+  }
+
+  return {
+    version: raw.version || 1,
+    input,
+    output,
+    resources: raw.resources || {},
+    messages: raw.messages || {},
+    locales
+  };
+}
+
+/**
+ * Categories whose phrases appear in the text
+ */
+function matchCategories(categories, text) {
+  const normalized = normalizeMessage(text);
+  return categories.filter(category => category.patterns.some(pattern => pattern.regex.test(normalized)));
+}
+
+/**
+ * The strongest action among the findings, in the order given by `actions`
+ */
+function strongest(findings, actions) {
+  return findings.reduce(
+    (best, finding) => (actions.indexOf(finding.action) > actions.indexOf(best.action) ? finding : best),
+    { action: 'allow' }
+  );
+}
+
+/**
+ * Moderator backed by OpenAI's moderation endpoint.
+ * Resolves with [{ category, action }] for every flagged category.
+ */
+function createOpenAIModerator({ apiKey, model = 'omni-moderation-latest', baseUrl = OPENAI_BASE_URL }) {
+  return async (text) => {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/moderations`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ model, input: text }),
+      signal: AbortSignal.timeout(MODERATION_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`moderation returned ${response.status}`);
+    }
+
+    const [result] = (await response.json()).results || [];
+    return Object.entries(result?.categories || {})
+      .filter(([, flagged]) => flagged)
+      .map(([category]) => ({ category, action: MODERATION_ACTIONS[category] || 'flag' }));
+  };
+}
+
+/**
+ * Create the safety layer. `moderator(text)` is optional, see createOpenAIModerator.
+ */
+function createSafetyLayer({ rulesPath = DEFAULT_RULES_FILE, resourcesPath = null, moderator = null, log = console } = {}) {
+  const rules = compileSafetyRules(JSON.parse(fs.readFileSync(rulesPath, 'utf8')));
+  if (resourcesPath) {
+    rules.resources = JSON.parse(fs.readFileSync(resourcesPath, 'utf8'));
+  }
+
+  // Localized resources and messages replace the defaults; missing ones fall back
+  const resourcesFor = (key, locale) => {
+    if (!key) return [];
+    return rules.locales[locale]?.resources?.[key] || rules.resources[key] || [];
+  };
+  const messageFor = (key, locale) => rules.locales[locale]?.messages[key] || rules.messages[key];
+
+  // Moderation failures never block a conversation; the local rules still apply
+  const moderate = async (text, stage) => {
+    if (!moderator) return [];
+    try {
+      return (await moderator(text)).map(({ category, action }) => ({
+        action,
+        reason: `moderation:${category}`,
+        resources: action === 'crisis' ? 'crisis' : null
+      }));
+    } catch (error) {
+      log.error(`❌ ${stage} moderation failed, using local rules only: ${error.message}`);
+      return [];
+    }
+  };
+
+  const formatResources = (resources) => resources
+    .map(resource => `- ${resource.name}: ${resource.contact}${resource.url ? ` (${resource.url})` : ''}`)
+    .join('\n');
+
+  return {
+    get rules() {
+      return rules;
+    },
+
+    /**
+     * Whether answers also go through the moderator, which can only judge a complete answer
+     */
+    get moderated() {
+      return Boolean(moderator);
+    },
+
+    /**
+     * Whether any output rule matches the text. Synchronous, for holding back a streamed
+     * answer until what has been generated so far is known to pass.
+     */
+    matchesOutputRules(text) {
+      return matchCategories(rules.output, text).length > 0;
+    },
+
+    /**
+     * Check a user message. Resolves with { action, reasons, resources } where action is
+     * allow, support, block or crisis, and resources are those for `locale`.
+     * `moderate: false` checks the local rules only, without the (paid) moderation call.
+     */
+    async checkInput(message, { locale = null, moderate: useModerator = true } = {}) {
+      const findings = [
+        ...matchCategories(rules.input, message).map(category => ({
+          action: category.action,
+          reason: category.name,
+          resources: category.resources
+        })),
+        ...(useModerator ? await moderate(message, 'Input') : [])
+      ];
+
+      const flagged = findings.filter(finding => finding.action === 'flag');
+      const actionable = findings.filter(finding => finding.action !== 'flag');
+      const top = strongest(actionable, INPUT_ACTIONS);
+      const reasons = [...actionable, ...flagged].map(finding => finding.reason);
+
+      // Everything that matched contributes resources, strongest category first
+      const resources = [];
+      for (const finding of [top, ...actionable]) {
+        for (const resource of resourcesFor(finding.resources, locale)) {
+          if (!resources.some(existing => existing.name === resource.name)) resources.push(resource);
+        }
+      }
+
+      return { action: top.action, reasons, resources };
+    },
+
+    /**
+     * Check a model answer. Resolves with { action, reasons, content } where content is
+     * the answer to send: unchanged, rewritten or replaced by a safe message in `locale`.
+     */
+    async checkOutput(content, { locale = null } = {}) {
+      const matched = matchCategories(rules.output, content);
+      const findings = [
+        ...matched.map(category => ({ action: category.action, reason: category.name })),
+        // An answer that merely discusses self-harm is fine; instructions are blocked
+        ...(await moderate(content, 'Output')).map(finding => ({
+          ...finding,
+          action: finding.action === 'crisis' ? 'flag' : finding.action
+        }))
+      ];
+      const actionable = findings.filter(finding => finding.action !== 'flag');
+      const top = strongest(actionable, OUTPUT_ACTIONS);
+      const reasons = findings.map(finding => finding.reason);
+
+      if (top.action === 'block') {
+        return {
+          action: 'block',
+          reasons,
+          content: `${messageFor('outputBlocked', locale)}\n\n${formatResources(resourcesFor('crisis', locale))}`
+        };
+      }
+
+      if (top.action === 'rewrite') {
+        // Drop each sentence that contains a rewrite phrase, then add the care note
+        const rewritePatterns = matched.filter(category => category.action === 'rewrite').flatMap(category => category.patterns);
+        const rewritten = content
+          .split('\n')
+          .map(line => line
+            .split(/(?<=[.!?])[ \t]+(?=\S)/)
+            .filter(sentence => !rewritePatterns.some(pattern => pattern.regex.test(normalizeMessage(sentence))))
+            .join(' '))
+          .join('\n')
+          .replace(/\n{3,}/g, '\n\n');
+        return {
+          action: 'rewrite',
+          reasons,
+          content: `${rewritten.trim()}\n\n${messageFor('rewriteNote', locale)}`
+        };
+      }
+
+      return { action: 'allow', reasons, content };
+    },
+
+    /**
+     * The reply sent instead of a model answer for crisis and blocked messages
+     */
+    interventionMessage({ action, resources }, { locale = null } = {}) {
+      if (action === 'block') return messageFor('block', locale);
+      return `${messageFor('crisis', locale)}\n\n${formatResources(resources)}\n\n${messageFor('crisisClosing', locale)}`;
+    }
+  };
+}
+
+/**
+ * Build the safety layer from environment config
+ */
+function createSafetyLayerFromEnv(env = process.env, { log = console } = {}) {
+  const moderation = (env.SAFETY_MODERATION || 'off').toLowerCase();
+  if (!['off', 'openai'].includes(moderation)) {
+    throw new Error(`Unknown SAFETY_MODERATION "${moderation}" (expected off or openai)`);
+  }
+  if (moderation === 'openai' && !env.OPENAI_API_KEY) {
+    throw new Error('SAFETY_MODERATION=openai requires OPENAI_API_KEY');
+  }
+
+  return createSafetyLayer({
+    rulesPath: env.SAFETY_RULES_FILE || DEFAULT_RULES_FILE,
+    resourcesPath: env.SAFETY_RESOURCES_FILE || null,
+    moderator: moderation === 'openai'
+      ? createOpenAIModerator({ apiKey: env.OPENAI_API_KEY, model: env.SAFETY_MODERATION_MODEL, baseUrl: env.OPENAI_BASE_URL })
+      : null,
+    log
+  });
+}
+
+module.exports = {
+  compileSafetyRules,
+  createOpenAIModerator,
+  createSafetyLayer,
+  createSafetyLayerFromEnv
+};
@@ -0,0 +1,374 @@
+// Route schemas - JSON schemas for every route's params, query string, body and responses
+//
+// Fastify validates requests and serializes responses with these, and lib/openapi.js turns
+// the same schemas into the document served at /docs/openapi.json. Shared schemas carry an
+// $id, are referenced as { $ref: '<Id>#' } and become the document's components.
+//
+// Response objects list their documented fields but stay open (additionalProperties), so a
+// field added to a response is never silently dropped by the serializer.
+//
+// Bodies are validated as sent: query strings and params are coerced from strings, but a
+// body field of the wrong type is a 400, never silently converted (see createValidatorFactory).
+//
+// Every error response is an ApiError: { error, code } plus fields specific to the error,
+// such as validTopics or retryAfter. `error` is for people (translated on chat routes);
+// `code` is stable and meant for clients to branch on.
+
+const AjvCompiler = require('@fastify/ajv-compiler');
+const { VALID_TOPICS } = require('./topics');
+const { SUPPORTED_LOCALES } = require('./i18n');
+const { ALLOWED_ROLES, MAX_HISTORY_ENTRIES, MAX_ENTRY_CHARS } = require('./history');
+const { LIMIT_FIELDS } = require('./tiers');
+const { GROUP_BY } = require('./usage-ledger');
+
+// `format` values accepted by chat routes: plain content, or content plus parsed sections
+const RESPONSE_MODES = ['text', 'structured'];
+const MAX_MESSAGE_CHARS = 1500;
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const object = (properties = {}, extra = {}) => ({ type: 'object', properties, additionalProperties: true, ...extra });
+const dateTime = { type: 'string', format: 'date-time' };
+const ref = (id) => ({ $ref: `${id}#` });
+
+const errorResponses = { '4xx': ref('ApiError'), '5xx': ref('ApiError') };
+const bearer = [{ bearerAuth: [] }, {}];
+const admin = [{ adminKey: [] }, { bearerAuth: [] }];
+
+const SECURITY_SCHEMES = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Optional unless AUTH_REQUIRED=true. Anonymous callers are rate limited per IP.'
+  },
+  adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key', description: 'ADMIN_API_KEY' }
+};
+
+const SHARED_SCHEMAS = [
+  {
+    $id: 'ApiError',
+    ...object({
+      error: { type: 'string', description: 'What went wrong, for people' },
+      code: { type: 'string', description: 'Stable machine-readable code, e.g. unknown_topic or rate_limited' },
+      requestId: { type: 'string', description: 'Sent with internal errors; quote it when reporting a problem' }
+    }, { required: ['error', 'code'] })
+  },
+  {
+    $id: 'ChatTurn',
+    type: 'object',
+    required: ['role', 'content'],
+    properties: {
+      role: { type: 'string', enum: ALLOWED_ROLES },
+      content: { type: 'string', maxLength: MAX_ENTRY_CHARS }
+    }
+  },
+  {
+    $id: 'ChatRequest',
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1, description: `The user's message, at most ${MAX_MESSAGE_CHARS} characters` },
+      conversationHistory: nullable({ type: 'array', maxItems: MAX_HISTORY_ENTRIES, items: ref('ChatTurn') }),
+      topic: { type: ['string', 'null'], enum: [...VALID_TOPICS, '', null], description: 'Format or subject topic' },
+      locale: { type: ['string', 'null'], maxLength: 35, description: `Language tag for one of ${SUPPORTED_LOCALES.join(', ')} (e.g. pt-BR). Detected when absent.` },
+      format: { type: 'string', enum: RESPONSE_MODES, default: 'text' },
+      stream: { type: 'boolean', description: 'Answer as Server-Sent Events, like Accept: text/event-stream' },
+      userId: { deprecated: true, description: 'Accepted from older clients and ignored; callers are identified by their bearer token' }
+    },
+    additionalProperties: false
+  },
+  {
+    $id: 'VerseReference',
+    ...object({
+      reference: { type: 'string' },
+      book: { type: 'string' },
+      chapter: { type: 'integer' },
+      verse: { type: ['integer', 'null'] },
+      endChapter: { type: ['integer', 'null'] },
+      endVerse: { type: ['integer', 'null'] },
+      start: { type: 'integer', description: 'Offset of the reference in content' },
+      end: { type: 'integer' },
+      text: { type: 'string', description: 'The reference as written in content' },
+      valid: { type: 'boolean' },
+      error: { type: 'string', description: 'Why an invalid reference does not exist' },
+      verifiedText: { type: 'string', description: 'Exact passage text (English answers, up to 12 verses)' }
+    })
+  },
+  {
+    $id: 'ChatResponse',
+    ...object({
+      content: { type: 'string' },
+      verseReferences: { type: 'array', items: ref('VerseReference') },
+      contentType: { type: 'string', description: 'spiritual_guidance, crisis_support or safety_refusal; with format=structured, the section schema' },
+      schemaVersion: { type: 'integer', description: 'Structured section schema version (format=structured)' },
+      sections: object({}, { description: 'Structured sections (format=structured)' }),
+      formattedAt: dateTime,
+      sessionId: { type: 'string', description: 'Session messages only' },
+      topic: { type: ['string', 'null'] },
+      intent: object({ name: { type: 'string' }, confidence: { type: 'number' }, method: { type: 'string' } }),
+      prompt: object({ version: { type: 'string' }, experiment: { type: ['string', 'null'] } }),
+      locale: object({ code: { type: 'string' }, source: { type: 'string' }, language: { type: 'string' }, bibleVersion: { type: 'string' } }),
+      formatValidation: object({
+        format: { type: 'string' },
+        valid: { type: 'boolean' },
+        repaired: { type: 'boolean' },
+        regenerated: { type: 'boolean' },
+        issues: { type: 'array', items: object() }
+      }),
+      history: object({
+        received: { type: 'integer' },
+        kept: { type: 'integer' },
+        summarized: { type: 'integer' },
+        tokens: { type: 'number' },
+        summaryMethod: { type: ['string', 'null'] }
+      }),
+      safety: object({
+        input: { type: 'string' },
+        output: { type: ['string', 'null'] },
+        reasons: { type: 'array', items: { type: 'string' } },
+        resources: { type: 'array', items: object() }
+      }),
+      upstream: object({ provider: { type: 'string' }, model: { type: 'string' }, attempts: { type: 'integer' }, failover: { type: 'boolean' } }),
+      cached: { type: 'boolean' },
+      performance: object({ networkTime: { type: 'number' }, firstTokenTime: { type: 'number' }, parseTime: { type: 'number' }, totalTime: { type: 'number' } }),
+      timestamp: dateTime
+    }, { required: ['content'] })
+  },
+  {
+    $id: 'Session',
+    ...object({
+      id: { type: 'string' },
+      topic: { type: ['string', 'null'] },
+      locale: { type: ['string', 'null'] },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      expiresAt: dateTime,
+      messages: {
+        type: 'array',
+        items: object({ role: { type: 'string', enum: ALLOWED_ROLES }, content: { type: 'string' }, createdAt: dateTime })
+      }
+    })
+  },
+  {
+    $id: 'BiblePassage',
+    ...object({
+      reference: { type: 'string' },
+      book: { type: 'string' },
+      translation: object({ id: { type: 'string' }, name: { type: 'string' }, license: { type: 'string' } }),
+      verses: { type: 'array', items: object({ chapter: { type: 'integer' }, verse: { type: 'integer' }, text: { type: 'string' } }) },
+      text: { type: 'string' },
+      topic: { type: 'string', description: 'The curated topic a random passage came from' }
+    })
+  }
+];
+
+const chatResponses = {
+  200: { description: 'The answer as JSON, or as Server-Sent Events (delta, replace, done and error events) when streaming', ...ref('ChatResponse') },
+  ...errorResponses
+};
+
+const userKeyParams = { type: 'object', required: ['userKey'], properties: { userKey: { type: 'string' } } };
+const limitFields = Object.fromEntries(LIMIT_FIELDS.map(field => [field, { type: 'number', exclusiveMinimum: 0 }]));
+const adminUser = { 200: object({ userKey: { type: 'string' }, tier: object(), limits: object(), counters: nullable(object()), blocked: nullable(object()), override: nullable(object()) }), ...errorResponses };
+const adminConfig = (description) => ({ 200: object({}, { description }), ...errorResponses });
+const adminRoute = (operationId, summary, schema) => ({ operationId, summary, tags: ['admin'], security: admin, ...schema });
+
+const routeSchemas = {
+  health: {
+    operationId: 'getHealth',
+    summary: 'Service status, provider circuit breakers and store configuration',
+    tags: ['ops'],
+    response: {
+      200: object({ status: { type: 'string', enum: ['healthy', 'degraded'] }, timestamp: dateTime, version: { type: 'string' } })
+    }
+  },
+
+  chat: {
+    operationId: 'chat',
+    summary: 'Answer a message',
+    tags: ['chat'],
+    security: bearer,
+    body: ref('ChatRequest'),
+    response: chatResponses
+  },
+
+  createSession: {
+    operationId: 'createSession',
+    summary: 'Start a conversation whose transcript is kept on the server',
+    tags: ['sessions'],
+    security: bearer,
+    body: {
+      type: 'object',
+      properties: {
+        topic: { type: ['string', 'null'], enum: [...VALID_TOPICS, '', null], description: 'Default topic for the session\'s messages' },
+        locale: { type: ['string', 'null'], maxLength: 35, description: 'Default locale for the session\'s messages' }
+      }
+    },
+    response: { 201: ref('Session'), ...errorResponses }
+  },
+  getSession: {
+    operationId: 'getSession',
+    summary: 'A session with its transcript',
+    tags: ['sessions'],
+    security: bearer,
+    params: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } },
+    response: { 200: ref('Session'), ...errorResponses }
+  },
+  deleteSession: {
+    operationId: 'deleteSession',
+    summary: 'Delete a session',
+    tags: ['sessions'],
+    security: bearer,
+    params: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } },
+    response: { 204: { description: 'Deleted', type: 'null' }, ...errorResponses }
+  },
+  sessionMessage: {
+    operationId: 'sendSessionMessage',
+    summary: 'Answer the next message of a session',
+    tags: ['sessions'],
+    security: bearer,
+    params: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } },
+    body: {
+      type: 'object',
+      required: ['message'],
+      properties: {
+        message: SHARED_SCHEMAS.find(schema => schema.$id === 'ChatRequest').properties.message,
+        topic: { type: ['string', 'null'], enum: [...VALID_TOPICS, '', null], description: 'Defaults to the session\'s topic' },
+        locale: { type: ['string', 'null'], maxLength: 35, description: 'Defaults to the session\'s locale' },
+        format: { type: 'string', enum: RESPONSE_MODES, default: 'text' },
+        stream: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    response: chatResponses
+  },
+
+  randomPassage: {
+    operationId: 'getRandomPassage',
+    summary: 'A random curated passage, optionally for one subject topic',
+    tags: ['bible'],
+    querystring: { type: 'object', properties: { topic: { type: 'string' } } },
+    response: { 200: ref('BiblePassage'), ...errorResponses }
+  },
+  passage: {
+    operationId: 'getPassage',
+    summary: 'The exact text of one reference, such as jn 3:16-18 or Ps 23',
+    tags: ['bible'],
+    params: { type: 'object', required: ['ref'], properties: { ref: { type: 'string', minLength: 1 } } },
+    response: { 200: ref('BiblePassage'), ...errorResponses }
+  },
+
+  rateLimitStatus: {
+    operationId: 'getRateLimitStatus',
+    summary: 'The caller\'s own tier, limits and usage',
+    tags: ['rate-limits'],
+    security: bearer,
+    params: { type: 'object', properties: { userId: { type: 'string', description: 'Must be the caller\'s own key' } } },
+    response: {
+      200: object({ userId: { type: 'string' }, tier: object(), timeZone: { type: 'string' }, currentWindow: object(), daily: object(), limits: object() }),
+      ...errorResponses
+    }
+  },
+
+  usage: {
+    operationId: 'getUsage',
+    summary: 'Usage ledger entries or spend totals, as JSON or CSV',
+    tags: ['usage'],
+    security: admin,
+    querystring: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', description: 'ISO date or date-time (default 7 days before `to`)' },
+        to: { type: 'string', description: 'ISO date or date-time; a plain date covers the whole day (default now)' },
+        userId: { type: 'string' },
+        groupBy: { type: 'string', enum: GROUP_BY },
+        format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+        limit: { type: 'integer', minimum: 1, description: 'Entries returned without groupBy (default 1000)' }
+      }
+    },
+    response: {
+      200: object({ from: dateTime, to: dateTime, userId: { type: ['string', 'null'] } }, { description: 'Entries, or groups and totals with groupBy. format=csv answers text/csv instead.' }),
+      ...errorResponses
+    }
+  },
+
+  admin: {
+    listUsers: adminRoute('adminListUsers', 'Active users, most recently seen first', {
+      querystring: { type: 'object', properties: { limit: { type: 'integer', minimum: 1 } } },
+      response: adminConfig('Active users with their tier, block status and counters')
+    }),
+    getUser: adminRoute('adminGetUser', 'One user\'s tier, limits, counters and overrides', { params: userKeyParams, response: adminUser }),
+    resetUser: adminRoute('adminResetUser', 'Clear a user\'s counters and cost reservations', { params: userKeyParams, response: adminUser }),
+    adjustUser: adminRoute('adminAdjustUser', 'Add to (or subtract from) a user\'s counters', {
+      params: userKeyParams,
+      body: {
+        type: 'object',
+        properties: Object.fromEntries(['requests', 'dailyRequests', 'dailyCost', 'reservedCost'].map(field => [field, { type: 'number' }]))
+      },
+      response: adminUser
+    }),
+    listBlocked: adminRoute('adminListBlocked', 'Blocked users', { response: adminConfig('Blocked users') }),
+    blockUser: adminRoute('adminBlockUser', 'Block a user, indefinitely or for some minutes', {
+      params: userKeyParams,
+      body: { type: 'object', properties: { reason: { type: ['string', 'null'] }, minutes: { type: 'number', exclusiveMinimum: 0 } } },
+      response: adminUser
+    }),
+    unblockUser: adminRoute('adminUnblockUser', 'Unblock a user', { params: userKeyParams, response: adminUser }),
+    setUserLimits: adminRoute('adminSetUserLimits', 'Override a user\'s tier or limits', {
+      params: userKeyParams,
+      body: { type: 'object', properties: { tier: { type: 'string' }, ...limitFields } },
+      response: adminUser
+    }),
+    clearUserLimits: adminRoute('adminClearUserLimits', 'Remove a user\'s overrides', { params: userKeyParams, response: adminUser }),
+    getConfig: adminRoute('adminGetConfig', 'Effective tiers, model routing and admin overrides', { response: adminConfig('Live configuration') }),
+    setTierLimits: adminRoute('adminSetTierLimits', 'Override a tier\'s limits', {
+      params: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+      body: { type: 'object', properties: limitFields },
+      response: adminConfig('Effective tier limits')
+    }),
+    clearTierLimits: adminRoute('adminClearTierLimits', 'Remove a tier\'s overrides', {
+      params: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+      response: adminConfig('Effective tier limits')
+    }),
+    setRoute: adminRoute('adminSetRoute', 'Switch the provider or model of a route', {
+      params: { type: 'object', required: ['name'], properties: { name: { type: 'string', description: 'default, a topic, intent or summary' } } },
+      body: { type: 'object', properties: { provider: { type: 'string' }, model: { type: 'string' }, deployment: { type: 'string' } } },
+      response: adminConfig('Provider routing')
+    }),
+    clearRoute: adminRoute('adminClearRoute', 'Restore a route\'s configured provider and model', {
+      params: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+      response: adminConfig('Provider routing')
+    }),
+    listErrors: adminRoute('adminListErrors', 'Recent failures on this instance, newest first', {
+      querystring: { type: 'object', properties: { limit: { type: 'integer', minimum: 1 }, source: { type: 'string' } } },
+      response: adminConfig('Recent errors')
+    })
+  }
+};
+
+/**
+ * Validator compiler factory for Fastify's schemaController. Query strings, params and
+ * headers keep Fastify's type coercion (they are always strings on the wire); bodies are
+ * checked as sent, and unknown body fields are rejected rather than stripped where a
+ * schema closes its properties.
+ */
+function createValidatorFactory() {
+  const fromPool = AjvCompiler();
+  return (externalSchemas, options) => {
+    const coercing = fromPool(externalSchemas, options);
+    const strict = fromPool(externalSchemas, {
+      ...options,
+      customOptions: { ...options.customOptions, coerceTypes: false, removeAdditional: false }
+    });
+    return (route) => (route.httpPart === 'body' ? strict : coercing)(route);
+  };
+}
+
+module.exports = {
+  RESPONSE_MODES,
+  MAX_MESSAGE_CHARS,
+  SECURITY_SCHEMES,
+  SHARED_SCHEMAS,
+  routeSchemas,
+  createValidatorFactory
+};
@@ -0,0 +1,232 @@
+// Scripture reference parsing and validation
+//
+// Finds references such as "John 3:16", "1 Cor. 13:4-7", "Romans 8:28, 31",
+// "Matthew 5:3-12; 6:9" or "Psalm 23" in free text, normalizes them and checks each
+// one against the bundled canon table (lib/canon.json: books with verse counts per chapter).
+// References that point past the end of a book or chapter are flagged as invalid,
+// which is how hallucinated verses are caught.
+
+const CANON = require('./canon.json');
+
+// Book names that are also common first names - only recognized with chapter:verse,
+// so "John 3" on its own is not mistaken for a reference
+const PERSON_NAMES = new Set([
+  'john', 'mark', 'luke', 'james', 'jude', 'ruth', 'job', 'daniel', 'amos', 'joel',
+  'jonah', 'micah', 'esther', 'ezra', 'titus', 'nahum', 'hosea', 'acts'
+]);
+
+// Ways of writing the number of a numbered book ("1 John", "I John", "First John", "1st John")
+const NUMBER_PREFIXES = {
+  1: ['1', '1st', 'i', 'first'],
+  2: ['2', '2nd', 'ii', 'second'],
+  3: ['3', '3rd', 'iii', 'third']
+};
+
+const DASH = '\\s*[-–—]\\s*';
+
+/**
+ * Build the lookup from every accepted spelling (lowercase) to its book.
+ * Abbreviations of numbered books omit the number, which is added here.
+ */
+function buildBookIndex() {
+  const index = new Map();
+  const add = (alias, book, isFullName) => {
+    const key = alias.toLowerCase().replace(/\s+/g, ' ');
+    if (!index.has(key)) index.set(key, { book, isFullName });
+  };
+
+  for (const book of CANON) {
+    const match = /^([123]) (.+)$/.exec(book.name);
+    const baseName = match ? match[2] : book.name;
+    const names = [baseName, ...(book.citeAs ? [book.citeAs] : [])];
+
+    if (match) {
+      for (const prefix of NUMBER_PREFIXES[match[1]]) {
+        for (const name of names) {
+          add(`${prefix} ${name}`, book, true);
+          if (/^\d/.test(prefix)) add(`${prefix}${name}`, book, true);
+        }
+        for (const abbreviation of book.abbreviations) {
+          add(`${prefix} ${abbreviation}`, book, false);
+          if (/^\d/.test(prefix)) add(`${prefix}${abbreviation}`, book, false);
+        }
+      }
+    } else {
+      for (const name of names) add(name, book, true);
+      for (const abbreviation of book.abbreviations) add(abbreviation, book, false);
+    }
+  }
+
+  return index;
+}
+
+const BOOK_INDEX = buildBookIndex();
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Longest spellings first so "1 John" wins over "John"
+const BOOK_PATTERN = [...BOOK_INDEX.keys()]
+  .sort((a, b) => b.length - a.length)
+  .map(alias => escapeRegExp(alias).replace(/ /g, '\\s+'))
+  .join('|');
+
+// Book, chapter, optional :verse and range, then any ", 18" or "; 4:2" continuations.
+// A continuation may not start another book, so "Romans 8:28, 2 Corinthians 12:9" stays two references.
+const SEGMENT = `\\d{1,3}(?::\\d{1,3})?(?:${DASH}\\d{1,3}(?::\\d{1,3})?)?`;
+const REFERENCE_REGEX = new RegExp(
+  `(?<![\\w])(${BOOK_PATTERN})\\.?\\s*(${SEGMENT})((?:\\s*[,;]\\s*(?!(?:${BOOK_PATTERN})\\b)${SEGMENT}(?![\\w:]))*)(?![\\w:])`,
+  'gi'
+);
+
+/**
+ * Display name used in normalized references ("Psalm 23", not "Psalms 23")
+ */
+function citeName(book, chapterOnlyOrSingle) {
+  return book.citeAs && chapterOnlyOrSingle ? book.citeAs : book.name;
+}
+
+/**
+ * Check a parsed reference against the canon; returns an error code or null
+ */
+function validateReference(book, { chapter, verse, endChapter, endVerse }) {
+  const chapterCount = book.verses.length;
+  if (chapter < 1 || chapter > chapterCount) return 'chapter_out_of_range';
+  if (verse !== null && (verse < 1 || verse > book.verses[chapter - 1])) return 'verse_out_of_range';
+  if (endChapter < chapter || endChapter > chapterCount) return 'chapter_out_of_range';
+  if (endVerse !== null && (endVerse < 1 || endVerse > book.verses[endChapter - 1])) return 'verse_out_of_range';
+  if (endChapter === chapter && verse !== null && endVerse !== null && endVerse < verse) return 'invalid_range';
+  return null;
+}
+
+/**
+ * Format a normalized reference string
+ */
+function formatReference(book, { chapter, verse, endChapter, endVerse }) {
+  const name = citeName(book, endChapter === chapter);
+  if (verse === null) {
+    return endChapter !== chapter ? `${name} ${chapter}-${endChapter}` : `${name} ${chapter}`;
+  }
+  if (endChapter !== chapter) return `${name} ${chapter}:${verse}-${endChapter}:${endVerse}`;
+  if (endVerse !== null && endVerse !== verse) return `${name} ${chapter}:${verse}-${endVerse}`;
+  return `${name} ${chapter}:${verse}`;
+}
+
+/**
+ * Parse one "3:16-18" style segment. `currentChapter` is used when a continuation
+ * only lists verses ("Romans 8:28, 31").
+ */
+function parseSegment(segment, currentChapter, verseContext) {
+  const [startPart, endPart] = segment.split(/\s*[-–—]\s*/);
+  let chapter;
+  let verse = null;
+
+  if (startPart.includes(':')) {
+    [chapter, verse] = startPart.split(':').map(Number);
+  } else if (verseContext) {
+    chapter = currentChapter;
+    verse = Number(startPart);
+  } else {
+    chapter = Number(startPart);
+  }
+
+  let endChapter = chapter;
+  let endVerse = verse;
+  if (endPart !== undefined) {
+    if (endPart.includes(':')) {
+      [endChapter, endVerse] = endPart.split(':').map(Number);
+    } else if (verse !== null) {
+      endVerse = Number(endPart);
+    } else {
+      endChapter = Number(endPart);
+    }
+  }
+
+  return { chapter, verse, endChapter, endVerse };
+}
+
+/**
+ * Find every scripture reference in a text.
+ * Returns normalized references with character offsets into the text and a validity flag.
+ * `bareChapters` also accepts abbreviated chapter-only references ("Ps 23"), which are
+ * only unambiguous when the text is known to be a reference.
+ */
+function extractVerseReferences(text, { bareChapters = false } = {}) {
+  const references = [];
+  if (!text) return references;
+
+  for (const match of text.matchAll(REFERENCE_REGEX)) {
+    const [, bookText, firstSegment, continuation] = match;
+    const entry = BOOK_INDEX.get(bookText.toLowerCase().replace(/\s+/g, ' '));
+    if (!entry) continue;
+
+    const { book, isFullName } = entry;
+    const hasVerse = firstSegment.includes(':');
+
+    // Chapter-only references need an unambiguous full book name
+    if (!hasVerse && !bareChapters && (!isFullName || PERSON_NAMES.has(bookText.toLowerCase()))) continue;
+
+    // Split into segments with their offsets; the first one spans the book name too
+    const segments = [{ text: firstSegment, start: match.index, end: match.index + match[0].length - continuation.length, separator: null }];
+    const continuationStart = match.index + match[0].length - continuation.length;
+    for (const part of continuation.matchAll(new RegExp(`([,;])\\s*(${SEGMENT})`, 'g'))) {
+      const start = continuationStart + part.index + part[0].length - part[2].length;
+      segments.push({ text: part[2], start, end: start + part[2].length, separator: part[1] });
+    }
+
+    let currentChapter = null;
+    let verseContext = hasVerse;
+    for (const segment of segments) {
+      // After "," a bare number is another verse of the same chapter; after ";" it's a new chapter
+      const bareIsVerse = segment.separator === ',' && verseContext;
+      const parsed = parseSegment(segment.text, currentChapter, bareIsVerse);
+      currentChapter = parsed.endChapter;
+      verseContext = parsed.verse !== null;
+
+      const error = validateReference(book, parsed);
+      references.push({
+        reference: formatReference(book, parsed),
+        book: book.name,
+        chapter: parsed.chapter,
+        verse: parsed.verse,
+        endChapter: parsed.endChapter,
+        endVerse: parsed.endVerse,
+        start: segment.start,
+        end: segment.end,
+        text: text.slice(segment.start, segment.end),
+        valid: error === null,
+        ...(error ? { error } : {})
+      });
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Parse a single reference such as "jn 3:16", "Ps 23" or "Romans 8:28-39".
+ * Returns the normalized reference (which may be invalid), or null unless the whole
+ * text is exactly one reference.
+ */
+function parseReference(text) {
+  const trimmed = (text || '').trim().replace(/\.$/, '');
+  const references = extractVerseReferences(trimmed, { bareChapters: true });
+  if (references.length !== 1) return null;
+  const [reference] = references;
+  return reference.start === 0 && reference.end === trimmed.length ? reference : null;
+}
+
+/**
+ * Look up a book by any accepted spelling
+ */
+function findBook(name) {
+  return BOOK_INDEX.get((name || '').toLowerCase().replace(/\.$/, '').replace(/\s+/g, ' '))?.book || null;
+}
+
+module.exports = {
+  CANON,
+  findBook,
+  parseReference,
+  extractVerseReferences
+};
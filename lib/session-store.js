@@ -0,0 +1,161 @@
+// Pluggable storage for server-side conversation sessions
+//
+// Every backend implements the same async interface:
+//   get(id)              -> session | null
+//   set(session)         -> void
+//   delete(id)           -> true if a session was removed
+//   listByOwner(owner)   -> sessions owned by a user, oldest first
+//   cleanup(now)         -> number of expired sessions removed
+//   size()               -> number of stored sessions
+//   close()              -> flush and release resources
+//
+// A session is { id, owner, topic, createdAt, updatedAt, expiresAt, messages: [{ role, content, createdAt }] }
+// with timestamps in epoch milliseconds.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Process-local store (default). Sessions are lost on restart and not shared between replicas.
+ */
+function createMemorySessionStore() {
+  const sessions = new Map();
+
+  return {
+    type: 'memory',
+    sessions, // Exposed for the file store
+
+    async get(id) {
+      const session = sessions.get(id);
+      return session ? structuredClone(session) : null;
+    },
+
+    async set(session) {
+      sessions.set(session.id, structuredClone(session));
+    },
+
+    async delete(id) {
+      return sessions.delete(id);
+    },
+
+    async listByOwner(owner) {
+      return [...sessions.values()]
+        .filter(session => session.owner === owner)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(session => structuredClone(session));
+    },
+
+    async cleanup(now) {
+      let removed = 0;
+      for (const [id, session] of sessions.entries()) {
+        if (session.expiresAt <= now) {
+          sessions.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async size() {
+      return sessions.size;
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * JSON file store for single-instance deployments with a persistent volume.
+ * Sessions live in memory and are flushed to disk shortly after each change.
+ */
+function createFileSessionStore({ filePath, flushIntervalMs = 1000, log = console }) {
+  const store = createMemorySessionStore();
+  const { sessions } = store;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const session of saved) {
+      sessions.set(session.id, session);
+    }
+    log.info(`📂 Loaded ${sessions.size} conversation sessions from ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error(`❌ Could not read session file ${filePath}: ${error.message}`);
+    }
+  }
+
+  let flushTimer = null;
+
+  // Write to a temp file and rename so a crash never leaves a half-written file
+  const flush = () => {
+    flushTimer = null;
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify([...sessions.values()]));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      log.error(`❌ Could not write session file ${filePath}: ${error.message}`);
+    }
+  };
+
+  const scheduleFlush = () => {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushIntervalMs);
+      flushTimer.unref();
+    }
+  };
+
+  return {
+    ...store,
+    type: 'file',
+
+    async set(session) {
+      await store.set(session);
+      scheduleFlush();
+    },
+
+    async delete(id) {
+      const removed = await store.delete(id);
+      if (removed) scheduleFlush();
+      return removed;
+    },
+
+    async cleanup(now) {
+      const removed = await store.cleanup(now);
+      if (removed > 0) scheduleFlush();
+      return removed;
+    },
+
+    async close() {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flush();
+      }
+    }
+  };
+}
+
+/**
+ * Build the configured session store from environment variables:
+ *   SESSION_STORE  memory (default) | file
+ *   SESSION_FILE   Path for the file store (default ./data/sessions.json)
+ */
+function createSessionStore(env = process.env, { log = console } = {}) {
+  const type = (env.SESSION_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return createMemorySessionStore();
+    case 'file':
+      return createFileSessionStore({ filePath: path.resolve(env.SESSION_FILE || './data/sessions.json'), log });
+    default:
+      throw new Error(`Unknown SESSION_STORE "${type}" (expected memory or file)`);
+  }
+}
+
+module.exports = {
+  createMemorySessionStore,
+  createFileSessionStore,
+  createSessionStore
+};
@@ -0,0 +1,110 @@
+// Server-side conversation sessions - ownership, expiry and retention on top of a session store
+//
+// Config (env):
+//   SESSION_TTL_HOURS     Idle time before a session expires; every message extends it (default 72)
+//   SESSION_MAX_MESSAGES  Turns kept per session, oldest dropped first (default 200)
+//   SESSION_MAX_PER_USER  Sessions per owner; creating one more removes the oldest (default 20)
+
+const crypto = require('crypto');
+
+/**
+ * Create the session manager. `owner` is the caller's rate limit key:
+ * the JWT subject, or `ip:<address>` for anonymous callers. `now` returns epoch ms.
+ */
+function createSessionManager(store, env = process.env, { now = Date.now } = {}) {
+  const ttlMs = (Number(env.SESSION_TTL_HOURS) || 72) * 60 * 60 * 1000;
+  const maxMessages = Number(env.SESSION_MAX_MESSAGES) || 200;
+  const maxPerOwner = Number(env.SESSION_MAX_PER_USER) || 20;
+
+  return {
+    store,
+    ttlMs,
+    maxMessages,
+    maxPerOwner,
+
+    async create(owner, { topic = null, locale = null } = {}) {
+      const createdAt = now();
+      const session = {
+        id: crypto.randomUUID(),
+        owner,
+        topic,
+        locale,
+        createdAt,
+        updatedAt: createdAt,
+        expiresAt: createdAt + ttlMs,
+        messages: []
+      };
+
+      // Retention: make room by dropping the owner's oldest sessions
+      const existing = await store.listByOwner(owner);
+      for (const old of existing.slice(0, Math.max(0, existing.length - maxPerOwner + 1))) {
+        await store.delete(old.id);
+      }
+
+      await store.set(session);
+      return session;
+    },
+
+    /**
+     * A live session owned by `owner`, or null. Other owners' sessions are
+     * indistinguishable from missing ones.
+     */
+    async get(id, owner) {
+      const session = await store.get(id);
+      if (!session || session.owner !== owner) return null;
+      if (session.expiresAt <= now()) {
+        await store.delete(id);
+        return null;
+      }
+      return session;
+    },
+
+    /**
+     * Append turns, trim to the retention limit and extend the expiry
+     */
+    async append(session, turns) {
+      const updatedAt = now();
+      session.messages.push(...turns.map(turn => ({ role: turn.role, content: turn.content, createdAt: updatedAt })));
+      if (session.messages.length > maxMessages) {
+        session.messages = session.messages.slice(-maxMessages);
+      }
+      session.updatedAt = updatedAt;
+      session.expiresAt = updatedAt + ttlMs;
+      await store.set(session);
+      return session;
+    },
+
+    async delete(id, owner) {
+      const session = await this.get(id, owner);
+      return session ? store.delete(id) : false;
+    },
+
+    cleanup() {
+      return store.cleanup(now());
+    }
+  };
+}
+
+/**
+ * Public view of a session: timestamps as ISO strings, owner omitted
+ */
+function describeSession(session) {
+  return {
+    id: session.id,
+    topic: session.topic,
+    locale: session.locale || null,
+    createdAt: new Date(session.createdAt).toISOString(),
+    updatedAt: new Date(session.updatedAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    messages: session.messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      createdAt: new Date(message.createdAt).toISOString()
+    }))
+  };
+}
+
+module.exports = {
+  createSessionManager,
+  describeSession
+};
@@ -0,0 +1,115 @@
+// Server-Sent Events helpers for streaming AI responses to the app
+
+// End of a sentence (with any closing quotes or brackets) or of a line, plus the whitespace after it
+const SENTENCE_END = /[.!?]["'”’)\]]*\s+|\n+/g;
+
+/**
+ * Check whether the client opted into a streamed response, either through
+ * the `Accept: text/event-stream` header or a `stream: true` body flag
+ */
+function wantsEventStream(request) {
+  const accept = request.headers.accept || '';
+  return request.body?.stream === true || accept.includes('text/event-stream');
+}
+
+/**
+ * Take over the raw response and open an SSE channel.
+ * Headers already set on the reply (e.g. CORS) are carried over.
+ */
+function openEventStream(reply) {
+  reply.hijack();
+  reply.raw.writeHead(200, {
+    ...reply.getHeaders(),
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so deltas arrive immediately
+  });
+
+  let closed = false;
+  reply.raw.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+    send(event, data) {
+      if (closed) return;
+      reply.raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      reply.raw.end();
+    }
+  };
+}
+
+/**
+ * Read a provider's streamed completion, calling onDelta for every content fragment.
+ * parseChunk turns each decoded `data:` payload into { delta, finishReason, usage, done }.
+ * Resolves with the full content once the stream ends.
+ */
+async function readChatCompletionStream(response, parseChunk, onDelta) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+
+  // Returns true once the provider signals the end of the stream
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return false;
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') return true;
+
+    const chunk = parseChunk(JSON.parse(payload));
+    if (chunk.delta) {
+      content += chunk.delta;
+      onDelta(chunk.delta);
+    }
+    if (chunk.finishReason) finishReason = chunk.finishReason;
+    // Some providers split usage across several events
+    if (chunk.usage) usage = { ...usage, ...chunk.usage };
+    return Boolean(chunk.done);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (handleLine(line.trim())) {
+        await reader.cancel();
+        return { content, finishReason, usage };
+      }
+    }
+  }
+
+  if (buffer.trim()) handleLine(buffer.trim());
+  return { content, finishReason, usage };
+}
+
+/**
+ * Length of the text up to the end of its last finished sentence, 0 when there is none.
+ * Streams release text in whole sentences so it can be checked before it is sent.
+ */
+function lastSentenceEnd(text) {
+  let end = 0;
+  for (const match of text.matchAll(SENTENCE_END)) end = match.index + match[0].length;
+  return end;
+}
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+  readChatCompletionStream,
+  lastSentenceEnd
+};
@@ -0,0 +1,137 @@
+// Structured output - splits a devotional or prayer response into typed sections
+// so clients don't have to re-parse the markdown-ish `content` string
+//
+// Schema (STRUCTURED_SCHEMA_VERSION 1), selected by `contentType`:
+//   devotional      { intro, points: [{ number, title, body, verse: { reference, text, valid } | null }], closing }
+//   prayer          { preface, paragraphs: [], closing }
+//   conversational  { paragraphs: [] }
+//
+// Bump the version whenever a field is renamed, removed or changes meaning.
+
+const { extractVerseReferences } = require('./scripture');
+const { DEVOTIONAL_FORMATS, prayerStyle } = require('./response-format');
+
+const STRUCTURED_SCHEMA_VERSION = 1;
+
+const POINT_HEADER = /^[ \t]*(\*\*)?[ \t]*(\d+)[.)][ \t]*/;
+const QUOTE_PAIRS = { '"': /"/, '“': /”/, '\'': /['’](?=[\s.,;:!?)]|$)/, '‘': /['’](?=[\s.,;:!?)]|$)/ };
+
+function splitParagraphs(text) {
+  return text.split(/\n[ \t]*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+/**
+ * The first verse cited in a passage, with the quotation that follows the reference
+ */
+function findVerse(text) {
+  const [reference] = extractVerseReferences(text);
+  if (!reference) return null;
+
+  let quote = null;
+  const rest = text.slice(reference.end);
+  const open = rest.search(/["“'‘]/);
+  if (open !== -1 && open < 20) {
+    const close = rest.slice(open + 1).search(QUOTE_PAIRS[rest[open]]);
+    if (close !== -1) quote = rest.slice(open + 1, open + 1 + close).trim();
+  }
+
+  return { reference: reference.reference, text: quote, valid: reference.valid };
+}
+
+/**
+ * "**1. Obedience:** Jesus says..." -> { number: 1, title: 'Obedience', body: 'Jesus says...' }
+ */
+function parsePoint(block) {
+  const [numberHeader, bold, number] = POINT_HEADER.exec(block);
+  const afterNumber = block.slice(numberHeader.length);
+
+  // Bold header: everything up to the closing ** ; plain header: up to the first colon
+  const header = bold
+    ? /^([^*\n]+?)[:.]?\*\*:?[ \t]*/.exec(afterNumber)
+    : /^([^:*\n]{1,60}):[ \t]*/.exec(afterNumber);
+  const title = header ? header[1].trim().replace(/[:.]$/, '') : '';
+  const body = (header ? afterNumber.slice(header[0].length) : afterNumber).trim();
+
+  return { number: Number(number), title, body, verse: findVerse(body) };
+}
+
+/**
+ * Intro, numbered points and closing. Returns null when the content has no numbered points.
+ */
+function parseDevotional(content) {
+  const lines = content.split('\n');
+  const starts = lines.flatMap((line, index) => (POINT_HEADER.test(line) ? [index] : []));
+  if (starts.length === 0) return null;
+
+  const intro = lines.slice(0, starts[0]).join('\n').trim();
+  const points = starts.map((start, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1] : lines.length;
+    return lines.slice(start, end).join('\n').trim();
+  });
+
+  // The last point runs to its first blank line; anything after that is the closing
+  const [lastPoint, ...closing] = splitParagraphs(points.pop());
+  points.push(lastPoint);
+
+  return {
+    intro,
+    points: points.map(parsePoint),
+    closing: closing.join('\n\n')
+  };
+}
+
+/**
+ * Preface sentence, prayer paragraphs and the closing line
+ */
+function parsePrayer(content, style) {
+  const paragraphs = splitParagraphs(content);
+  let preface = '';
+
+  // The preface ends where the address ("Dear Heavenly Father,") begins
+  const addressMatch = paragraphs.length > 0 ? style.address.exec(paragraphs[0]) : null;
+  if (addressMatch && addressMatch.index > 0) {
+    preface = paragraphs[0].slice(0, addressMatch.index).trim();
+    paragraphs[0] = paragraphs[0].slice(addressMatch.index);
+  } else if (!addressMatch && paragraphs.length > 1) {
+    preface = paragraphs.shift();
+  }
+
+  let closing = '';
+  const last = paragraphs.length - 1;
+  if (last >= 0 && paragraphs[last].replace(/[‘’]/g, '\'').endsWith(style.closing)) {
+    closing = style.closing;
+    paragraphs[last] = paragraphs[last].slice(0, -style.closing.length).trim();
+    if (!paragraphs[last]) paragraphs.pop();
+  }
+
+  return { preface, paragraphs, closing };
+}
+
+/**
+ * Structured fields for a response: { schemaVersion, contentType, sections }.
+ * Devotional content without numbered points falls back to conversational paragraphs.
+ * Prayers are split using the address and closing of `locale`.
+ */
+function toStructuredResponse(format, content, { locale = 'en' } = {}) {
+  let contentType = 'conversational';
+  let sections = null;
+
+  if (format === 'prayer') {
+    contentType = 'prayer';
+    sections = parsePrayer(content, prayerStyle(locale));
+  } else if (DEVOTIONAL_FORMATS.has(format)) {
+    sections = parseDevotional(content);
+    if (sections) contentType = 'devotional';
+  }
+
+  return {
+    schemaVersion: STRUCTURED_SCHEMA_VERSION,
+    contentType,
+    sections: sections || { paragraphs: splitParagraphs(content) }
+  };
+}
+
+module.exports = {
+  STRUCTURED_SCHEMA_VERSION,
+  toStructuredResponse
+};
@@ -0,0 +1,197 @@
+// Rate limit tiers - named plans with their own limits, plus per-user overrides
+//
+// Tiers live in a JSON file (RATE_LIMIT_TIERS_FILE, default config/rate-limit-tiers.json)
+// that is reloaded automatically when it changes. A caller's tier is chosen in this order:
+//   1. `users[<rate limit key>].tier` in the tiers file
+//   2. The first verified token claim listed in `claims` that names a known tier
+//   3. `defaultTier`
+// Limit fields set on a `users` entry override the tier's limits for that user only.
+// Anonymous callers (no verified token) never get a tier from claims.
+//
+// Runtime overrides (set through the admin API) sit on top of the file: tier limits
+// and `users` entries from setRuntimeOverrides win over the file's values.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TIERS_FILE = path.join(__dirname, '..', 'config', 'rate-limit-tiers.json');
+const LIMIT_FIELDS = ['windowMs', 'maxRequests', 'dailyLimit', 'dailyCostLimit'];
+
+/**
+ * Check limit fields are positive numbers; with `required`, every field must be present
+ */
+function validateLimits(limits, label, required = false) {
+  for (const field of LIMIT_FIELDS) {
+    const value = limits[field];
+    if (value === undefined && !required) continue;
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error(`${label} has invalid ${field} "${value}"`);
+    }
+  }
+}
+
+/**
+ * Check per-user entries name known tiers and valid limits
+ */
+function validateUsers(users, tiers) {
+  for (const [userKey, override] of Object.entries(users)) {
+    if (override.tier && !tiers[override.tier]) {
+      throw new Error(`User "${userKey}" has unknown tier "${override.tier}"`);
+    }
+    validateLimits(override, `User "${userKey}"`);
+  }
+}
+
+/**
+ * Validate raw tier config. Every tier needs all limits as positive numbers.
+ */
+function compileTiers(raw) {
+  const tiers = raw.tiers || {};
+  if (!tiers[raw.defaultTier]) {
+    throw new Error(`Default tier "${raw.defaultTier}" is not defined`);
+  }
+
+  for (const [name, tier] of Object.entries(tiers)) {
+    validateLimits(tier, `Tier "${name}"`, true);
+    if (tier.upgrade && !tiers[tier.upgrade.tier]) {
+      throw new Error(`Tier "${name}" upgrades to unknown tier "${tier.upgrade.tier}"`);
+    }
+  }
+  validateUsers(raw.users || {}, tiers);
+
+  return {
+    version: raw.version || 1,
+    defaultTier: raw.defaultTier,
+    claims: raw.claims || ['tier'],
+    tiers,
+    users: raw.users || {}
+  };
+}
+
+/**
+ * Read a dotted claim path such as "app_metadata.tier"
+ */
+function readClaim(claims, claimPath) {
+  return claimPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+/**
+ * Pick only the limit fields from an object
+ */
+function pickLimits(source) {
+  return Object.fromEntries(LIMIT_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+}
+
+/**
+ * Create a tier resolver
+ */
+function createTierResolver({ rulesPath = DEFAULT_TIERS_FILE, watch = true, log = console } = {}) {
+  let config = compileTiers(JSON.parse(fs.readFileSync(rulesPath, 'utf8')));
+  let runtime = { tiers: {}, users: {} };
+
+  const tierLimits = (name) => ({ ...pickLimits(config.tiers[name]), ...runtime.tiers[name] });
+  const userOverrideFor = (userKey) => {
+    const fromFile = config.users[userKey];
+    const fromRuntime = runtime.users[userKey];
+    return fromFile || fromRuntime ? { ...fromFile, ...fromRuntime } : null;
+  };
+
+  const reload = () => {
+    try {
+      config = compileTiers(JSON.parse(fs.readFileSync(rulesPath, 'utf8')));
+      log.info(`🔄 Reloaded rate limit tiers v${config.version} from ${rulesPath}`);
+    } catch (error) {
+      // Keep serving the last good tiers
+      log.error(`❌ Could not reload rate limit tiers, keeping previous version: ${error.message}`);
+    }
+  };
+
+  let watcher = null;
+  if (watch) {
+    watcher = fs.watchFile(rulesPath, { interval: 5000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) reload();
+    });
+    watcher.unref();
+  }
+
+  return {
+    get config() {
+      return config;
+    },
+
+    reload,
+
+    /**
+     * Replace the runtime overrides: { tiers: { <name>: limits }, users: { <key>: { tier, ...limits } } }.
+     * Throws without changing anything when an override is invalid.
+     */
+    setRuntimeOverrides({ tiers = {}, users = {} } = {}) {
+      for (const [name, limits] of Object.entries(tiers)) {
+        if (!config.tiers[name]) throw new Error(`Unknown tier "${name}"`);
+        validateLimits(limits, `Tier "${name}" override`);
+      }
+      validateUsers(users, config.tiers);
+      runtime = {
+        tiers: Object.fromEntries(Object.entries(tiers).map(([name, limits]) => [name, pickLimits(limits)])),
+        users
+      };
+    },
+
+    /**
+     * The effective tier for a caller. `auth` is request.auth ({ authenticated, rateLimitKey, claims }).
+     * Returns { name, source, limits, overridden, upgrade } where source is config, claim or default.
+     */
+    resolve(auth = {}) {
+      const userOverride = userOverrideFor(auth.rateLimitKey);
+
+      let name = config.defaultTier;
+      let source = 'default';
+      // A runtime override may name a tier the reloaded file no longer has
+      if (userOverride?.tier && config.tiers[userOverride.tier]) {
+        name = userOverride.tier;
+        source = 'config';
+      } else if (auth.authenticated && auth.claims) {
+        for (const claimPath of config.claims) {
+          const claimed = readClaim(auth.claims, claimPath);
+          if (typeof claimed === 'string' && config.tiers[claimed]) {
+            name = claimed;
+            source = 'claim';
+            break;
+          }
+        }
+      }
+
+      const tier = config.tiers[name];
+      const overrides = userOverride ? pickLimits(userOverride) : {};
+
+      return {
+        name,
+        source,
+        limits: { ...tierLimits(name), ...overrides },
+        overridden: Object.keys(overrides),
+        upgrade: tier.upgrade || null
+      };
+    },
+
+    /**
+     * Public summary of every tier's effective limits for /health
+     */
+    describe() {
+      return {
+        defaultTier: config.defaultTier,
+        tiers: Object.fromEntries(Object.keys(config.tiers).map(name => [name, tierLimits(name)]))
+      };
+    },
+
+    close() {
+      if (watcher) fs.unwatchFile(rulesPath);
+    }
+  };
+}
+
+module.exports = {
+  LIMIT_FIELDS,
+  validateLimits,
+  compileTiers,
+  createTierResolver
+};
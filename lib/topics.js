@@ -0,0 +1,146 @@
+// Topic catalogue - maps the `topic` clients send to a response format, prompt guidance,
+// recommended verses and model parameter overrides
+//
+// Format topics (prayer, informational, practical, conversational) pin the response format
+// and skip auto-detection. Subject topics (finding-peace, forgiveness, ...) add focus and
+// verses to the prompt while the format is still detected from the message.
+
+const FORMATS = ['prayer', 'informational', 'practical', 'conversational'];
+
+// Sampling defaults tuned for the devotional format
+const DEFAULT_MODEL_PARAMS = {
+  max_tokens: 800, // Increased to ensure 5 full principles fit
+  temperature: 0.4, // Lowered for better structure adherence
+  top_p: 0.9,
+  frequency_penalty: 0.1, // Reduced to allow for more detailed explanations
+  presence_penalty: 0.2 // Increased to encourage new topics/principles
+};
+
+const TOPICS = {
+  // Format topics
+  'prayer': {
+    format: 'prayer',
+    guidance: 'This is a PRAYER REQUEST. Use only the prayer format: a short opening sentence, then a flowing paragraph-style prayer with no numbered sections, ending with "In Jesus\' name, I pray. Amen."',
+    verses: [],
+    params: { max_tokens: 600, temperature: 0.5 } // Prayers are shorter and benefit from warmer wording
+  },
+  'informational': {
+    format: 'informational',
+    guidance: '',
+    verses: [],
+    params: { temperature: 0.3 } // Favour accuracy for factual questions
+  },
+  'practical': {
+    format: 'practical',
+    guidance: '',
+    verses: [],
+    params: {}
+  },
+  'conversational': {
+    format: 'conversational',
+    guidance: '',
+    verses: [],
+    params: { temperature: 0.6 }
+  },
+
+  // Subject topics
+  'finding-peace': {
+    guidance: 'Focus on biblical peace, anxiety relief, and trusting God.',
+    verses: ['Philippians 4:6-7', 'Matthew 6:25-34'],
+    params: {}
+  },
+  'life-guidance': {
+    guidance: 'Emphasize seeking God\'s will, wisdom, and direction.',
+    verses: ['Proverbs 3:5-6', 'James 1:5'],
+    params: {}
+  },
+  'prayer-life': {
+    guidance: 'Focus on prayer, communion with God, and spiritual disciplines.',
+    verses: ['Matthew 6:9-13', '1 Thessalonians 5:17'],
+    params: {}
+  },
+  'bible-study': {
+    guidance: 'Emphasize Scripture study, meditation, and application.',
+    verses: ['2 Timothy 3:16-17', 'Joshua 1:8'],
+    params: { temperature: 0.3 }
+  },
+  'purpose-calling': {
+    guidance: 'Focus on God\'s purpose, calling, and identity in Christ.',
+    verses: ['Jeremiah 29:11', 'Ephesians 2:10'],
+    params: {}
+  },
+  'forgiveness': {
+    guidance: 'Emphasize forgiveness, grace, and healing.',
+    verses: ['Matthew 6:14-15', '1 John 1:9'],
+    params: {}
+  },
+  'relationships': {
+    guidance: 'Focus on biblical relationships, love, and community.',
+    verses: ['1 Corinthians 13', 'Ephesians 4:32'],
+    params: {}
+  },
+  'struggles': {
+    guidance: 'Emphasize God\'s strength in weakness and perseverance.',
+    verses: ['2 Corinthians 12:9', 'Romans 8:28'],
+    params: {}
+  },
+  'gratitude': {
+    guidance: 'Focus on thankfulness, praise, and recognizing God\'s blessings.',
+    verses: ['1 Thessalonians 5:18', 'Psalm 103'],
+    params: { temperature: 0.5 }
+  }
+};
+
+const VALID_TOPICS = Object.keys(TOPICS);
+
+function isValidTopic(topic) {
+  return Object.prototype.hasOwnProperty.call(TOPICS, topic);
+}
+
+/**
+ * Topic-specific guidance for the system prompt, including recommended verses
+ */
+function getTopicGuidance(topic) {
+  const entry = TOPICS[topic];
+  if (!entry || (!entry.guidance && entry.verses.length === 0)) return '';
+
+  const lines = [];
+  if (entry.guidance) lines.push(entry.guidance);
+  if (entry.verses.length > 0) lines.push(`Draw on these passages where they fit naturally: ${entry.verses.join(', ')}.`);
+  return lines.join(' ');
+}
+
+/**
+ * Resolve the response format and subject for a request.
+ * A client topic with a fixed format wins over the detected one.
+ */
+function resolveTopic(clientTopic, detectedFormat) {
+  const entry = clientTopic ? TOPICS[clientTopic] : null;
+  return {
+    topic: clientTopic || null,
+    format: entry?.format || detectedFormat,
+    formatFromClient: Boolean(entry?.format)
+  };
+}
+
+/**
+ * Model parameters for a request: defaults, then the format's overrides, then the subject's
+ */
+function getModelParams(format, clientTopic) {
+  return {
+    ...DEFAULT_MODEL_PARAMS,
+    ...(TOPICS[format]?.params || {}),
+    ...(clientTopic && clientTopic !== format ? TOPICS[clientTopic]?.params || {} : {})
+  };
+}
+
+module.exports = {
+  FORMATS,
+  TOPICS,
+  VALID_TOPICS,
+  DEFAULT_MODEL_PARAMS,
+  isValidTopic,
+  getTopicGuidance,
+  resolveTopic,
+  getModelParams
+};
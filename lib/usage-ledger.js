@@ -0,0 +1,275 @@
+// Usage ledger - an append-only record of every answered chat request, for spend analytics
+//
+// Rate limit counters are reset daily and cleaned up hourly; the ledger keeps one entry per
+// answer instead, so spend can be broken down by user, topic or day weeks later:
+//   { timestamp, userKey, route, topic, subject, locale, provider, model, promptTokens,
+//     completionTokens, costCents, latencyMs, outcome, cached, failover, attempts, stream }
+// `outcome` is answered (the model replied), cached (response cache) or safety (a crisis or
+// refusal reply sent without calling the model).
+//
+// The file backend appends JSON lines to one file per UTC day (usage-YYYY-MM-DD.jsonl), so
+// retention deletes whole files and a query only reads the days it covers.
+//
+// Config (env):
+//   USAGE_LEDGER_STORE    file (default) | memory | off
+//   USAGE_LEDGER_DIR      Directory for the file backend (default ./data/usage)
+//   USAGE_RETENTION_DAYS  Days of entries kept (default 90)
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { DAY_MS } = require('./rate-limit-periods');
+
+const GROUP_BY = ['topic', 'day', 'user'];
+const CSV_FIELDS = ['timestamp', 'userKey', 'route', 'topic', 'subject', 'locale', 'provider', 'model', 'promptTokens', 'completionTokens', 'costCents', 'latencyMs', 'outcome', 'cached', 'failover', 'attempts', 'stream'];
+const SUMMARY_FIELDS = ['key', 'requests', 'promptTokens', 'completionTokens', 'costCents', 'avgLatencyMs', 'cached', 'failovers'];
+
+const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * Process-local ledger backend. Entries are lost on restart.
+ */
+function createMemoryLedgerBackend() {
+  let entries = [];
+
+  return {
+    type: 'memory',
+
+    async append(entry) {
+      entries.push(entry);
+    },
+
+    async* read({ from, to }) {
+      for (const entry of entries) {
+        const time = Date.parse(entry.timestamp);
+        if (time >= from && time <= to) yield entry;
+      }
+    },
+
+    async prune(before) {
+      const kept = entries.filter(entry => Date.parse(entry.timestamp) >= before);
+      const removed = entries.length - kept.length;
+      entries = kept;
+      return removed;
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * JSONL backend: one append-only file per UTC day in `dir`
+ */
+function createFileLedgerBackend({ dir }) {
+  const fileFor = (day) => path.join(dir, `usage-${day}.jsonl`);
+  const dayFiles = () => {
+    try {
+      return fs.readdirSync(dir)
+        .map(name => name.match(/^usage-(\d{4}-\d{2}-\d{2})\.jsonl$/))
+        .filter(Boolean)
+        .map(match => ({ day: match[1], file: path.join(dir, match[0]) }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  // Appends run one at a time so lines never interleave
+  let writes = Promise.resolve();
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    type: 'file',
+
+    append(entry) {
+      const write = writes.then(() => fs.promises.appendFile(fileFor(dayOf(entry.timestamp)), `${JSON.stringify(entry)}\n`));
+      writes = write.catch(() => {});
+      return write;
+    },
+
+    async* read({ from, to }) {
+      await writes;
+      const firstDay = dayOf(from);
+      const lastDay = dayOf(to);
+      for (const { day, file } of dayFiles()) {
+        if (day < firstDay || day > lastDay) continue;
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+          if (!line.trim()) continue;
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch {
+            continue; // A torn last line after a crash
+          }
+          const time = Date.parse(entry.timestamp);
+          if (time >= from && time <= to) yield entry;
+        }
+      }
+    },
+
+    // Whole days only: a file goes once its last moment is older than `before`
+    async prune(before) {
+      await writes;
+      let removed = 0;
+      for (const { day, file } of dayFiles()) {
+        if (Date.parse(`${day}T00:00:00Z`) + DAY_MS <= before) {
+          fs.unlinkSync(file);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async close() {
+      await writes;
+    }
+  };
+}
+
+/**
+ * Totals for one group of entries
+ */
+function emptySummary(key) {
+  return { key, requests: 0, promptTokens: 0, completionTokens: 0, costCents: 0, avgLatencyMs: 0, cached: 0, failovers: 0 };
+}
+
+function addToSummary(summary, entry) {
+  summary.requests++;
+  summary.promptTokens += entry.promptTokens || 0;
+  summary.completionTokens += entry.completionTokens || 0;
+  summary.costCents += entry.costCents || 0;
+  // Running mean, so no per-group list of latencies is kept
+  summary.avgLatencyMs += ((entry.latencyMs || 0) - summary.avgLatencyMs) / summary.requests;
+  if (entry.cached) summary.cached++;
+  if (entry.failover) summary.failovers++;
+}
+
+function roundSummary(summary) {
+  return {
+    ...summary,
+    costCents: Math.round(summary.costCents * 10000) / 10000,
+    avgLatencyMs: Math.round(summary.avgLatencyMs)
+  };
+}
+
+function groupKey(entry, groupBy) {
+  if (groupBy === 'day') return dayOf(entry.timestamp);
+  if (groupBy === 'user') return entry.userKey;
+  return entry.topic || 'none';
+}
+
+/**
+ * CSV text for rows of plain values, quoting where needed
+ */
+function toCsv(rows, fields) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [fields.join(','), ...rows.map(row => fields.map(field => cell(row[field])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Create the usage ledger on top of a backend. `now` (epoch ms) stamps entries and
+ * decides what retention drops.
+ */
+function createUsageLedger({ backend, retentionDays = 90, log = console, now = Date.now }) {
+  return {
+    type: backend.type,
+    retentionDays,
+
+    /**
+     * Append an entry. Never rejects: losing one analytics line must not fail a chat request.
+     */
+    async record(entry) {
+      try {
+        await backend.append({ timestamp: new Date(now()).toISOString(), ...entry });
+      } catch (error) {
+        log.error(`❌ Could not write usage ledger entry: ${error.message}`);
+      }
+    },
+
+    /**
+     * Entries between `from` and `to` (epoch ms), optionally for one user, oldest first.
+     * Resolves with { entries, truncated } where at most `limit` entries are returned.
+     */
+    async entries({ from, to, userKey = null, limit = 1000 }) {
+      const entries = [];
+      for await (const entry of backend.read({ from, to })) {
+        if (userKey && entry.userKey !== userKey) continue;
+        if (entries.length === limit) return { entries, truncated: true };
+        entries.push(entry);
+      }
+      return { entries, truncated: false };
+    },
+
+    /**
+     * Totals between `from` and `to` grouped by topic, day or user, largest spend first,
+     * plus the overall totals
+     */
+    async summarize({ from, to, userKey = null, groupBy }) {
+      const groups = new Map();
+      const totals = emptySummary('total');
+      for await (const entry of backend.read({ from, to })) {
+        if (userKey && entry.userKey !== userKey) continue;
+        const key = groupKey(entry, groupBy);
+        if (!groups.has(key)) groups.set(key, emptySummary(key));
+        addToSummary(groups.get(key), entry);
+        addToSummary(totals, entry);
+      }
+      const sorted = [...groups.values()].map(roundSummary);
+      sorted.sort(groupBy === 'day' ? (a, b) => a.key.localeCompare(b.key) : (a, b) => b.costCents - a.costCents);
+      return { groups: sorted, totals: roundSummary(totals) };
+    },
+
+    /**
+     * Drop entries older than the retention period. Resolves with the number of
+     * entries (memory) or day files (file) removed.
+     */
+    prune(at = now()) {
+      return backend.prune(at - retentionDays * DAY_MS);
+    },
+
+    close() {
+      return backend.close();
+    }
+  };
+}
+
+/**
+ * Build the configured ledger from environment variables, or null when USAGE_LEDGER_STORE=off
+ */
+function createUsageLedgerFromEnv(env = process.env, { log = console, now } = {}) {
+  const type = (env.USAGE_LEDGER_STORE || 'file').toLowerCase();
+  const retentionDays = Number(env.USAGE_RETENTION_DAYS) || 90;
+
+  switch (type) {
+    case 'off':
+      return null;
+    case 'memory':
+      return createUsageLedger({ backend: createMemoryLedgerBackend(), retentionDays, log, now });
+    case 'file':
+      return createUsageLedger({
+        backend: createFileLedgerBackend({ dir: path.resolve(env.USAGE_LEDGER_DIR || './data/usage') }),
+        retentionDays,
+        log,
+        now
+      });
+    default:
+      throw new Error(`Unknown USAGE_LEDGER_STORE "${type}" (expected file, memory or off)`);
+  }
+}
+
+module.exports = {
+  GROUP_BY,
+  CSV_FIELDS,
+  SUMMARY_FIELDS,
+  toCsv,
+  createMemoryLedgerBackend,
+  createFileLedgerBackend,
+  createUsageLedger,
+  createUsageLedgerFromEnv
+};
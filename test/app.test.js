@@ -0,0 +1,505 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { buildApp } = require('../app');
+const { createMemoryStore } = require('../lib/rate-limit-store');
+const { createRedisAdminState } = require('../lib/admin-state');
+const { UpstreamError } = require('../lib/resilience');
+const { startFakeOpenAI } = require('./helpers/fake-openai');
+const { createFakeRedis } = require('./helpers/fake-redis');
+
+// Free tier: 3 requests per minute, 4 per day
+const TIERS_FILE = path.join(__dirname, 'fixtures', 'rate-limit-tiers.json');
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+let openai;
+before(async () => {
+  openai = await startFakeOpenAI();
+});
+after(() => openai.close());
+
+function buildTestApp({ env = {}, ...config } = {}) {
+  return buildApp({
+    logger: false,
+    env: {
+      OPENAI_API_KEY: 'sk-test',
+      OPENAI_BASE_URL: openai.url,
+      AI_MAX_RETRIES: '0',
+      RATE_LIMIT_TIERS_FILE: TIERS_FILE,
+      RESPONSE_CACHE_STORE: 'off',
+      RESPONSE_FORMAT_REGENERATE: 'false',
+      USAGE_LEDGER_STORE: 'memory',
+      ...env
+    },
+    ...config
+  });
+}
+
+function chat(app, payload) {
+  return app.inject({ method: 'POST', url: '/v1/ai/chat', payload });
+}
+
+/**
+ * The messages the proxy sent upstream for the last completion
+ */
+function lastUpstreamMessages() {
+  return openai.requests[openai.requests.length - 1].body.messages;
+}
+
+test('the topic is detected from the message unless the client names one', async () => {
+  const app = buildTestApp();
+  try {
+    for (const [message, intent] of [
+      ['Can you write a prayer for my mother?', 'prayer'],
+      ['What does the Bible say about forgiveness?', 'informational']
+    ]) {
+      const response = await chat(app, { message });
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(response.json().intent.name, intent, message);
+      assert.strictEqual(response.json().intent.method, 'rules');
+    }
+
+    // The detected format decides the prompt guidance and sampling parameters
+    const prayer = openai.requests[openai.requests.length - 2].body;
+    assert.match(prayer.messages[0].content, /TOPIC FOCUS: This is a PRAYER REQUEST/);
+    assert.strictEqual(prayer.temperature, 0.5);
+    assert.doesNotMatch(lastUpstreamMessages()[0].content, /TOPIC FOCUS: This is a PRAYER REQUEST/);
+
+    const pinned = await app.inject({ method: 'POST', url: '/ai/chat', payload: { message: 'hello', topic: 'prayer' } });
+    assert.deepStrictEqual(pinned.json().intent, { name: 'prayer', confidence: 1, method: 'client' });
+    assert.strictEqual(pinned.json().topic, 'prayer');
+    assert.match(lastUpstreamMessages()[0].content, /TOPIC FOCUS: This is a PRAYER REQUEST/);
+  } finally {
+    await app.close();
+  }
+});
+
+test('the request window slides and daily limits reset at midnight', async () => {
+  let now = NOW;
+  const rateLimitStore = createMemoryStore();
+  const app = buildTestApp({ clock: () => now, rateLimitStore });
+  const status = async () => (await chat(app, { message: 'hello' })).statusCode;
+  try {
+    assert.deepStrictEqual([await status(), await status(), await status()], [200, 200, 200]);
+
+    const limited = await chat(app, { message: 'hello' });
+    assert.strictEqual(limited.statusCode, 429);
+    assert.strictEqual(limited.json().code, 'rate_limited');
+    assert.strictEqual(limited.json().tier, 'free');
+    assert.strictEqual(limited.headers['ratelimit-remaining'], '0');
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+
+    // A minute on, the previous window still counts in full
+    now += MINUTE;
+    assert.strictEqual(await status(), 429);
+    now += MINUTE;
+    assert.strictEqual(await status(), 200);
+
+    // Rejected requests were rolled back, so that was the 4th of the day
+    assert.strictEqual((await rateLimitStore.get('ip:127.0.0.1')).dailyRequests, 4);
+    now += 2 * MINUTE;
+    const daily = await chat(app, { message: 'hello' });
+    assert.strictEqual(daily.statusCode, 402);
+    assert.strictEqual(daily.json().code, 'daily_limit_reached');
+
+    now = NOW + DAY;
+    assert.strictEqual(await status(), 200);
+  } finally {
+    await app.close();
+  }
+});
+
+test('timed blocks and sessions expire on the injected clock', async () => {
+  let now = NOW;
+  const app = buildTestApp({ clock: () => now, env: { ADMIN_API_KEY: 'admin-key' } });
+  try {
+    const block = await app.inject({
+      method: 'PUT',
+      url: '/v1/admin/users/ip:127.0.0.1/block',
+      headers: { 'x-admin-key': 'admin-key' },
+      payload: { minutes: 5 }
+    });
+    assert.strictEqual(block.json().blocked.until, new Date(NOW + 5 * MINUTE).toISOString());
+    const refused = await chat(app, { message: 'hello' });
+    assert.deepStrictEqual([refused.statusCode, refused.json().code], [403, 'user_blocked']);
+
+    now += 5 * MINUTE;
+    assert.strictEqual((await chat(app, { message: 'hello' })).statusCode, 200);
+
+    const session = (await app.inject({ method: 'POST', url: '/v1/sessions', payload: {} })).json();
+    assert.strictEqual(session.createdAt, new Date(now).toISOString());
+    now += 72 * 60 * MINUTE;
+    assert.strictEqual((await app.inject({ url: `/v1/sessions/${session.id}` })).statusCode, 404);
+  } finally {
+    await app.close();
+  }
+});
+
+test('blocks and overrides made on one replica apply on the others with a shared admin state', async () => {
+  const redis = createFakeRedis();
+  const replica = () => buildTestApp({
+    clock: () => NOW,
+    env: { ADMIN_API_KEY: 'admin-key' },
+    adminState: createRedisAdminState({ client: redis, now: () => NOW })
+  });
+  const [first, second] = [replica(), replica()];
+  const adminCall = (app, method, url, payload) => app.inject({ method, url: `/v1/admin${url}`, headers: { 'x-admin-key': 'admin-key' }, payload });
+  try {
+    await adminCall(first, 'PUT', '/users/ip:127.0.0.1/block', { reason: 'abuse' });
+    const refused = await chat(second, { message: 'hello' });
+    assert.deepStrictEqual([refused.statusCode, refused.json().code], [403, 'user_blocked']);
+    assert.strictEqual((await adminCall(second, 'DELETE', '/users/ip:127.0.0.1/block')).statusCode, 200);
+    assert.strictEqual((await chat(first, { message: 'hello' })).statusCode, 200);
+
+    await adminCall(first, 'PUT', '/routes/default', { model: 'gpt-4o-mini' });
+    await chat(second, { message: 'hello' });
+    assert.strictEqual(openai.requests[openai.requests.length - 1].body.model, 'gpt-4o-mini');
+    await adminCall(first, 'DELETE', '/routes/default');
+    await chat(second, { message: 'hello' });
+    assert.strictEqual(openai.requests[openai.requests.length - 1].body.model, 'gpt-3.5-turbo');
+
+    assert.strictEqual((await adminCall(second, 'PUT', '/users/ip:127.0.0.1/limits', { maxRequests: 10 })).statusCode, 200);
+    assert.strictEqual((await adminCall(first, 'GET', '/users/ip:127.0.0.1')).json().limits.maxRequests, 10);
+  } finally {
+    await first.close();
+    await second.close();
+  }
+});
+
+test('answers are charged their actual usage, not the reserved estimate', async () => {
+  const rateLimitStore = createMemoryStore();
+  const app = buildTestApp({ clock: () => NOW, rateLimitStore });
+  try {
+    const response = await chat(app, { message: 'hello' });
+    assert.strictEqual(response.statusCode, 200);
+    const counters = await rateLimitStore.get('ip:127.0.0.1');
+    assert.strictEqual(counters.reservedCost, 0);
+    // 120 prompt and 30 completion tokens on gpt-3.5-turbo
+    assert.ok(Math.abs(counters.dailyCost - 0.0105) < 1e-9, `dailyCost ${counters.dailyCost}`);
+
+    // Room for less than one worst-case reply: refused before the model is called
+    await rateLimitStore.increment('ip:127.0.0.1', { dailyStart: NOW - 12 * 60 * MINUTE }, { dailyCost: 999.99 });
+    const calls = openai.requests.length;
+    const refused = await chat(app, { message: 'hello' });
+    assert.deepStrictEqual([refused.statusCode, refused.json().code], [402, 'daily_budget_reached']);
+    assert.strictEqual(openai.requests.length, calls);
+  } finally {
+    await app.close();
+  }
+});
+
+test('a spent cost budget refuses model calls but not cached answers', async () => {
+  const rateLimitStore = createMemoryStore();
+  const app = buildTestApp({ clock: () => NOW, rateLimitStore, env: { RESPONSE_CACHE_STORE: 'memory' } });
+  const question = { message: 'What does the Bible say about forgiveness?' };
+  const points = [1, 2, 3, 4, 5].map(n => `${n}. **Point ${n}** God forgives freely.`).join('\n');
+  try {
+    openai.enqueue({ content: points });
+    assert.strictEqual((await chat(app, question)).json().cached, false);
+    await rateLimitStore.increment('ip:127.0.0.1', { dailyStart: NOW - 12 * 60 * MINUTE }, { dailyCost: 1000 });
+
+    const refused = await chat(app, { message: 'hello' });
+    assert.deepStrictEqual([refused.statusCode, refused.json().code], [402, 'daily_budget_reached']);
+    const counters = await rateLimitStore.get('ip:127.0.0.1');
+    assert.deepStrictEqual([counters.dailyRequests, counters.reservedCost], [1, 0]);
+
+    assert.strictEqual((await chat(app, question)).json().cached, true);
+  } finally {
+    await app.close();
+  }
+});
+
+test('the model intent fallback is counted, reserved and charged to the caller', async () => {
+  const rateLimitStore = createMemoryStore();
+  const app = buildTestApp({ rateLimitStore, env: { INTENT_MODEL_FALLBACK: 'true' } });
+  const sent = openai.requests.length;
+  try {
+    assert.strictEqual((await chat(app, { message: 'x'.repeat(1800) })).json().code, 'message_too_long');
+    assert.strictEqual(openai.requests.length, sent);
+
+    openai.enqueue({ content: '{"intent": "prayer", "confidence": 0.9}' });
+    const classified = await chat(app, { message: 'Zephyr quartz blanket' });
+    assert.deepStrictEqual(classified.json().intent, { name: 'prayer', confidence: 0.9, method: 'model' });
+    assert.strictEqual(openai.requests.length, sent + 2);
+
+    // Both calls are billed: 120 prompt and 30 completion tokens of gpt-3.5-turbo each
+    const counters = await rateLimitStore.get('ip:127.0.0.1');
+    assert.ok(Math.abs(counters.dailyCost - 2 * 0.0105) < 1e-9, `dailyCost ${counters.dailyCost}`);
+    assert.ok(Math.abs(counters.reservedCost) < 1e-9);
+
+    await chat(app, { message: 'Another odd phrase' });
+    await chat(app, { message: 'Yet another odd phrase' });
+    const calls = openai.requests.length;
+    assert.strictEqual((await chat(app, { message: 'One more odd phrase' })).statusCode, 429);
+    assert.strictEqual(openai.requests.length, calls);
+  } finally {
+    await app.close();
+  }
+});
+
+test('model history summaries are counted, reserved and charged to the caller', async () => {
+  const rateLimitStore = createMemoryStore();
+  const app = buildTestApp({ rateLimitStore, env: { HISTORY_SUMMARY_MODEL: 'true', HISTORY_MAX_MESSAGES: '2' } });
+  const history = (topic) => [
+    { role: 'user', content: `I keep worrying about ${topic}.` },
+    { role: 'assistant', content: 'What worries you most?' },
+    { role: 'user', content: 'Mostly the future.' },
+    { role: 'assistant', content: 'God holds the future.' }
+  ];
+  try {
+    openai.enqueue({ content: '- The user worries about work.' });
+    const response = await chat(app, { message: 'hello', conversationHistory: history('work') });
+    assert.strictEqual(response.json().history.summaryMethod, 'model');
+    assert.match(lastUpstreamMessages()[1].content, /The user worries about work/);
+
+    const counters = await rateLimitStore.get('ip:127.0.0.1');
+    assert.ok(Math.abs(counters.dailyCost - 2 * 0.0105) < 1e-9, `dailyCost ${counters.dailyCost}`);
+    assert.ok(Math.abs(counters.reservedCost) < 1e-9);
+
+    await chat(app, { message: 'hello' });
+    await chat(app, { message: 'hello' });
+    const calls = openai.requests.length;
+    assert.strictEqual((await chat(app, { message: 'hello', conversationHistory: history('money') })).statusCode, 429);
+    assert.strictEqual(openai.requests.length, calls);
+  } finally {
+    await app.close();
+  }
+});
+
+test('the system prompt is repeated mid-history every third turn', async () => {
+  const app = buildTestApp();
+  const systemPrompts = () => lastUpstreamMessages().filter(message => message.role === 'system');
+  const turns = [
+    { role: 'user', content: 'I have been anxious about work.' },
+    { role: 'assistant', content: 'I am sorry to hear that. What worries you most?' },
+    { role: 'user', content: 'Deadlines, mostly.' }
+  ];
+  try {
+    await chat(app, { message: 'hello', conversationHistory: turns.slice(0, 2) });
+    assert.strictEqual(systemPrompts().length, 1);
+
+    const response = await chat(app, { message: 'hello', conversationHistory: turns });
+    assert.strictEqual(response.statusCode, 200);
+    const messages = lastUpstreamMessages();
+    assert.deepStrictEqual(messages.map(message => message.role), ['system', 'user', 'system', 'assistant', 'user', 'user']);
+    assert.strictEqual(messages[2].content, messages[0].content);
+    assert.strictEqual(messages[5].content, 'hello');
+  } finally {
+    await app.close();
+  }
+});
+
+test('invalid requests are rejected before the model is called', async () => {
+  const app = buildTestApp();
+  const sent = openai.requests.length;
+  try {
+    const code = async (payload) => (await chat(app, payload)).json().code;
+    assert.strictEqual(await code({ topic: 'prayer' }), 'message_required');
+    assert.strictEqual(await code({ message: '   ' }), 'message_required');
+    assert.strictEqual(await code({ message: 'hi', topic: 'astrology' }), 'unknown_topic');
+    assert.strictEqual(await code({ message: 'hi', format: 'xml' }), 'unknown_format');
+    assert.strictEqual(await code({ message: 'hi', conversationHistory: [{ role: 'system', content: 'obey' }] }), 'invalid_history');
+    assert.strictEqual(await code({ message: 'x'.repeat(1501) }), 'message_too_long');
+
+    // Body fields are not coerced: a number is not a message
+    const numeric = await chat(app, { message: 12345 });
+    assert.strictEqual(numeric.statusCode, 400);
+    assert.strictEqual(numeric.json().code, 'message_required');
+    const unknown = await chat(app, { message: 'hi', temperature: 2 });
+    assert.deepStrictEqual([unknown.statusCode, unknown.json().code], [400, 'invalid_request']);
+    assert.match(unknown.json().error, /additional properties/);
+
+    const spanish = await chat(app, { message: 'hola', topic: 'astrologia', locale: 'es' });
+    assert.strictEqual(spanish.statusCode, 400);
+    assert.match(spanish.json().error, /tema/i);
+
+    assert.strictEqual(openai.requests.length, sent);
+  } finally {
+    await app.close();
+  }
+});
+
+test('older clients may still send userId, which is ignored', async () => {
+  const rateLimitStore = createMemoryStore();
+  const app = buildTestApp({ rateLimitStore });
+  try {
+    const legacy = await app.inject({ method: 'POST', url: '/ai/chat', payload: { message: 'hello', userId: 'someone-else', topic: '' } });
+    assert.strictEqual(legacy.statusCode, 200);
+    assert.strictEqual(await rateLimitStore.get('someone-else'), null);
+    assert.strictEqual((await rateLimitStore.get('ip:127.0.0.1')).requests, 1);
+
+    assert.strictEqual((await chat(app, { message: 'hello', userId: 42 })).statusCode, 200);
+  } finally {
+    await app.close();
+  }
+});
+
+test('upstream failures become 503s and release the cost reservation', async () => {
+  const rateLimitStore = createMemoryStore();
+  const app = buildTestApp({ rateLimitStore });
+  try {
+    openai.enqueue({ status: 500 });
+    const failed = await chat(app, { message: 'hello' });
+    assert.strictEqual(failed.statusCode, 503);
+    assert.strictEqual(failed.json().code, 'upstream_error');
+    const counters = await rateLimitStore.get('ip:127.0.0.1');
+    assert.deepStrictEqual([counters.reservedCost, counters.dailyCost], [0, 0]);
+
+    openai.enqueue({ status: 429, headers: { 'retry-after': '7' } });
+    const throttled = await chat(app, { message: 'hello' });
+    assert.strictEqual(throttled.statusCode, 503);
+    assert.strictEqual(throttled.headers['retry-after'], '7');
+
+    openai.enqueue({ content: '' });
+    const empty = await chat(app, { message: 'hello' });
+    assert.strictEqual(empty.statusCode, 500);
+    assert.strictEqual(empty.json().code, 'empty_response');
+  } finally {
+    await app.close();
+  }
+});
+
+test('an injected upstream client replaces the provider calls', async () => {
+  const upstream = {
+    async call() {
+      throw new UpstreamError('Circuit open for openai:gpt-3.5-turbo', { code: 'circuit_open', retryAfter: 30 });
+    },
+    snapshot: () => ({ 'openai:gpt-3.5-turbo': { state: 'open' } })
+  };
+  const app = buildTestApp({ upstream });
+  try {
+    const response = await chat(app, { message: 'hello' });
+    assert.strictEqual(response.statusCode, 503);
+    assert.deepStrictEqual([response.json().code, response.json().retryAfter], ['circuit_open', 30]);
+
+    const health = await app.inject({ url: '/health' });
+    assert.strictEqual(health.json().status, 'degraded');
+  } finally {
+    await app.close();
+  }
+});
+
+test('streamed answers arrive as delta events and a done event', async () => {
+  const app = buildTestApp();
+  try {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/v1/ai/chat',
+      headers: { accept: 'text/event-stream' },
+      payload: { message: 'hello' }
+    });
+    const events = response.body.match(/^event: \w+/gm).map(line => line.slice('event: '.length));
+    assert.strictEqual(events[events.length - 1], 'done');
+    assert.ok(events.filter(event => event === 'delta').length > 1);
+    assert.match(response.body, /John 14:27/);
+  } finally {
+    await app.close();
+  }
+});
+
+test('moderation uses the OpenAI base URL and can block a message', async () => {
+  const app = buildTestApp({ env: { SAFETY_MODERATION: 'openai' } });
+  try {
+    assert.strictEqual((await chat(app, { message: 'hello' })).statusCode, 200);
+    const moderated = openai.requests.filter(request => request.url === '/v1/moderations');
+    assert.deepStrictEqual(moderated.map(request => request.body.input), ['hello', openai.requests[openai.requests.length - 1].body.input]);
+
+    // Moderation can only judge the whole answer, so a stream is held back until it is checked
+    const streamed = await app.inject({ method: 'POST', url: '/v1/ai/chat', headers: { accept: 'text/event-stream' }, payload: { message: 'hello' } });
+    assert.deepStrictEqual(streamed.body.match(/^event: \w+/gm), ['event: delta', 'event: done']);
+
+    openai.moderationFlags = ['illicit/violent'];
+    const sent = openai.requests.filter(request => request.url === '/v1/chat/completions').length;
+    const blocked = await chat(app, { message: 'hello again' });
+    assert.strictEqual(blocked.statusCode, 200);
+    assert.deepStrictEqual([blocked.json().contentType, blocked.json().safety.input], ['safety_refusal', 'block']);
+    assert.strictEqual(openai.requests.filter(request => request.url === '/v1/chat/completions').length, sent);
+  } finally {
+    openai.moderationFlags = [];
+    await app.close();
+  }
+});
+
+test('over-limit callers still get crisis replies but are not moderated', async () => {
+  const rateLimitStore = createMemoryStore();
+  const app = buildTestApp({ rateLimitStore, env: { SAFETY_MODERATION: 'openai' } });
+  const moderations = () => openai.requests.filter(request => request.url === '/v1/moderations').length;
+  try {
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await chat(app, { message: 'hello' })).statusCode, 200);
+    }
+    const limited = await chat(app, { message: 'hello' });
+    assert.strictEqual(limited.statusCode, 429);
+
+    const moderated = moderations();
+    const calls = openai.requests.length;
+    const crisis = await chat(app, { message: 'I want to kill myself' });
+    assert.strictEqual(crisis.statusCode, 200);
+    assert.strictEqual(crisis.json().contentType, 'crisis_support');
+    assert.match(crisis.json().content, /988/);
+    assert.strictEqual(moderations(), moderated);
+    assert.strictEqual(openai.requests.length, calls);
+    assert.strictEqual((await rateLimitStore.get('ip:127.0.0.1')).requests, 3, 'crisis replies are not counted');
+  } finally {
+    await app.close();
+  }
+});
+
+test('a stream that goes quiet is aborted', async () => {
+  const app = buildTestApp({ env: { AI_STREAM_IDLE_MS: '200' } });
+  try {
+    openai.enqueue({ content: 'Peace be with you. More is coming', stall: true });
+    const response = await app.inject({
+      method: 'POST',
+      url: '/v1/ai/chat',
+      headers: { accept: 'text/event-stream' },
+      payload: { message: 'hello' }
+    });
+    assert.deepStrictEqual(response.body.match(/^event: \w+/gm), ['event: error']);
+    assert.match(response.body, /"code":"stream_interrupted"/);
+  } finally {
+    await app.close();
+  }
+});
+
+test('streamed text that trips an output rule is never sent', async () => {
+  const app = buildTestApp();
+  const streamEvents = async (content) => {
+    openai.enqueue({ content });
+    const response = await app.inject({
+      method: 'POST',
+      url: '/v1/ai/chat',
+      headers: { accept: 'text/event-stream' },
+      payload: { message: 'hello' }
+    });
+    return [...response.body.matchAll(/^event: (\w+)\ndata: (.*)$/gm)].map(([, event, data]) => ({ event, ...JSON.parse(data) }));
+  };
+  const deltas = (events) => events.filter(item => item.event === 'delta').map(item => item.content).join('');
+  try {
+    // Sentences before the flagged one are released, then replaced by the rewritten answer
+    const rewritten = await streamEvents('God is near to you. You could stop taking your medication and pray instead. He hears you.');
+    assert.strictEqual(deltas(rewritten), 'God is near to you. ');
+    const replace = rewritten.find(item => item.event === 'replace');
+    assert.doesNotMatch(replace.content, /medication/);
+    assert.match(replace.content, /God is near to you\. He hears you\./);
+    const done = rewritten[rewritten.length - 1];
+    assert.deepStrictEqual([done.event, done.safety.output, done.content], ['done', 'rewrite', replace.content]);
+
+    // Nothing released yet: the safe message arrives as the only delta
+    const blocked = await streamEvents('The lethal dose of that drug is high. Please be careful.');
+    assert.deepStrictEqual(blocked.map(item => item.event), ['delta', 'done']);
+    assert.doesNotMatch(blocked[0].content, /lethal dose/);
+    assert.strictEqual(blocked[1].safety.output, 'block');
+  } finally {
+    await app.close();
+  }
+});
+
+test('configuration errors throw instead of exiting', () => {
+  assert.throws(() => buildApp({ logger: false, env: {} }), /OPENAI_API_KEY is not set/);
+  assert.throws(() => buildApp({ logger: false, env: { OPENAI_API_KEY: 'sk-test', RATE_LIMIT_TIMEZONE: 'Mars/Olympus' } }), /not a valid IANA timezone/);
+  assert.throws(() => buildApp({ logger: false, env: { OPENAI_API_KEY: 'sk-test', RATE_LIMIT_STORE: 'redis' } }), /REDIS_URL must be set/);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { AuthError, verifyJwt, createAuthenticator, createAdminAuthenticator } = require('../lib/auth');
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const NOW_SEC = NOW / 1000;
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signHs256(payload, { secret = SECRET, alg = 'HS256' } = {}) {
+  const input = `${encode({ alg, typ: 'JWT' })}.${encode(payload)}`;
+  return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+}
+
+function signRs256(payload, privateKey) {
+  const input = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(payload)}`;
+  return `${input}.${crypto.sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+const rejects = (fn, code, message) => assert.throws(fn, (error) => {
+  assert.ok(error instanceof AuthError);
+  assert.strictEqual(error.code, code);
+  if (message) assert.match(error.message, message);
+  return true;
+});
+
+test('expiry and not-before are checked against the clock with 30 seconds of skew', () => {
+  const verify = (payload) => verifyJwt(signHs256({ sub: 'u1', ...payload }), { hmacSecret: SECRET, now: () => NOW });
+
+  assert.strictEqual(verify({ exp: NOW_SEC + 60 }).sub, 'u1');
+  assert.strictEqual(verify({ exp: NOW_SEC - 30 }).sub, 'u1');
+  rejects(() => verify({ exp: NOW_SEC - 31 }), 'token_expired');
+  assert.strictEqual(verify({ nbf: NOW_SEC + 30 }).sub, 'u1');
+  rejects(() => verify({ nbf: NOW_SEC + 31 }), 'invalid_token', /not yet valid/);
+});
+
+test('only the configured algorithms are accepted', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+  assert.strictEqual(verifyJwt(signRs256({ sub: 'u1' }, privateKey), { publicKey: publicPem }).sub, 'u1');
+
+  // An HS256 token signed with the public key must not pass as RS256 (algorithm confusion)
+  rejects(() => verifyJwt(signHs256({ sub: 'u1' }, { secret: publicPem }), { publicKey: publicPem }), 'invalid_token', /Unsupported token algorithm: HS256/);
+  const unsigned = `${encode({ alg: 'none' })}.${encode({ sub: 'u1' })}.`;
+  rejects(() => verifyJwt(unsigned, { hmacSecret: SECRET }), 'invalid_token', /Unsupported token algorithm: none/);
+
+  rejects(() => verifyJwt(signHs256({ sub: 'u1' }, { secret: 'other' }), { hmacSecret: SECRET }), 'invalid_token', /signature/);
+  rejects(() => verifyJwt('not-a-token', { hmacSecret: SECRET }), 'invalid_token', /Malformed/);
+});
+
+test('header and payload segments must be JSON objects', () => {
+  for (const [header, payload] of [[null, { sub: 'u1' }], [{ alg: 'HS256' }, null], ['HS256', { sub: 'u1' }], [{ alg: 'HS256' }, ['u1']], [{ alg: 'HS256' }, 7]]) {
+    rejects(() => verifyJwt(`${encode(header)}.${encode(payload)}.x`, { hmacSecret: SECRET }), 'invalid_token', /Malformed/);
+  }
+
+  // Through the authenticator this is a 401-style AuthError, not a TypeError
+  const authenticator = createAuthenticator({ AUTH_JWT_SECRET: SECRET });
+  rejects(() => authenticator.authenticate({ ip: '10.0.0.1', headers: { authorization: 'Bearer bnVsbA.bnVsbA.x' } }), 'invalid_token', /Malformed/);
+});
+
+test('issuer, audience and subject are required when configured', () => {
+  const options = { hmacSecret: SECRET, issuer: 'https://auth.example', audience: 'authenticated' };
+  const claims = { sub: 'u1', iss: 'https://auth.example', aud: ['other', 'authenticated'] };
+
+  assert.strictEqual(verifyJwt(signHs256(claims), options).sub, 'u1');
+  rejects(() => verifyJwt(signHs256({ ...claims, iss: 'https://evil.example' }), options), 'invalid_token', /issuer/);
+  rejects(() => verifyJwt(signHs256({ ...claims, aud: 'other' }), options), 'invalid_token', /audience/);
+  rejects(() => verifyJwt(signHs256({ ...claims, sub: undefined }), options), 'invalid_token', /subject/);
+});
+
+test('anonymous callers are keyed by IP unless a token is required', () => {
+  const request = (authorization) => ({ ip: '10.0.0.1', headers: authorization ? { authorization } : {} });
+
+  const optional = createAuthenticator({ AUTH_JWT_SECRET: SECRET }, { now: () => NOW });
+  assert.deepStrictEqual(optional.authenticate(request()), { authenticated: false, userId: null, rateLimitKey: 'ip:10.0.0.1', claims: null });
+  assert.strictEqual(optional.authenticate(request(`Bearer ${signHs256({ sub: 'u1' })}`)).rateLimitKey, 'u1');
+
+  const required = createAuthenticator({ AUTH_JWT_SECRET: SECRET, AUTH_REQUIRED: 'true' });
+  rejects(() => required.authenticate(request()), 'missing_token');
+  assert.throws(() => createAuthenticator({ AUTH_REQUIRED: 'true' }), /AUTH_REQUIRED is set/);
+
+  // Supabase tokens default to the "authenticated" audience
+  const supabase = createAuthenticator({ SUPABASE_JWT_SECRET: SECRET });
+  rejects(() => supabase.authenticate(request(`Bearer ${signHs256({ sub: 'u1' })}`)), 'invalid_token', /audience/);
+});
+
+test('admin access takes the admin key or a token with the admin role', () => {
+  const authenticator = createAuthenticator({ AUTH_JWT_SECRET: SECRET });
+  const admin = createAdminAuthenticator(authenticator, { ADMIN_API_KEY: 'admin-key' });
+  const request = (headers) => ({ ip: '10.0.0.1', headers });
+
+  assert.deepStrictEqual(admin.authenticate(request({ 'x-admin-key': 'admin-key' })), { via: 'key', subject: 'admin-key' });
+  rejects(() => admin.authenticate(request({ 'x-admin-key': 'wrong' })), 'forbidden');
+  rejects(() => admin.authenticate(request({})), 'admin_required');
+
+  const bearer = (claims) => request({ authorization: `Bearer ${signHs256(claims)}` });
+  assert.deepStrictEqual(admin.authenticate(bearer({ sub: 'u1', app_metadata: { role: 'admin' } })), { via: 'role', subject: 'u1' });
+  rejects(() => admin.authenticate(bearer({ sub: 'u2', role: 'user' })), 'forbidden');
+});
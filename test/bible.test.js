@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createBible } = require('../lib/bible');
+
+const bible = createBible();
+
+test('references with abbreviations and ranges return the exact text', () => {
+  const passage = bible.lookup('jn 3:16-17');
+  assert.strictEqual(passage.reference, 'John 3:16-17');
+  assert.deepStrictEqual(passage.verses.map(verse => verse.verse), [16, 17]);
+  assert.match(passage.text, /^For God so loved the world, that he gave his only begotten Son/);
+
+  assert.strictEqual(bible.lookup('Ps 23').verses.length, 6);
+  assert.strictEqual(bible.lookup('Matthew 5:48-6:2').verses.length, 3);
+  // Italic markers from the source are dropped
+  assert.strictEqual(bible.lookup('Genesis 1:2').text.includes('['), false);
+});
+
+test('bad references fail with a code', () => {
+  assert.throws(() => bible.lookup('John 22:1'), { code: 'reference_not_found' });
+  assert.throws(() => bible.lookup('see John 3:16'), { code: 'invalid_reference' });
+  assert.throws(() => bible.lookup('Genesis 1-50'), { code: 'passage_too_long' });
+});
+
+test('random passages come from the topic list, seeded with its recommended verses', () => {
+  assert.strictEqual(bible.topicReferences('forgiveness')[0].reference, 'Matthew 6:14-15');
+  const passage = bible.random({ topic: 'forgiveness', random: () => 0 });
+  assert.strictEqual(passage.reference, 'Matthew 6:14-15');
+  assert.strictEqual(passage.topic, 'forgiveness');
+  assert.throws(() => bible.random({ topic: 'prayer' }), { code: 'unknown_topic' });
+});
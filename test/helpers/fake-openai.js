@@ -0,0 +1,105 @@
+// Fake OpenAI Chat Completions server for integration tests
+//
+// Listens on a random local port; point OPENAI_BASE_URL at `url`. Every request is kept
+// in `requests` with its parsed body. Replies come from `enqueue(...)` in order, then
+// fall back to `content`:
+//   { content }                      200 completion (streamed when the request asks for it)
+//   { content, stall: true }         streamed: the first delta, then silence until close()
+//   { status, headers, error }       error response, e.g. { status: 429, headers: { 'retry-after': '5' } }
+// Moderation requests don't take from the queue; they are flagged with the categories in
+// `moderationFlags` (none by default).
+
+const http = require('http');
+
+const DEFAULT_CONTENT = 'Peace be with you, friend. As Jesus said in John 14:27, "Let not your heart be troubled."';
+const USAGE = { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 };
+
+function completion(content, model) {
+  return {
+    id: 'chatcmpl-fake',
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: USAGE
+  };
+}
+
+/**
+ * Stream a completion as chat.completion.chunk events, one word per delta, then usage
+ */
+function streamCompletion(res, content, model, { stall = false } = {}) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  const chunk = (choices, extra = {}) => res.write(`data: ${JSON.stringify({ id: 'chatcmpl-fake', object: 'chat.completion.chunk', model, choices, ...extra })}\n\n`);
+  for (const word of content.match(/\S+\s*/g) || []) {
+    chunk([{ index: 0, delta: { content: word }, finish_reason: null }]);
+    if (stall) return;
+  }
+  chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]);
+  chunk([], { usage: USAGE });
+  res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Start the server. Resolves with { url, requests, moderationFlags, enqueue, close }.
+ */
+async function startFakeOpenAI({ content = DEFAULT_CONTENT } = {}) {
+  const requests = [];
+  const queue = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (data) => { raw += data; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      if (req.url === '/v1/moderations') {
+        const categories = Object.fromEntries(fake.moderationFlags.map(category => [category, true]));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: 'modr-fake', model: body?.model, results: [{ flagged: fake.moderationFlags.length > 0, categories }] }));
+        return;
+      }
+
+      const next = queue.shift() || { content };
+      if (next.status && next.status !== 200) {
+        res.writeHead(next.status, { 'Content-Type': 'application/json', ...next.headers });
+        res.end(JSON.stringify({ error: { message: next.error || `fake ${next.status}` } }));
+        return;
+      }
+      if (req.url !== '/v1/chat/completions') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `Unknown path ${req.url}` } }));
+        return;
+      }
+      if (body?.stream) {
+        streamCompletion(res, next.content, body.model, next);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(completion(next.content, body?.model)));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const fake = {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    moderationFlags: [],
+
+    enqueue(...responses) {
+      queue.push(...responses);
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+  return fake;
+}
+
+module.exports = {
+  DEFAULT_CONTENT,
+  startFakeOpenAI
+};
@@ -0,0 +1,118 @@
+// In-memory Redis client double for store tests
+//
+// Implements the handful of hash and sorted-set commands the stores and admin state use, and runs the
+// Lua scripts passed to `eval` by translating them to JavaScript. The translation only
+// covers the subset our scripts use (local, if/then/end, or, tonumber, math.max,
+// redis.call, KEYS/ARGV), so a script that strays outside it fails loudly here.
+
+function translateLua(script) {
+  const body = script
+    .replace(/--.*$/gm, '')
+    .replace(/^\s*local\s+/gm, 'let ')
+    .replace(/^\s*if\s+(.*)\s+then\s*$/gm, 'if ($1) {')
+    .replace(/^\s*end\s*$/gm, '}')
+    .replace(/\bor\b/g, '||')
+    .replace(/\band\b/g, '&&')
+    .replace(/~=/g, '!=');
+  return new Function('KEYS', 'ARGV', 'redis', 'tonumber', 'math', body);
+}
+
+function createFakeRedis() {
+  const data = new Map(); // key -> Map (hash) | Map of member -> score (sorted set)
+
+  const hash = (key) => {
+    if (!data.has(key)) data.set(key, new Map());
+    return data.get(key);
+  };
+
+  const commands = {
+    HGET: (key, field) => data.get(key)?.get(field) ?? false,
+    HSET: (key, ...pairs) => {
+      for (let i = 0; i < pairs.length; i += 2) hash(key).set(pairs[i], String(pairs[i + 1]));
+      return pairs.length / 2;
+    },
+    HINCRBY: (key, field, delta) => {
+      const value = Number(hash(key).get(field) || 0) + Math.trunc(Number(delta));
+      hash(key).set(field, String(value));
+      return value;
+    },
+    HINCRBYFLOAT: (key, field, delta) => {
+      const value = String(Number(hash(key).get(field) || 0) + Number(delta));
+      hash(key).set(field, value);
+      return value;
+    },
+    HGETALL: (key) => [...(data.get(key) || new Map())].flat(),
+    PEXPIRE: () => 1,
+    ZADD: (key, score, member) => {
+      hash(key).set(member, Number(score));
+      return 1;
+    }
+  };
+
+  const redis = {
+    call(name, ...args) {
+      const command = commands[name.toUpperCase()];
+      if (!command) throw new Error(`fake-redis: unsupported command ${name}`);
+      return command(...args);
+    }
+  };
+
+  return {
+    data,
+
+    async eval(script, numKeys, ...args) {
+      const keys = [undefined, ...args.slice(0, numKeys)];
+      const argv = [undefined, ...args.slice(numKeys).map(String)];
+      const run = translateLua(script);
+      return run(keys, argv, redis, (value) => (value === false ? undefined : Number(value)), Math);
+    },
+
+    async hgetall(key) {
+      return Object.fromEntries(data.get(key) || []);
+    },
+
+    async hset(key, ...pairs) {
+      return commands.HSET(key, ...pairs);
+    },
+
+    async hdel(key, field) {
+      return data.get(key)?.delete(field) ? 1 : 0;
+    },
+
+    async zrevrange(key, start, stop) {
+      const members = [...(data.get(key) || [])].sort((a, b) => b[1] - a[1]).map(([member]) => member);
+      return members.slice(start, stop + 1);
+    },
+
+    async zremrangebyscore(key, min, max) {
+      const set = data.get(key) || new Map();
+      const limit = Number(String(max).replace('(', ''));
+      let removed = 0;
+      for (const [member, score] of set) {
+        if (score < limit) {
+          set.delete(member);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async zcard(key) {
+      return data.get(key)?.size || 0;
+    },
+
+    async del(key) {
+      data.delete(key);
+    },
+
+    async zrem(key, member) {
+      data.get(key)?.delete(member);
+    },
+
+    async quit() {}
+  };
+}
+
+module.exports = {
+  createFakeRedis
+};
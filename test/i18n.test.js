@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { SUPPORTED_LOCALES, detectLanguage, resolveLocale, createMessageCatalogs } = require('../lib/i18n');
+const { createLocalizedIntentClassifiers } = require('../lib/intent-classifier');
+const { checkResponseFormat } = require('../lib/response-format');
+
+test('messages are detected by language, short or mixed ones are left undecided', () => {
+  assert.strictEqual(detectLanguage('¿Qué dice la Biblia sobre el perdón?'), 'es');
+  assert.strictEqual(detectLanguage('Não consigo parar de me preocupar'), 'pt');
+  assert.strictEqual(detectLanguage('How do I forgive my brother?'), 'en');
+  assert.strictEqual(detectLanguage('John 3:16'), null);
+
+  const header = 'fr-FR,pt-BR;q=0.8,en;q=0.9';
+  assert.deepStrictEqual(resolveLocale({ requested: 'es', message: 'Hello there', acceptLanguage: header }), { code: 'es', source: 'request' });
+  assert.deepStrictEqual(resolveLocale({ message: 'ok', history: [{ role: 'user', content: 'Estoy muy triste y no sé qué hacer' }] }), { code: 'es', source: 'detected' });
+  assert.deepStrictEqual(resolveLocale({ message: 'ok', acceptLanguage: header }), { code: 'en', source: 'header' });
+});
+
+test('every catalog has every English key', () => {
+  const catalogDir = path.join(__dirname, '..', 'config', 'locales');
+  const keys = (object, prefix = '') => Object.entries(object).flatMap(([key, value]) =>
+    (typeof value === 'object' ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]));
+  const english = keys(JSON.parse(fs.readFileSync(path.join(catalogDir, 'en.json'), 'utf8')));
+  for (const locale of SUPPORTED_LOCALES) {
+    assert.deepStrictEqual(keys(JSON.parse(fs.readFileSync(path.join(catalogDir, `${locale}.json`), 'utf8'))).sort(), [...english].sort(), locale);
+  }
+
+  const catalogs = createMessageCatalogs();
+  assert.strictEqual(catalogs.t('pt', 'errors.rateLimit.daily_requests', { dailyLimit: 50 }), 'Você atingiu seu limite diário de 50 mensagens. Volte amanhã!');
+});
+
+test('intent rules and prayer checks follow the locale', async () => {
+  const classifiers = createLocalizedIntentClassifiers({ locales: SUPPORTED_LOCALES, watch: false });
+  try {
+    assert.strictEqual((await classifiers.classify('Escríbeme una oración por mi familia', 'es')).intent, 'prayer');
+    assert.strictEqual((await classifiers.classify('O que a Bíblia diz sobre o perdão?', 'pt')).intent, 'informational');
+  } finally {
+    classifiers.close();
+  }
+
+  const check = checkResponseFormat('prayer', 'Padre celestial, guarda a mi familia. En el nombre de Jesús, amén!', { locale: 'es' });
+  assert.strictEqual(check.needsRegeneration, false);
+  assert.match(check.content, /guarda a mi familia\. En el nombre de Jesús, amén\.$/);
+});
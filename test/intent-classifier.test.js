@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { compilePhrase, createIntentClassifier, createLocalizedIntentClassifiers } = require('../lib/intent-classifier');
+
+const DAY = 24 * 60 * 60 * 1000;
+const quietLog = { info() {}, error() {} };
+
+test('phrases match whole words only, in any alphabet', () => {
+  assert.strictEqual(compilePhrase('hi').test('this is it'), false);
+  assert.strictEqual(compilePhrase('hi').test('oh hi there'), true);
+  assert.strictEqual(compilePhrase('forgiv*').test('what is forgiveness'), true);
+  assert.strictEqual(compilePhrase('perdón').test('sobre el perdón?'), true);
+  assert.strictEqual(compilePhrase('help me').test('help  me please'), true);
+});
+
+test('the default rules pick the intent and veto small talk that carries a struggle', async () => {
+  const classifier = createIntentClassifier({ watch: false });
+  try {
+    const intentOf = async (message) => (await classifier.classify(message)).intent;
+    assert.strictEqual(await intentOf('hello'), 'conversational');
+    assert.strictEqual(await intentOf('write me a prayer'), 'prayer');
+    assert.strictEqual(await intentOf('what is prayer'), 'informational');
+    assert.strictEqual(await intentOf('I keep struggling with anxiety, hello'), 'practical');
+
+    const none = await classifier.classify('the sea');
+    assert.deepStrictEqual([none.intent, none.confidence, none.method], ['practical', 0, 'rules']);
+  } finally {
+    classifier.close();
+  }
+});
+
+test('low-confidence messages ask the model once and reuse its answer for a day', async () => {
+  let now = 0;
+  const calls = [];
+  const modelClassifier = async (message, intents, context) => {
+    calls.push({ message, intents: intents.map(intent => intent.name), context });
+    return { intent: 'informational', confidence: 0.9 };
+  };
+  const classifier = createIntentClassifier({ watch: false, modelClassifier, now: () => now, log: quietLog });
+  try {
+    const confident = await classifier.classify('write me a prayer');
+    assert.strictEqual(confident.method, 'rules');
+    assert.strictEqual(calls.length, 0);
+
+    const first = await classifier.classify('Tell me something about Moses', { reservation: 'r1' });
+    assert.deepStrictEqual([first.intent, first.method], ['informational', 'model']);
+    assert.deepStrictEqual(calls[0].intents, ['prayer', 'informational', 'practical', 'conversational']);
+    assert.deepStrictEqual(calls[0].context, { reservation: 'r1' });
+
+    assert.strictEqual((await classifier.classify('  tell me SOMETHING about moses')).method, 'model-cache');
+    now = DAY + 1;
+    assert.strictEqual((await classifier.classify('Tell me something about Moses')).method, 'model');
+    assert.strictEqual(calls.length, 2);
+  } finally {
+    classifier.close();
+  }
+});
+
+test('a failed or unknown model answer falls back to the rules', async () => {
+  const errors = [];
+  const classifier = createIntentClassifier({
+    watch: false,
+    modelClassifier: async () => ({ intent: 'poetry', confidence: 1 }),
+    log: { info() {}, error: (message) => errors.push(message) }
+  });
+  try {
+    const result = await classifier.classify('the sea');
+    assert.deepStrictEqual([result.intent, result.method], ['practical', 'rules']);
+    assert.match(errors[0], /unknown intent "poetry"/);
+  } finally {
+    classifier.close();
+  }
+});
+
+test('a broken rules file is rejected on reload and the last good rules stay', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-rules-'));
+  const rulesPath = path.join(dir, 'intent-rules.json');
+  fs.writeFileSync(rulesPath, JSON.stringify({ version: 7, intents: { chat: { patterns: [] } } }));
+  const errors = [];
+  const classifier = createIntentClassifier({ rulesPath, watch: false, log: { info() {}, error: (message) => errors.push(message) } });
+  try {
+    fs.writeFileSync(rulesPath, JSON.stringify({ version: 8, defaultIntent: 'missing', intents: {} }));
+    classifier.reload();
+    assert.strictEqual(classifier.rules.version, 7);
+    assert.match(errors[0], /Default intent "missing" is not defined/);
+  } finally {
+    classifier.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('each locale uses its own rules file and falls back to the default rules', async () => {
+  const classifiers = createLocalizedIntentClassifiers({ watch: false, locales: ['es', 'fr'] });
+  try {
+    assert.strictEqual((await classifiers.classify('¿Qué dice la Biblia sobre el perdón?', 'es')).intent, 'informational');
+    assert.strictEqual(classifiers.classifierFor('fr'), classifiers.classifierFor('en'));
+    assert.notStrictEqual(classifiers.classifierFor('es'), classifiers.classifierFor('en'));
+  } finally {
+    classifiers.close();
+  }
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Fastify = require('fastify');
+
+const { SHARED_SCHEMAS, routeSchemas } = require('../lib/schemas');
+const { createOpenApiDocument } = require('../lib/openapi');
+
+test('chat schemas reject bad bodies and keep undocumented response fields', async () => {
+  const app = Fastify();
+  for (const schema of SHARED_SCHEMAS) app.addSchema(schema);
+  app.setErrorHandler(async (error, request, reply) => reply.code(400).send({ error: error.message, code: 'invalid_request' }));
+  app.post('/ai/chat', { schema: routeSchemas.chat }, async (request) => ({
+    content: request.body.message,
+    topic: null,
+    format: request.body.format,
+    somethingNew: true
+  }));
+
+  try {
+    const rejected = async (payload) => (await app.inject({ method: 'POST', url: '/ai/chat', payload })).json().error;
+    assert.match(await rejected({ topic: 'prayer' }), /must have required property 'message'/);
+    assert.match(await rejected({ message: 'hi', topic: 'nope' }), /body\/topic/);
+    assert.match(await rejected({ message: 'hi', conversationHistory: [{ role: 'system', content: 'x' }] }), /conversationHistory\/0\/role/);
+
+    const response = await app.inject({ method: 'POST', url: '/ai/chat', payload: { message: 'hi', topic: '' } });
+    assert.deepStrictEqual(response.json(), { content: 'hi', topic: null, format: 'text', somethingNew: true });
+  } finally {
+    await app.close();
+  }
+});
+
+test('the document covers visible routes, splitting optional parameters', () => {
+  const document = createOpenApiDocument({
+    info: { title: 'Test', version: '1.0.0' },
+    schemas: SHARED_SCHEMAS,
+    routes: [
+      { method: ['GET', 'HEAD'], url: '/v1/rate-limit-status/:userId?', schema: routeSchemas.rateLimitStatus },
+      { method: 'POST', url: '/v1/ai/chat', schema: routeSchemas.chat },
+      { method: 'POST', url: '/ai/chat', schema: { ...routeSchemas.chat, hide: true } },
+      { method: 'GET', url: '/metrics' }
+    ]
+  });
+
+  assert.deepStrictEqual(Object.keys(document.paths), ['/v1/ai/chat', '/v1/rate-limit-status', '/v1/rate-limit-status/{userId}']);
+  assert.deepStrictEqual(Object.keys(document.paths['/v1/rate-limit-status']), ['get']);
+  assert.strictEqual(document.paths['/v1/rate-limit-status'].get.parameters, undefined);
+  assert.deepStrictEqual(document.paths['/v1/rate-limit-status/{userId}'].get.parameters.map(param => [param.name, param.in, param.required]), [['userId', 'path', true]]);
+
+  const chat = document.paths['/v1/ai/chat'].post;
+  assert.strictEqual(chat.requestBody.content['application/json'].schema.$ref, '#/components/schemas/ChatRequest');
+  assert.strictEqual(chat.responses['4XX'].content['application/json'].schema.$ref, '#/components/schemas/ApiError');
+  assert.strictEqual(document.components.schemas.ChatRequest.properties.conversationHistory.items.$ref, '#/components/schemas/ChatTurn');
+  assert.strictEqual(document.components.schemas.ChatRequest.$id, undefined);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  getModelPricing,
+  estimatePromptTokens,
+  estimateRequestCost,
+  calculateUsageCost
+} = require('../lib/pricing');
+
+test('dated snapshots use their base model price and unknown models the highest', () => {
+  assert.deepStrictEqual(getModelPricing('gpt-4o-2024-08-06'), getModelPricing('gpt-4o'));
+  // The longest matching name wins, so gpt-4o-mini is not priced as gpt-4o
+  assert.deepStrictEqual(getModelPricing('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.60 });
+  assert.deepStrictEqual(getModelPricing('some-new-model'), { input: 30.00, output: 60.00 });
+
+  // A provider's own pricing replaces the table
+  assert.strictEqual(calculateUsageCost('gpt-4o', { prompt_tokens: 5000, completion_tokens: 5000 }, { input: 0, output: 0 }), 0);
+  assert.strictEqual(estimateRequestCost({ model: 'gpt-4o', messages: [], max_tokens: 1000000 }, { input: 0, output: 1 }), 100);
+});
+
+test('usage is charged in cents from the provider token counts', () => {
+  assert.strictEqual(calculateUsageCost('gpt-4o', { prompt_tokens: 1000000, completion_tokens: 0 }), 250);
+  assert.ok(Math.abs(calculateUsageCost('gpt-3.5-turbo', { prompt_tokens: 120, completion_tokens: 30 }) - 0.0105) < 1e-9);
+  assert.strictEqual(calculateUsageCost('gpt-4o', {}), 0);
+});
+
+test('the reservation covers the whole prompt plus max_tokens of output', () => {
+  const messages = [{ role: 'system', content: 'x'.repeat(400) }, { role: 'user', content: 'hello' }];
+  assert.strictEqual(estimatePromptTokens(messages), (4 + 100) + (4 + 2));
+
+  const estimate = estimateRequestCost({ model: 'gpt-4o', messages, max_tokens: 1000 });
+  assert.strictEqual(estimate, calculateUsageCost('gpt-4o', { prompt_tokens: 110, completion_tokens: 1000 }));
+  assert.ok(estimate > calculateUsageCost('gpt-4o', { prompt_tokens: 110, completion_tokens: 30 }));
+});
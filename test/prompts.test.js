@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { renderTemplate, createPromptRegistry } = require('../lib/prompts');
+
+function writeRegistry(experiment) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  for (const version of ['a', 'b']) {
+    fs.writeFileSync(path.join(dir, `${version}.txt`), `Version ${version}, {{minPoints}} points.\n`);
+  }
+  fs.writeFileSync(path.join(dir, 'reminder.txt'), 'Remember.\n');
+  const versions = Object.fromEntries(['a', 'b'].map(version => [version, { system: `${version}.txt`, reminders: { default: 'reminder.txt' } }]));
+  fs.writeFileSync(path.join(dir, 'prompts.json'), JSON.stringify({ defaultVersion: 'a', versions, experiment }));
+  return path.join(dir, 'prompts.json');
+}
+
+test('templates interpolate variables and reject missing ones', () => {
+  assert.strictEqual(renderTemplate('List {{ minPoints }} to {{maxPoints}}.', { minPoints: 5, maxPoints: 7 }), 'List 5 to 7.');
+  assert.throws(() => renderTemplate('End with {{closing}}', {}), /\{\{closing\}\}/);
+
+  const prompts = createPromptRegistry({ registryPath: writeRegistry(null), watch: false });
+  assert.strictEqual(prompts.render('a', 'prayer', { minPoints: 5 }), 'Version a, 5 points.\n\nRemember.');
+  assert.deepStrictEqual(prompts.select('user:1'), { version: 'a', experiment: null });
+});
+
+test('experiments assign each user a stable version by weight', () => {
+  const prompts = createPromptRegistry({
+    registryPath: writeRegistry({ name: 'wording', variants: { a: 1, b: 3 } }),
+    watch: false
+  });
+
+  const counts = { a: 0, b: 0 };
+  for (let i = 0; i < 2000; i++) {
+    const { version, experiment } = prompts.select(`user:${i}`);
+    assert.strictEqual(experiment, 'wording');
+    assert.strictEqual(prompts.select(`user:${i}`).version, version);
+    counts[version]++;
+  }
+  assert.ok(counts.a > 400 && counts.a < 600, `expected about 500 users on a, got ${counts.a}`);
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createProviderRegistry } = require('../lib/providers');
+const { toAnthropicMessages, createAnthropicProvider } = require('../lib/providers/anthropic');
+const { createOpenAIProvider, createOpenAICompatibleProvider } = require('../lib/providers/openai');
+const { getModelPricing } = require('../lib/pricing');
+
+const AZURE_ENV = {
+  AI_PROVIDER: 'azure',
+  AZURE_OPENAI_ENDPOINT: 'https://example.openai.azure.com/',
+  AZURE_OPENAI_API_KEY: 'azure-key',
+  AZURE_OPENAI_DEPLOYMENT: 'chat-prod',
+  AZURE_OPENAI_MODEL: 'gpt-4o'
+};
+
+test('switching the default route keeps its Azure deployment', () => {
+  const registry = createProviderRegistry(AZURE_ENV);
+  assert.match(registry.resolve().buildRequest({ messages: [] }).url, /\/deployments\/chat-prod\//);
+
+  registry.setRoute('default', { provider: 'azure', model: 'gpt-4o-mini', deployment: 'chat-mini' });
+  const provider = registry.resolve();
+  assert.strictEqual(provider.model, 'gpt-4o-mini');
+  assert.match(provider.buildRequest({ messages: [] }).url, /\/deployments\/chat-mini\//);
+
+  registry.setRoute('default', null);
+  assert.match(registry.resolve().buildRequest({ messages: [] }).url, /\/deployments\/chat-prod\//);
+});
+
+test('OpenAI requests carry the model and ask for usage on streams', () => {
+  const provider = createOpenAIProvider({ apiKey: 'sk-test', model: 'gpt-4o', baseUrl: 'http://local/v1' });
+  const request = provider.buildRequest({ messages: [], temperature: 0.5 }, { stream: true });
+  assert.strictEqual(request.url, 'http://local/v1/chat/completions');
+  assert.strictEqual(request.headers.Authorization, 'Bearer sk-test');
+  assert.deepStrictEqual(request.body, { messages: [], temperature: 0.5, model: 'gpt-4o', stream: true, stream_options: { include_usage: true } });
+
+  assert.strictEqual(createOpenAIProvider({ apiKey: 'bad' }).validateConfig(), 'OPENAI_API_KEY has an invalid format');
+  assert.deepStrictEqual(provider.parseStreamChunk({ choices: [{ delta: { content: 'Hi' }, finish_reason: null }] }), { delta: 'Hi', finishReason: null, usage: null });
+});
+
+test('compatible servers need a base URL and model, and are free unless priced', () => {
+  assert.strictEqual(createOpenAICompatibleProvider({ baseUrl: 'not a url', model: 'llama3' }).validateConfig(), 'AI_COMPATIBLE_BASE_URL is not a valid URL: not a url');
+  assert.strictEqual(createOpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1' }).validateConfig(), 'AI_COMPATIBLE_MODEL is not set');
+
+  const registry = createProviderRegistry({ AI_PROVIDER: 'openai-compatible', AI_COMPATIBLE_BASE_URL: 'http://localhost:11434/v1/', AI_COMPATIBLE_MODEL: 'llama3-test' });
+  const request = registry.resolve().buildRequest({ messages: [] }, { stream: true });
+  assert.strictEqual(request.url, 'http://localhost:11434/v1/chat/completions');
+  assert.strictEqual(request.headers.Authorization, undefined);
+  assert.strictEqual(request.body.stream_options, undefined);
+  assert.deepStrictEqual(registry.resolve().pricing, { input: 0, output: 0 });
+});
+
+test('a compatible model named like a hosted one keeps its price to itself', () => {
+  const hostedPrice = getModelPricing('gpt-4o-mini');
+  const registry = createProviderRegistry({
+    AI_PROVIDER: 'openai-compatible',
+    AI_COMPATIBLE_BASE_URL: 'http://localhost:11434/v1',
+    AI_COMPATIBLE_MODEL: 'gpt-4o-mini',
+    AI_COMPATIBLE_PRICE_OUTPUT: '0.05'
+  });
+  assert.deepStrictEqual(registry.resolve().pricing, { input: 0, output: 0.05 });
+  assert.deepStrictEqual(getModelPricing('gpt-4o-mini'), hostedPrice);
+});
+
+test('Anthropic requests move system prompts to the top and merge same-role turns', () => {
+  assert.deepStrictEqual(toAnthropicMessages([
+    { role: 'system', content: 'Be kind.' },
+    { role: 'assistant', content: 'Hello again.' },
+    { role: 'system', content: 'Be kind.' },
+    { role: 'user', content: 'First' },
+    { role: 'user', content: 'Second' }
+  ]), {
+    system: 'Be kind.',
+    messages: [
+      { role: 'user', content: '(continuing our conversation)' },
+      { role: 'assistant', content: 'Hello again.' },
+      { role: 'user', content: 'First\n\nSecond' }
+    ]
+  });
+
+  const provider = createAnthropicProvider({ apiKey: 'sk-ant-test', model: 'claude-3-5-haiku-latest' });
+  const { body, headers } = provider.buildRequest({ messages: [{ role: 'user', content: 'Hi' }], max_tokens: 100, temperature: 0.7, frequency_penalty: 0.5 });
+  assert.deepStrictEqual(Object.keys(body).sort(), ['max_tokens', 'messages', 'model', 'system', 'temperature']);
+  assert.strictEqual(headers['x-api-key'], 'sk-ant-test');
+});
+
+test('Anthropic responses and stream events map onto the OpenAI shapes', () => {
+  const provider = createAnthropicProvider({ apiKey: 'sk-ant-test' });
+  assert.deepStrictEqual(provider.parseResponse({
+    content: [{ type: 'text', text: 'Grace ' }, { type: 'tool_use' }, { type: 'text', text: 'and peace.' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 12, output_tokens: 4 }
+  }), { content: 'Grace and peace.', finishReason: 'end_turn', usage: { prompt_tokens: 12, completion_tokens: 4 } });
+
+  assert.deepStrictEqual(provider.parseStreamChunk({ type: 'message_start', message: { usage: { input_tokens: 12 } } }).usage, { prompt_tokens: 12 });
+  assert.strictEqual(provider.parseStreamChunk({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Amen' } }).delta, 'Amen');
+  assert.deepStrictEqual(provider.parseStreamChunk({ type: 'message_delta', delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 9 } }),
+    { delta: '', finishReason: 'max_tokens', usage: { completion_tokens: 9 } });
+  assert.strictEqual(provider.parseStreamChunk({ type: 'message_stop' }).done, true);
+  assert.throws(() => provider.parseStreamChunk({ type: 'error', error: { message: 'overloaded' } }), /Anthropic stream error: overloaded/);
+});
+
+test('topic routes inherit the default model and fallbacks skip duplicates', () => {
+  const registry = createProviderRegistry({
+    OPENAI_API_KEY: 'sk-test',
+    ANTHROPIC_API_KEY: 'sk-ant-test',
+    AI_MODEL: 'gpt-4o',
+    AI_TOPIC_ROUTES: JSON.stringify({ prayer: { provider: 'anthropic' }, practical: { provider: 'openai' } }),
+    AI_FALLBACK_ROUTES: JSON.stringify([{ model: 'gpt-4o' }, { model: 'gpt-4o-mini' }, { provider: 'anthropic' }])
+  });
+
+  assert.deepStrictEqual([registry.resolve('practical').name, registry.resolve('practical').model], ['openai', 'gpt-4o']);
+  assert.deepStrictEqual(registry.resolveChain('informational').map(provider => `${provider.name}:${provider.model}`),
+    ['openai:gpt-4o', 'openai:gpt-4o-mini', 'anthropic:claude-3-5-haiku-latest']);
+  assert.deepStrictEqual(registry.resolveChain('prayer').map(provider => `${provider.name}:${provider.model}`),
+    ['anthropic:claude-3-5-haiku-latest', 'openai:gpt-4o', 'openai:gpt-4o-mini']);
+
+  assert.throws(() => createProviderRegistry({ AI_TOPIC_ROUTES: '{prayer' }), /AI_TOPIC_ROUTES is not valid JSON/);
+});
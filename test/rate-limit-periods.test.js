@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { dayBounds, slidingWindowCount, slidingWindowRetryAfter } = require('../lib/rate-limit-periods');
+const { createMemoryStore } = require('../lib/rate-limit-store');
+
+const WINDOW_MS = 2 * 60 * 1000;
+
+test('days start at local midnight, including across DST changes', () => {
+  const iso = ({ start, end }) => [new Date(start).toISOString(), new Date(end).toISOString()];
+
+  assert.deepStrictEqual(iso(dayBounds(Date.parse('2026-10-19T03:00:00Z'), 'America/Chicago')), [
+    '2026-10-18T05:00:00.000Z',
+    '2026-10-19T05:00:00.000Z'
+  ]);
+  // 23 and 25 hour days
+  assert.deepStrictEqual(iso(dayBounds(Date.parse('2026-03-08T12:00:00Z'), 'America/Chicago')), [
+    '2026-03-08T06:00:00.000Z',
+    '2026-03-09T05:00:00.000Z'
+  ]);
+  assert.deepStrictEqual(iso(dayBounds(Date.parse('2026-11-01T12:00:00Z'), 'America/Chicago')), [
+    '2026-11-01T05:00:00.000Z',
+    '2026-11-02T06:00:00.000Z'
+  ]);
+  assert.deepStrictEqual(iso(dayBounds(Date.parse('2026-12-31T23:30:00Z'), 'Asia/Kolkata')), [
+    '2026-12-31T18:30:00.000Z',
+    '2027-01-01T18:30:00.000Z'
+  ]);
+});
+
+test('a burst across a window boundary counts against one limit', async () => {
+  const store = createMemoryStore();
+  const windowStart = 10 * WINDOW_MS;
+  for (let i = 0; i < 20; i++) {
+    await store.increment('user', { windowStart, windowMs: WINDOW_MS }, { requests: 1 });
+  }
+
+  // One second into the next window, almost all of the previous one still overlaps
+  const now = windowStart + WINDOW_MS + 1000;
+  const record = await store.increment('user', { windowStart: windowStart + WINDOW_MS, windowMs: WINDOW_MS }, { requests: 1 });
+  assert.strictEqual(record.previousRequests, 20);
+  assert.strictEqual(slidingWindowCount(record, now, WINDOW_MS), 20);
+
+  // Skipping a window forgets the old count
+  const later = await store.increment('user', { windowStart: windowStart + 3 * WINDOW_MS, windowMs: WINDOW_MS }, { requests: 1 });
+  assert.strictEqual(later.previousRequests, 0);
+});
+
+test('retry-after waits until one more request fits', () => {
+  // 5 requests now plus 15 of the previous 20 still counted: room once 6 more slide out
+  assert.strictEqual(slidingWindowRetryAfter({ windowStart: 0, requests: 5, previousRequests: 20 }, 30000, WINDOW_MS, 20), 6);
+  // This window is already full, so wait into the next one
+  assert.strictEqual(slidingWindowRetryAfter({ windowStart: 0, requests: 20, previousRequests: 20 }, 60000, WINDOW_MS, 20), 66);
+});
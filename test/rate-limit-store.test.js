@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMemoryStore, createFileStore, createRedisStore } = require('../lib/rate-limit-store');
+const { createFakeRedis } = require('./helpers/fake-redis');
+
+const WINDOW_MS = 60000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const stores = {
+  memory: () => createMemoryStore(),
+  redis: () => createRedisStore({ client: createFakeRedis(), now: () => 1000 })
+};
+
+for (const [type, createStore] of Object.entries(stores)) {
+  test(`${type} store: counters reset with their period and carry the previous window`, async () => {
+    const store = createStore();
+    const periods = { windowStart: WINDOW_MS, windowMs: WINDOW_MS, dailyStart: DAY_MS };
+    await store.increment('u1', periods, { requests: 1, dailyRequests: 1, dailyCost: 0.5 });
+    let record = await store.increment('u1', periods, { requests: 1, dailyRequests: 1, dailyCost: 0.25 });
+    assert.strictEqual(record.requests, 2);
+    assert.strictEqual(record.dailyCost, 0.75);
+
+    record = await store.increment('u1', { ...periods, windowStart: 2 * WINDOW_MS }, { requests: 1 });
+    assert.strictEqual(record.requests, 1);
+    assert.strictEqual(record.previousRequests, 2);
+    assert.strictEqual(record.dailyRequests, 2);
+
+    // A stale window is neither reset nor counted
+    record = await store.increment('u1', periods, { requests: 1 });
+    assert.strictEqual(record.requests, 1);
+
+    record = await store.increment('u1', { dailyStart: 2 * DAY_MS }, { dailyRequests: 1 });
+    assert.deepStrictEqual([record.dailyRequests, record.dailyCost], [1, 0]);
+  });
+
+  test(`${type} store: reserved cost never drops below zero`, async () => {
+    const store = createStore();
+    const periods = { dailyStart: DAY_MS };
+    let record = await store.increment('u1', periods, { reservedCost: 0.2 });
+    assert.strictEqual(record.reservedCost, 0.2);
+
+    record = await store.increment('u1', periods, { reservedCost: -0.5 });
+    assert.strictEqual(record.reservedCost, 0);
+
+    record = await store.increment('u1', periods, { reservedCost: 0.1 });
+    assert.strictEqual(record.reservedCost, 0.1);
+    assert.strictEqual((await store.get('u1')).reservedCost, 0.1);
+  });
+
+  test(`${type} store: list, delete and size`, async () => {
+    const store = createStore();
+    await store.increment('u1', { windowStart: WINDOW_MS, windowMs: WINDOW_MS }, { requests: 1 });
+    await store.increment('u2', { windowStart: WINDOW_MS, windowMs: WINDOW_MS }, { requests: 3 });
+    assert.strictEqual(await store.size(), 2);
+    assert.deepStrictEqual((await store.list()).map(user => user.userKey).sort(), ['u1', 'u2']);
+
+    await store.delete('u1');
+    assert.strictEqual(await store.get('u1'), null);
+    assert.strictEqual(await store.size(), 1);
+    await store.close();
+  });
+}
+
+test('file store reports load failures through the injected logger', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limits-'));
+  const filePath = path.join(dir, 'rate-limits.json');
+  fs.writeFileSync(filePath, '{ not json');
+  const errors = [];
+  const log = { info() {}, error: (message) => errors.push(message) };
+
+  try {
+    const store = createFileStore({ filePath, log });
+    assert.strictEqual(await store.size(), 0);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /Could not read rate limit file/);
+    await store.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
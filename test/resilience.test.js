@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { getEventListeners } = require('node:events');
+
+const { UpstreamError, parseRetryAfter, createCircuitBreaker, createUpstreamClient } = require('../lib/resilience');
+const { startFakeOpenAI } = require('./helpers/fake-openai');
+
+const quietLog = { info() {}, warn() {}, error() {} };
+
+let openai;
+before(async () => {
+  openai = await startFakeOpenAI();
+});
+after(() => openai.close());
+
+// Providers only need a name and model here; every request goes to the fake server
+const primary = { name: 'openai', model: 'gpt-4o' };
+const secondary = { name: 'openai', model: 'gpt-4o-mini' };
+const buildRequest = (provider) => ({
+  url: `${openai.url}/chat/completions`,
+  headers: { 'Content-Type': 'application/json' },
+  body: { model: provider.model, messages: [] }
+});
+
+function createClient(env = {}) {
+  return createUpstreamClient({ AI_MAX_RETRIES: '1', AI_RETRY_BASE_MS: '1', ...env }, { log: quietLog });
+}
+
+test('a breaker opens after the failure threshold and fails fast until the reset timeout', () => {
+  let now = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => now });
+  breaker.recordFailure();
+  assert.strictEqual(breaker.canRequest(), true);
+  breaker.recordFailure();
+  assert.strictEqual(breaker.canRequest(), false);
+  assert.deepStrictEqual(breaker.snapshot(), {
+    state: 'open',
+    consecutiveFailures: 2,
+    openedAt: new Date(0).toISOString(),
+    retryAfterSeconds: 1
+  });
+
+  now = 400;
+  assert.strictEqual(breaker.retryAfterMs(), 600);
+  assert.strictEqual(breaker.canRequest(), false);
+});
+
+test('a half-open breaker lets a single trial through at a time', () => {
+  let now = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => now });
+  breaker.recordFailure();
+  assert.strictEqual(breaker.canRequest(), false);
+
+  now = 1000;
+  assert.strictEqual(breaker.canRequest(), true);
+  assert.strictEqual(breaker.snapshot().state, 'half-open');
+  assert.strictEqual(breaker.canRequest(), false, 'concurrent requests fail fast while the trial runs');
+
+  breaker.releaseTrial();
+  assert.strictEqual(breaker.canRequest(), true);
+  breaker.recordFailure();
+  assert.strictEqual(breaker.snapshot().state, 'open');
+
+  now = 2000;
+  assert.strictEqual(breaker.canRequest(), true);
+  breaker.recordSuccess();
+  assert.deepStrictEqual([breaker.canRequest(), breaker.canRequest()], [true, true]);
+  assert.strictEqual(breaker.snapshot().state, 'closed');
+});
+
+test('Retry-After is read as milliseconds, seconds or an HTTP date', () => {
+  const now = () => Date.parse('2026-03-10T12:00:00Z');
+  assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after-ms': '250', 'retry-after': '9' }), now), 250);
+  assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after': '7' }), now), 7000);
+  assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after': 'Tue, 10 Mar 2026 12:00:05 GMT' }), now), 5000);
+  assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after': 'soon' }), now), null);
+  assert.strictEqual(parseRetryAfter(new Headers(), now), null);
+});
+
+test('failures are retried, then the next provider in the chain is tried', async () => {
+  const client = createClient();
+  openai.enqueue({ status: 500 }, { status: 503 });
+  const start = openai.requests.length;
+
+  const result = await client.call([primary, secondary], buildRequest);
+  assert.strictEqual(result.provider, secondary);
+  assert.deepStrictEqual([result.attempts, result.failover], [3, true]);
+  assert.deepStrictEqual(openai.requests.slice(start).map(request => request.body.model), ['gpt-4o', 'gpt-4o', 'gpt-4o-mini']);
+});
+
+test('retry waits leave no abort listeners on the caller signal', async () => {
+  const client = createClient({ AI_MAX_RETRIES: '2' });
+  const controller = new AbortController();
+  openai.enqueue({ status: 500 }, { status: 500 }, { status: 500 });
+
+  await assert.rejects(client.call([primary], buildRequest, { signal: controller.signal }), { status: 500 });
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('client errors and long Retry-After waits move on without retrying', async () => {
+  const client = createClient();
+  const start = openai.requests.length;
+
+  openai.enqueue({ status: 400 });
+  assert.strictEqual((await client.call([primary, secondary], buildRequest)).attempts, 2);
+  assert.strictEqual(client.snapshot()['openai:gpt-4o'].consecutiveFailures, 0, 'a bad request says nothing about upstream health');
+
+  openai.enqueue({ status: 429, headers: { 'retry-after': '60' } });
+  assert.strictEqual((await client.call([primary, secondary], buildRequest)).provider, secondary);
+  assert.strictEqual(openai.requests.length - start, 4);
+});
+
+test('an open breaker skips its provider, and with no provider left the call fails', async () => {
+  const client = createClient({ AI_MAX_RETRIES: '0', AI_BREAKER_THRESHOLD: '1' });
+  openai.enqueue({ status: 500 });
+  await client.call([primary, secondary], buildRequest);
+  assert.strictEqual(client.snapshot()['openai:gpt-4o'].state, 'open');
+
+  const start = openai.requests.length;
+  const result = await client.call([primary, secondary], buildRequest);
+  assert.deepStrictEqual([result.provider, result.attempts], [secondary, 1]);
+  assert.strictEqual(openai.requests.length - start, 1);
+
+  openai.enqueue({ status: 500 });
+  await assert.rejects(client.call([primary, secondary], buildRequest), (error) => {
+    assert.ok(error instanceof UpstreamError);
+    assert.strictEqual(error.status, 500);
+    return true;
+  });
+  await assert.rejects(client.call([primary, secondary], buildRequest), { code: 'circuit_open' });
+});
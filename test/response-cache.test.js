@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { cacheKey, createResponseCache } = require('../lib/response-cache');
+
+test('trivially different wordings share a key, other fields do not', () => {
+  const parts = { topic: 'informational', model: 'gpt-3.5-turbo', prompt: 'v1' };
+  assert.strictEqual(cacheKey({ message: 'What is grace?', ...parts }), cacheKey({ message: '  what is  GRACE ', ...parts }));
+  assert.notStrictEqual(cacheKey({ message: 'What is grace?', ...parts }), cacheKey({ message: 'What is grace?', ...parts, prompt: 'v2' }));
+  assert.notStrictEqual(cacheKey({ message: 'What is grace?', ...parts }), cacheKey({ message: 'What is mercy?', ...parts }));
+});
+
+test('entries expire after their TTL and the least recently used is evicted', async () => {
+  const cache = createResponseCache({ maxEntries: 2, ttls: { informational: 60, prayer: 60 } });
+  assert.strictEqual(cache.ttlFor('informational'), 60);
+  assert.strictEqual(cache.ttlFor('prayer'), 0);
+  assert.strictEqual(cache.ttlFor('conversational'), 0);
+
+  await cache.set('a', { content: 'A' }, 60, 0);
+  await cache.set('b', { content: 'B' }, 60, 0);
+  assert.deepStrictEqual(await cache.get('a', 1000), { content: 'A' });
+  await cache.set('c', { content: 'C' }, 60, 0);
+
+  assert.strictEqual(await cache.get('b', 1000), null);
+  assert.deepStrictEqual(await cache.get('a', 1000), { content: 'A' });
+  assert.strictEqual(await cache.get('a', 60000), null);
+  assert.deepStrictEqual(cache.stats().hits, 2);
+});
+
+test('a shared backend fills the local cache and its failures count as misses', async () => {
+  const stored = new Map();
+  let down = false;
+  const backend = {
+    async get(key) {
+      if (down) throw new Error('connection refused');
+      return stored.get(key) || null;
+    },
+    async set(key, entry) {
+      if (down) throw new Error('connection refused');
+      stored.set(key, entry);
+    },
+    async close() {}
+  };
+  const errors = [];
+  const log = { error: (message) => errors.push(message) };
+  const writer = createResponseCache({ backend, log });
+  const reader = createResponseCache({ backend, log });
+
+  await writer.set('a', { content: 'A' }, 60, 0);
+  assert.deepStrictEqual(await reader.get('a', 1000), { content: 'A' });
+  assert.strictEqual(await reader.get('a', 60000), null);
+
+  down = true;
+  assert.strictEqual(await reader.get('b', 1000), null);
+  await writer.set('b', { content: 'B' }, 60, 0);
+  assert.deepStrictEqual(errors, ['❌ Response cache read failed: connection refused', '❌ Response cache write failed: connection refused']);
+  assert.deepStrictEqual(await writer.get('b', 1000), { content: 'B' }, 'the local copy is still served');
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { checkResponseFormat, buildCorrectionPrompt } = require('../lib/response-format');
+
+const codesOf = (result) => result.issues.map(item => item.code);
+
+test('devotional answers are renumbered, bolded and stripped of quote blocks', () => {
+  const points = [1, 2, 3, 5, 5].map(n => `${n}. Trust: God is faithful.`).join('\n');
+  const result = checkResponseFormat('practical', `Intro\n> quoted\n${points}\nClosing`);
+
+  assert.deepStrictEqual(codesOf(result), ['quote_block', 'point_numbering', 'point_not_bold']);
+  assert.strictEqual(result.needsRegeneration, false);
+  assert.match(result.content, /^quoted$/m);
+  assert.match(result.content, /^\*\*4\. Trust:\*\* God is faithful\.$/m);
+  assert.match(result.content, /^\*\*5\. Trust:\*\* God is faithful\.$/m);
+});
+
+test('too few points can only be fixed by regenerating', () => {
+  const result = checkResponseFormat('informational', '1. One\n2. Two');
+  assert.deepStrictEqual(codesOf(result), ['point_count']);
+  assert.strictEqual(result.needsRegeneration, true);
+
+  const prompt = buildCorrectionPrompt('informational', result.issues);
+  assert.match(prompt, /- Expected 5-7 numbered points, found 2/);
+  assert.match(prompt, /the devotional format \(Format 1\)/);
+});
+
+test('prayers get the standard closing and lose markdown', () => {
+  const variant = checkResponseFormat('prayer', 'Lord, hear me.\n\nDear Heavenly Father, give me **peace**. In the name of Jesus, Amen!');
+  assert.strictEqual(variant.content, 'Lord, hear me.\n\nDear Heavenly Father, give me peace. In Jesus\' name, I pray. Amen.');
+  assert.deepStrictEqual(codesOf(variant), ['markdown_in_prayer', 'closing_variant']);
+
+  const missing = checkResponseFormat('prayer', 'Dear Heavenly Father, give me peace.');
+  assert.strictEqual(missing.content, 'Dear Heavenly Father, give me peace.\n\nIn Jesus\' name, I pray. Amen.');
+
+  const listed = checkResponseFormat('prayer', 'Father God,\n1. Give me peace\n2. Give me rest\nIn Jesus\' name, I pray. Amen.');
+  assert.deepStrictEqual(codesOf(listed), ['prayer_has_list']);
+  assert.strictEqual(listed.needsRegeneration, true);
+  assert.match(buildCorrectionPrompt('prayer', listed.issues, { locale: 'pt' }), /"Pai celestial,".*"Em nome de Jesus, amém\."/);
+});
+
+test('prayers follow the conventions of their locale', () => {
+  const spanish = checkResponseFormat('prayer', 'Padre celestial, dame paz. En el nombre de Jesús, amén.', { locale: 'es' });
+  assert.deepStrictEqual(spanish.issues, []);
+
+  const english = checkResponseFormat('prayer', 'Padre celestial, dame paz. En el nombre de Jesús, amén.');
+  assert.ok(codesOf(english).includes('missing_address'));
+});
+
+test('parenthetical references are removed only when they repeat an inline citation', () => {
+  const result = checkResponseFormat('conversational', 'Jesus said in John 14:6 "I am the way" (John 14:6). See also (Romans 8:28).');
+  assert.strictEqual(result.content, 'Jesus said in John 14:6 "I am the way". See also (Romans 8:28).');
+  assert.deepStrictEqual(codesOf(result), ['duplicate_reference', 'parenthetical_reference']);
+});
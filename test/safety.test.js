@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { compileSafetyRules, createSafetyLayer } = require('../lib/safety');
+
+const names = (resources) => resources.map(resource => resource.name);
+
+test('input rules choose the strongest action and gather every matching resource', async () => {
+  const safety = createSafetyLayer();
+
+  assert.deepStrictEqual(await safety.checkInput('What does Romans 8 mean?'), { action: 'allow', reasons: [], resources: [] });
+
+  const support = await safety.checkInput('I have been so depressed lately');
+  assert.deepStrictEqual([support.action, support.reasons], ['support', ['distress']]);
+  assert.deepStrictEqual(names(support.resources), ['988 Suicide & Crisis Lifeline', 'SAMHSA National Helpline']);
+
+  const crisis = await safety.checkInput('My husband hits me and I am depressed');
+  assert.deepStrictEqual([crisis.action, crisis.reasons], ['crisis', ['abuse', 'distress']]);
+  assert.strictEqual(crisis.resources[0].name, 'National Domestic Violence Hotline');
+  assert.ok(names(crisis.resources).includes('SAMHSA National Helpline'));
+
+  assert.strictEqual((await safety.checkInput('Tell me how to make a bomb')).action, 'block');
+});
+
+test('phrases of every language are checked and resources follow the locale', async () => {
+  const safety = createSafetyLayer();
+  const crisis = await safety.checkInput('Ya no quiero vivir', { locale: 'en' });
+  assert.strictEqual(crisis.action, 'crisis');
+
+  const reply = safety.interventionMessage(crisis);
+  assert.match(reply, /988 Suicide & Crisis Lifeline/);
+  const localized = await safety.checkInput('Ya no quiero vivir', { locale: 'es' });
+  assert.notDeepStrictEqual(localized.resources, crisis.resources);
+  assert.notStrictEqual(safety.interventionMessage({ action: 'block' }, { locale: 'es' }), safety.interventionMessage({ action: 'block' }));
+});
+
+test('output rules rewrite offending sentences or block the whole answer', async () => {
+  const safety = createSafetyLayer();
+  const answer = 'God is with you. You should stop taking your medication and trust Him. Pray daily.';
+
+  assert.strictEqual(safety.matchesOutputRules('God is with you.'), false);
+  assert.strictEqual(safety.matchesOutputRules(answer), true);
+
+  const rewritten = await safety.checkOutput(answer);
+  assert.strictEqual(rewritten.action, 'rewrite');
+  assert.strictEqual(rewritten.content, `God is with you. Pray daily.\n\n${safety.rules.messages.rewriteNote}`);
+
+  const blocked = await safety.checkOutput('Here is the lethal dose you asked about.');
+  assert.strictEqual(blocked.action, 'block');
+  assert.doesNotMatch(blocked.content, /lethal dose/);
+  assert.match(blocked.content, /988 Suicide & Crisis Lifeline/);
+
+  assert.deepStrictEqual(await safety.checkOutput('Peace be with you.'), { action: 'allow', reasons: [], content: 'Peace be with you.' });
+});
+
+test('moderation adds findings, and a failing moderator leaves the local rules in charge', async () => {
+  const errors = [];
+  let result = [{ category: 'self-harm/intent', action: 'crisis' }, { category: 'harassment', action: 'flag' }];
+  const safety = createSafetyLayer({
+    moderator: async () => {
+      if (!result) throw new Error('moderation returned 500');
+      return result;
+    },
+    log: { error: (message) => errors.push(message) }
+  });
+  assert.strictEqual(safety.moderated, true);
+
+  const input = await safety.checkInput('I feel like giving up');
+  assert.deepStrictEqual([input.action, input.reasons], ['crisis', ['moderation:self-harm/intent', 'moderation:harassment']]);
+  assert.ok(input.resources.length > 0);
+
+  assert.deepStrictEqual(await safety.checkInput('I feel like giving up', { moderate: false }), { action: 'allow', reasons: [], resources: [] });
+
+  // An answer that discusses self-harm is only flagged
+  assert.strictEqual((await safety.checkOutput('Your life matters to God.')).action, 'allow');
+
+  result = null;
+  assert.strictEqual((await safety.checkInput('I have been so depressed lately')).action, 'support');
+  assert.match(errors[0], /Input moderation failed, using local rules only: moderation returned 500/);
+});
+
+test('rules with unknown actions or locale categories are rejected', () => {
+  assert.throws(() => compileSafetyRules({ input: { spam: { action: 'rewrite', phrases: [] } } }), /unknown action "rewrite"/);
+  assert.throws(() => compileSafetyRules({ input: {}, locales: { es: { input: { spam: ['hola'] } } } }), /unknown input category "spam"/);
+});
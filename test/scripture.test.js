@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { findBook, parseReference, extractVerseReferences } = require('../lib/scripture');
+
+const referencesIn = (text) => extractVerseReferences(text).map(({ reference, valid }) => [reference, valid]);
+
+test('references are normalized from full names, abbreviations and numbered-book spellings', () => {
+  assert.deepStrictEqual(referencesIn('As John 3:16 says, and 1 Cor. 13:4-7 too.'), [
+    ['John 3:16', true],
+    ['1 Corinthians 13:4-7', true]
+  ]);
+  assert.deepStrictEqual(referencesIn('First John 4:8 and II Tim 3:16'), [
+    ['1 John 4:8', true],
+    ['2 Timothy 3:16', true]
+  ]);
+});
+
+test('continuations after a comma are verses, after a semicolon chapters', () => {
+  const references = extractVerseReferences('Romans 8:28, 31; 12:2');
+  assert.deepStrictEqual(references.map(reference => reference.reference), ['Romans 8:28', 'Romans 8:31', 'Romans 12:2']);
+  assert.deepStrictEqual(references.map(reference => reference.text), ['Romans 8:28', '31', '12:2']);
+  assert.strictEqual(references[1].start, 'Romans 8:28, '.length);
+
+  assert.deepStrictEqual(referencesIn('Romans 8:28, 2 Corinthians 12:9'), [['Romans 8:28', true], ['2 Corinthians 12:9', true]]);
+});
+
+test('chapter-only references need a full book name that is not also a first name', () => {
+  assert.deepStrictEqual(referencesIn('Read Psalm 23 and John 3 today, or Ps 91'), [['Psalm 23', true]]);
+  assert.strictEqual(extractVerseReferences('Ps 91', { bareChapters: true })[0].reference, 'Psalm 91');
+});
+
+test('references past the end of a book or chapter are flagged', () => {
+  const errors = extractVerseReferences('John 3:99 and Jude 2:1 and Genesis 51 and Romans 8:30-28')
+    .map(({ reference, valid, error }) => [reference, valid, error]);
+  assert.deepStrictEqual(errors, [
+    ['John 3:99', false, 'verse_out_of_range'],
+    ['Jude 2:1', false, 'chapter_out_of_range'],
+    ['Genesis 51', false, 'chapter_out_of_range'],
+    ['Romans 8:30-28', false, 'invalid_range']
+  ]);
+});
+
+test('parseReference accepts exactly one reference and findBook any spelling', () => {
+  assert.strictEqual(parseReference('jn 3:16').reference, 'John 3:16');
+  assert.strictEqual(parseReference('Ps 23').reference, 'Psalm 23');
+  assert.strictEqual(parseReference('Romans 8:28-39.').reference, 'Romans 8:28-39');
+  assert.strictEqual(parseReference('Ps 23 and more'), null);
+  assert.strictEqual(parseReference(''), null);
+
+  assert.strictEqual(findBook('1 cor.').name, '1 Corinthians');
+  assert.strictEqual(findBook('Hezekiah'), null);
+});
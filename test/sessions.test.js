@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMemorySessionStore, createFileSessionStore } = require('../lib/session-store');
+const { createSessionManager, describeSession } = require('../lib/sessions');
+
+const HOUR = 60 * 60 * 1000;
+
+test('sessions belong to their owner and expire after the idle TTL', async () => {
+  let now = 0;
+  const sessions = createSessionManager(createMemorySessionStore(), { SESSION_TTL_HOURS: '1' }, { now: () => now });
+  const session = await sessions.create('user-1', { topic: 'prayer' });
+
+  assert.strictEqual((await sessions.get(session.id, 'user-1')).topic, 'prayer');
+  assert.strictEqual(await sessions.get(session.id, 'user-2'), null);
+  assert.strictEqual(await sessions.delete(session.id, 'user-2'), false);
+
+  // Every message pushes the expiry back
+  now = HOUR - 1;
+  await sessions.append(session, [{ role: 'user', content: 'Hi' }]);
+  now = 2 * HOUR - 2;
+  assert.ok(await sessions.get(session.id, 'user-1'));
+  now = 2 * HOUR - 1;
+  assert.strictEqual(await sessions.get(session.id, 'user-1'), null);
+  assert.strictEqual(await sessions.store.size(), 0);
+});
+
+test('retention trims old messages and the oldest sessions per owner', async () => {
+  let now = 0;
+  const store = createMemorySessionStore();
+  const sessions = createSessionManager(store, { SESSION_MAX_MESSAGES: '3', SESSION_MAX_PER_USER: '2' }, { now: () => now++ });
+
+  const first = await sessions.create('user-1');
+  await sessions.append(first, ['a', 'b', 'c', 'd'].map(content => ({ role: 'user', content })));
+  assert.deepStrictEqual((await sessions.get(first.id, 'user-1')).messages.map(message => message.content), ['b', 'c', 'd']);
+
+  const second = await sessions.create('user-1');
+  await sessions.create('user-2');
+  const third = await sessions.create('user-1');
+  assert.deepStrictEqual((await store.listByOwner('user-1')).map(session => session.id), [second.id, third.id]);
+  assert.strictEqual((await store.listByOwner('user-2')).length, 1);
+});
+
+test('the public view hides the owner and uses ISO timestamps', async () => {
+  const sessions = createSessionManager(createMemorySessionStore(), {}, { now: () => 0 });
+  const session = await sessions.append(await sessions.create('user-1', { locale: 'es' }), [{ role: 'user', content: 'Hola' }]);
+  const view = describeSession(session);
+  assert.strictEqual(view.owner, undefined);
+  assert.deepStrictEqual([view.locale, view.createdAt, view.expiresAt], ['es', '1970-01-01T00:00:00.000Z', '1970-01-04T00:00:00.000Z']);
+  assert.deepStrictEqual(view.messages, [{ role: 'user', content: 'Hola', createdAt: '1970-01-01T00:00:00.000Z' }]);
+});
+
+test('the file store survives a restart and drops expired sessions on cleanup', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  const filePath = path.join(dir, 'sessions.json');
+  const log = { info() {}, error() {} };
+  try {
+    const store = createFileSessionStore({ filePath, log });
+    await store.set({ id: 'live', owner: 'u1', createdAt: 0, updatedAt: 0, expiresAt: 2000, messages: [] });
+    await store.set({ id: 'stale', owner: 'u1', createdAt: 0, updatedAt: 0, expiresAt: 500, messages: [] });
+    await store.close();
+
+    const reopened = createFileSessionStore({ filePath, log });
+    assert.strictEqual(await reopened.size(), 2);
+    assert.strictEqual(await reopened.cleanup(1000), 1);
+    assert.deepStrictEqual((await reopened.listByOwner('u1')).map(session => session.id), ['live']);
+    await reopened.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
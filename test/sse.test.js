@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { wantsEventStream, readChatCompletionStream, lastSentenceEnd } = require('../lib/sse');
+
+// Response whose body arrives in the given pieces, split wherever the test likes
+function streamedResponse(pieces) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) controller.enqueue(encoder.encode(piece));
+      controller.close();
+    }
+  }));
+}
+
+const parseOpenAIChunk = (data) => ({
+  delta: data.choices?.[0]?.delta?.content,
+  finishReason: data.choices?.[0]?.finish_reason,
+  usage: data.usage
+});
+
+test('clients opt in with the Accept header or the stream flag', () => {
+  assert.strictEqual(wantsEventStream({ headers: { accept: 'text/event-stream' }, body: {} }), true);
+  assert.strictEqual(wantsEventStream({ headers: {}, body: { stream: true } }), true);
+  assert.strictEqual(wantsEventStream({ headers: { accept: 'application/json' }, body: { stream: 'true' } }), false);
+});
+
+test('events split across reads are reassembled and deltas arrive in order', async () => {
+  const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+  const body = [
+    event({ choices: [{ delta: { content: 'Grace ' } }] }),
+    event({ choices: [{ delta: { content: 'and peace.' }, finish_reason: 'stop' }] }),
+    event({ choices: [], usage: { prompt_tokens: 10, completion_tokens: 3 } }),
+    'data: [DONE]\n\n'
+  ].join('');
+  const pieces = [body.slice(0, 17), body.slice(17, 60), body.slice(60)];
+
+  const deltas = [];
+  const result = await readChatCompletionStream(streamedResponse(pieces), parseOpenAIChunk, delta => deltas.push(delta));
+  assert.deepStrictEqual(deltas, ['Grace ', 'and peace.']);
+  assert.deepStrictEqual(result, {
+    content: 'Grace and peace.',
+    finishReason: 'stop',
+    usage: { prompt_tokens: 10, completion_tokens: 3 }
+  });
+});
+
+test('usage split across events is merged and a final line without a newline is read', async () => {
+  const response = streamedResponse([
+    'event: message_start\ndata: {"usage":{"input_tokens":12}}\n\n',
+    'data: {"delta":"Amen","usage":{"output_tokens":1}}'
+  ]);
+  const parse = (data) => ({ delta: data.delta, usage: data.usage });
+
+  const result = await readChatCompletionStream(response, parse, () => {});
+  assert.strictEqual(result.content, 'Amen');
+  assert.deepStrictEqual(result.usage, { input_tokens: 12, output_tokens: 1 });
+});
+
+test('text is released up to the end of its last finished sentence', () => {
+  assert.strictEqual(lastSentenceEnd('Peace be with you'), 0);
+  assert.strictEqual(lastSentenceEnd('Peace be with you. And'), 'Peace be with you. '.length);
+  assert.strictEqual(lastSentenceEnd('He said, "Fear not." Then'), 'He said, "Fear not." '.length);
+  assert.strictEqual(lastSentenceEnd('**Prayer**\nLord'), '**Prayer**\n'.length);
+  // A reference like John 3.16 is not a sentence end
+  assert.strictEqual(lastSentenceEnd('See John 3.16 for'), 0);
+});
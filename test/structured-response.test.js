@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { STRUCTURED_SCHEMA_VERSION, toStructuredResponse } = require('../lib/structured-response');
+
+// Each fixture is a raw model response (<name>.txt) plus the format it was requested in
+// and the structured output we expect (<name>.json)
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'structured');
+
+for (const file of fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.txt'))) {
+  const name = path.basename(file, '.txt');
+
+  test(`structured output: ${name}`, () => {
+    const content = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8').trim();
+    const { format, expected } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+
+    assert.deepStrictEqual(toStructuredResponse(format, content), expected);
+  });
+}
+
+test('fixtures match the current schema version', () => {
+  for (const file of fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.json'))) {
+    const { expected } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+    assert.strictEqual(expected.schemaVersion, STRUCTURED_SCHEMA_VERSION, `${file} was written for another schema version`);
+  }
+});
+
+test('devotional content without numbered points falls back to paragraphs', () => {
+  const result = toStructuredResponse('practical', 'Just one thought.\n\nAnd another.');
+  assert.strictEqual(result.contentType, 'conversational');
+  assert.deepStrictEqual(result.sections, { paragraphs: ['Just one thought.', 'And another.'] });
+});
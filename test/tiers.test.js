@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { compileTiers, createTierResolver } = require('../lib/tiers');
+
+const LIMITS = { windowMs: 60000, maxRequests: 10, dailyLimit: 50, dailyCostLimit: 500 };
+const TIERS = {
+  version: 2,
+  defaultTier: 'free',
+  claims: ['tier', 'app_metadata.tier'],
+  tiers: {
+    free: { ...LIMITS, upgrade: { tier: 'premium', message: 'Upgrade for more.' } },
+    premium: { ...LIMITS, maxRequests: 40, dailyLimit: 300 }
+  },
+  users: {
+    'user-vip': { tier: 'premium', dailyLimit: 1000 },
+    'ip:10.0.0.9': { maxRequests: 2 }
+  }
+};
+
+// Resolver over a temporary copy of `config`; the directory is removed afterwards
+function withResolver(config, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiers-'));
+  const rulesPath = path.join(dir, 'tiers.json');
+  fs.writeFileSync(rulesPath, JSON.stringify(config));
+  const errors = [];
+  const resolver = createTierResolver({ rulesPath, watch: false, log: { info() {}, error: (message) => errors.push(message) } });
+  try {
+    return fn(resolver, { rulesPath, errors });
+  } finally {
+    resolver.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('the tier comes from the users file, then a verified claim, then the default', () => {
+  withResolver(TIERS, (resolver) => {
+    const vip = resolver.resolve({ authenticated: true, rateLimitKey: 'user-vip', claims: { tier: 'free' } });
+    assert.deepStrictEqual([vip.name, vip.source, vip.limits.dailyLimit, vip.overridden], ['premium', 'config', 1000, ['dailyLimit']]);
+
+    const claimed = resolver.resolve({ authenticated: true, rateLimitKey: 'u2', claims: { app_metadata: { tier: 'premium' } } });
+    assert.deepStrictEqual([claimed.name, claimed.source, claimed.limits.maxRequests], ['premium', 'claim', 40]);
+
+    // Unverified callers never get a tier from claims
+    const anonymous = resolver.resolve({ authenticated: false, rateLimitKey: 'ip:10.0.0.1', claims: { tier: 'premium' } });
+    assert.deepStrictEqual([anonymous.name, anonymous.source], ['free', 'default']);
+    assert.deepStrictEqual(anonymous.upgrade, { tier: 'premium', message: 'Upgrade for more.' });
+
+    const limited = resolver.resolve({ authenticated: false, rateLimitKey: 'ip:10.0.0.9' });
+    assert.deepStrictEqual([limited.name, limited.limits.maxRequests], ['free', 2]);
+  });
+});
+
+test('runtime overrides win over the file and are validated first', () => {
+  withResolver(TIERS, (resolver) => {
+    resolver.setRuntimeOverrides({ tiers: { free: { maxRequests: 5, note: 'ignored' } }, users: { 'user-7': { tier: 'premium' } } });
+    assert.strictEqual(resolver.resolve({}).limits.maxRequests, 5);
+    assert.strictEqual(resolver.resolve({ rateLimitKey: 'user-7' }).name, 'premium');
+    assert.deepStrictEqual(resolver.describe().tiers.free, { ...LIMITS, maxRequests: 5 });
+
+    assert.throws(() => resolver.setRuntimeOverrides({ tiers: { gold: { maxRequests: 5 } } }), /Unknown tier "gold"/);
+    assert.throws(() => resolver.setRuntimeOverrides({ users: { u: { dailyLimit: 0 } } }), /User "u" has invalid dailyLimit "0"/);
+    assert.strictEqual(resolver.resolve({}).limits.maxRequests, 5, 'a rejected override changes nothing');
+  });
+});
+
+test('invalid tier files are rejected and a broken reload keeps the last good tiers', () => {
+  assert.throws(() => compileTiers({ ...TIERS, defaultTier: 'gold' }), /Default tier "gold" is not defined/);
+  assert.throws(() => compileTiers({ ...TIERS, tiers: { free: { ...LIMITS, dailyLimit: -1 } } }), /Tier "free" has invalid dailyLimit "-1"/);
+  assert.throws(() => compileTiers({ ...TIERS, users: { u: { tier: 'gold' } } }), /User "u" has unknown tier "gold"/);
+
+  withResolver(TIERS, (resolver, { rulesPath, errors }) => {
+    fs.writeFileSync(rulesPath, '{ "defaultTier": ');
+    resolver.reload();
+    assert.strictEqual(resolver.config.version, 2);
+    assert.match(errors[0], /Could not reload rate limit tiers/);
+  });
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_MODEL_PARAMS, isValidTopic, getTopicGuidance, resolveTopic, getModelParams } = require('../lib/topics');
+
+test('only catalogue topics are valid', () => {
+  assert.strictEqual(isValidTopic('forgiveness'), true);
+  assert.strictEqual(isValidTopic('prayer'), true);
+  assert.strictEqual(isValidTopic('toString'), false);
+  assert.strictEqual(isValidTopic('sports'), false);
+});
+
+test('format topics pin the format while subject topics keep the detected one', () => {
+  assert.deepStrictEqual(resolveTopic('prayer', 'informational'), { topic: 'prayer', format: 'prayer', formatFromClient: true });
+  assert.deepStrictEqual(resolveTopic('forgiveness', 'informational'), { topic: 'forgiveness', format: 'informational', formatFromClient: false });
+  assert.deepStrictEqual(resolveTopic(undefined, 'practical'), { topic: null, format: 'practical', formatFromClient: false });
+});
+
+test('guidance names the subject focus and its passages', () => {
+  assert.strictEqual(
+    getTopicGuidance('finding-peace'),
+    'Focus on biblical peace, anxiety relief, and trusting God. Draw on these passages where they fit naturally: Philippians 4:6-7, Matthew 6:25-34.'
+  );
+  assert.strictEqual(getTopicGuidance('practical'), '');
+  assert.strictEqual(getTopicGuidance('unknown'), '');
+});
+
+test('model parameters layer the format overrides, then the subject overrides', () => {
+  assert.deepStrictEqual(getModelParams('practical'), DEFAULT_MODEL_PARAMS);
+  assert.strictEqual(getModelParams('prayer').max_tokens, 600);
+  assert.deepStrictEqual(getModelParams('prayer', 'gratitude'), { ...DEFAULT_MODEL_PARAMS, max_tokens: 600, temperature: 0.5 });
+  assert.strictEqual(getModelParams('conversational', 'bible-study').temperature, 0.3);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { toCsv, createFileLedgerBackend, createUsageLedger } = require('../lib/usage-ledger');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+function entry(daysAgo, fields) {
+  return { timestamp: new Date(NOW - daysAgo * DAY).toISOString(), latencyMs: 100, ...fields };
+}
+
+test('the file ledger appends one file per day and groups spend', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+  const ledger = createUsageLedger({ backend: createFileLedgerBackend({ dir }), retentionDays: 30 });
+
+  await Promise.all([
+    ledger.record(entry(0, { userKey: 'a', topic: 'prayer', costCents: 2, promptTokens: 10 })),
+    ledger.record(entry(0, { userKey: 'b', topic: 'practical', costCents: 5, cached: true })),
+    ledger.record(entry(1, { userKey: 'a', topic: 'practical', costCents: 1, failover: true })),
+    ledger.record(entry(40, { userKey: 'a', topic: 'prayer', costCents: 9 }))
+  ]);
+  assert.strictEqual(fs.readdirSync(dir).length, 3);
+
+  const range = { from: NOW - 7 * DAY, to: NOW };
+  const byTopic = await ledger.summarize({ ...range, groupBy: 'topic' });
+  assert.deepStrictEqual(byTopic.groups.map(group => [group.key, group.requests, group.costCents]), [['practical', 2, 6], ['prayer', 1, 2]]);
+  assert.deepStrictEqual({ requests: byTopic.totals.requests, cached: byTopic.totals.cached, failovers: byTopic.totals.failovers }, { requests: 3, cached: 1, failovers: 1 });
+
+  const byDay = await ledger.summarize({ ...range, userKey: 'a', groupBy: 'day' });
+  assert.deepStrictEqual(byDay.groups.map(group => group.key), ['2026-03-09', '2026-03-10']);
+
+  const { entries, truncated } = await ledger.entries({ ...range, limit: 2 });
+  assert.strictEqual(entries.length, 2);
+  assert.strictEqual(truncated, true);
+
+  // Retention drops the 40 day old file only
+  assert.strictEqual(await ledger.prune(NOW), 1);
+  assert.strictEqual((await ledger.entries({ from: 0, to: NOW })).entries.length, 3);
+  await ledger.close();
+});
+
+test('CSV cells are quoted when needed', () => {
+  assert.strictEqual(
+    toCsv([{ key: 'say "hi", friend', requests: 2, note: null }], ['key', 'requests', 'note']),
+    'key,requests,note\n"say ""hi"", friend",2,\n'
+  );
+});